@@ -5,7 +5,6 @@
 // ===== CONFIG =====
 const Config = {
     enableValidation: false,
-    gameType: 'XFusion',
 };
 
 import state from './core/state.js';
@@ -27,6 +26,45 @@ import {
 import {
     ResizablePanelHandler
 } from './ui/resizablePanelHandler.js';
+import {
+    FindReferencesHandler
+} from './ui/findReferencesHandler.js';
+import {
+    RenameHandler
+} from './ui/renameHandler.js';
+import {
+    SearchHandler
+} from './ui/searchHandler.js';
+import {
+    ConnectionAuditHandler
+} from './ui/connectionAuditHandler.js';
+import {
+    AreaMapHandler
+} from './ui/areaMapHandler.js';
+import {
+    ReachabilityHandler
+} from './ui/reachabilityHandler.js';
+import {
+    SolverHandler
+} from './ui/solverHandler.js';
+import {
+    StratHealthHandler
+} from './ui/stratHealthHandler.js';
+import {
+    StratLinkHandler
+} from './ui/stratLinkHandler.js';
+import {
+    LayersHandler
+} from './ui/layersHandler.js';
+import {
+    ExportImageHandler
+} from './ui/exportImageHandler.js';
+import {
+    StratInspectorHandler
+} from './ui/stratInspectorHandler.js';
+import {
+    NewNodeHandler
+} from './ui/newNodeHandler.js';
 
 class RandoJsonDataEditor {
     constructor() {
@@ -52,6 +90,81 @@ class RandoJsonDataEditor {
         // Initialize Go To Room handler
         this.goToRoomHandler = new GoToRoomHandler(state, this.roomManager, this.uiManager);
 
+        // Initialize Find References and dataset-wide rename
+        this.renameHandler = new RenameHandler(state, this.roomManager, this.uiManager);
+        this.findReferencesHandler = new FindReferencesHandler(state, this.roomManager, this.uiManager, {
+            openRoomProperties: (focusTarget) => this.openRoomProperties(focusTarget),
+            focusNode: (nodeId) => this.focusNode(nodeId),
+            rename: (kind, name) => this.renameHandler.start(kind, name)
+        });
+
+        // Initialize global search
+        this.searchHandler = new SearchHandler(state, this.roomManager, this.uiManager, {
+            focusNode: (nodeId) => this.focusNode(nodeId),
+            focusStrat: (stratIndex) => this.focusStrat(stratIndex)
+        });
+
+        // Initialize connection audit report
+        this.connectionAuditHandler = new ConnectionAuditHandler(state, this.roomManager, this.uiManager, {
+            focusNode: (nodeId) => this.focusNode(nodeId)
+        });
+
+        // Initialize area map view
+        this.areaMapHandler = new AreaMapHandler(state, this.roomManager, this.uiManager);
+
+        // Initialize whole-game reachability report
+        this.solverHandler = new SolverHandler(state, this.roomManager, this.uiManager, {
+            focusNode: (nodeId) => this.focusNode(nodeId),
+            showOnMap: (report) => {
+                this.areaMapHandler.setOverlay(report);
+                this.areaMapHandler.openModal();
+            }
+        });
+
+        // Initialize in-room reachability panel
+        this.reachabilityHandler = new ReachabilityHandler(state, this.roomManager, this.uiManager, {
+            showReachability: (result) => {
+                this.renderer.setReachability(result);
+                this.interactionHandler.redraw();
+            },
+            solveWholeGame: (options) => this.solverHandler.run(options)
+        });
+
+        // Initialize strat graph health panel
+        this.stratHealthHandler = new StratHealthHandler(state, this.roomManager, this.uiManager, {
+            focusNode: (nodeId) => this.focusNode(nodeId),
+            focusStrat: (stratIndex) => this.focusStrat(stratIndex)
+        });
+
+        // Initialize strat creation from link mode
+        this.stratLinkHandler = new StratLinkHandler(state, this.roomManager, this.uiManager, {
+            focusStrat: (stratIndex) => this.focusStrat(stratIndex),
+            openRoomProperties: (focusTarget) => this.openRoomProperties(focusTarget)
+        });
+
+        // Initialize canvas layers panel
+        this.layersHandler = new LayersHandler(state, this.roomManager, this.uiManager, {
+            applyLayers: () => {
+                this.renderer.setHiddenLayers(state.hiddenLayers);
+                this.interactionHandler.redraw();
+            }
+        });
+
+        // Initialize strat inspector for the selected node pair
+        this.stratInspectorHandler = new StratInspectorHandler(state, this.roomManager, this.uiManager, {
+            focusStrat: (stratIndex) => this.focusStrat(stratIndex),
+            openRoomProperties: (focusTarget) => this.openRoomProperties(focusTarget),
+            getStratCategory: (strat) => this.renderer.getStratCategory(strat)
+        });
+
+        // Initialize door, item and utility node creation from the draw tool
+        this.newNodeHandler = new NewNodeHandler(state, this.roomManager, this.uiManager, {
+            focusNode: (nodeId) => this.focusNode(nodeId)
+        });
+
+        // Initialize room image export
+        this.exportImageHandler = new ExportImageHandler(state, this.roomManager, this.uiManager);
+
         // Initialize resizable JSON panel
         this.resizablePanelHandler = new ResizablePanelHandler(
             'json-editor',
@@ -65,6 +178,7 @@ class RandoJsonDataEditor {
         this.setupEventListeners();
         this.initCanvas();
         this.initRoomPropertiesButton();
+        this.initStatsDashboardButton();
     }
 
     setupEventListeners() {
@@ -74,7 +188,7 @@ class RandoJsonDataEditor {
         });
 
         // Tool mode buttons
-        ['draw', 'select', 'move', 'resize'].forEach(mode => {
+        ['draw', 'select', 'move', 'resize', 'link'].forEach(mode => {
             const button = document.getElementById(`${mode}ModeBtn`);
             if (button) {
                 button.addEventListener('click', () => {
@@ -83,19 +197,33 @@ class RandoJsonDataEditor {
             }
         });
 
-        // Sector navigation buttons
-        document.querySelectorAll('.sector-btn').forEach(btn => {
-            btn.addEventListener('click', async () => {
-                const sector = btn.dataset.sector;
-                await this.roomManager.navigateToArea(sector);
+        // Type of node the draw tool creates
+        const drawNodeType = document.getElementById('drawNodeType');
+        if (drawNodeType) {
+            drawNodeType.addEventListener('change', () => {
+                state.drawNodeType = drawNodeType.value;
+                // Give the number keys back to the mode shortcuts
+                drawNodeType.blur();
+                this.setToolMode('draw');
             });
-        });
+        }
+
+        // Sector navigation buttons
+        this.renderSectorButtons();
 
         // Save button
         document.getElementById('saveBtn').addEventListener('click', () => {
             this.roomManager.saveCurrentRoom();
         });
 
+        // Double-clicking a strat arrow opens it in Room Properties
+        document.addEventListener('openStrat', (e) => {
+            this.openRoomProperties({
+                type: 'strats',
+                index: e.detail.stratIndex
+            });
+        });
+
         // Global keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Don't trigger shortcuts if user is typing in an input/textarea
@@ -119,27 +247,46 @@ class RandoJsonDataEditor {
                 e.preventDefault();
                 this.openRoomProperties();
             }
+
+            // Block undo/redo if any modal is open
+            if (document.querySelector('.modal-overlay[style*="display: flex"]')) return;
+
+            // Ctrl+Z: Undo, Ctrl+Shift+Z / Ctrl+Y: Redo
+            const key = e.key.toLowerCase();
+            if (e.ctrlKey && key === 'z') {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    state.history.redo();
+                } else {
+                    state.history.undo();
+                }
+            } else if (e.ctrlKey && key === 'y') {
+                e.preventDefault();
+                state.history.redo();
+            }
+        });
+
+        // Refresh everything that mirrors the room data after undo/redo
+        state.history.addListener((type) => {
+            this.uiManager.updateHistoryButtons(state.history);
+            if (type === 'undo' || type === 'redo') {
+                this.uiManager.updateJsonDisplay(state.currentRoomData);
+                this.uiManager.updateDoorButtons(state.currentRoomData);
+                this.interactionHandler.redraw();
+            }
         });
 
         // JSON editor live sync
 		this.uiManager.setupJsonEditor((parsedData) => {
-			state.currentRoomData = parsedData;
-			state.nodes = parsedData.nodes ? [...parsedData.nodes] : [];
-			
-			// Mark as unsaved when JSON is manually edited
-			if (this.roomManager) {
-				this.roomManager.markUnsaved();
-			}
+			// Typing bursts coalesce into a single undo step
+			state.history.record('Edit JSON', () => {
+				state.currentRoomData = parsedData;
+				state.nodes = parsedData.nodes ? [...parsedData.nodes] : [];
+			}, {
+				coalesceKey: 'json-edit'
+			});
 			
-			this.renderer.redraw(
-				state.currentRoomImage,
-				state.nodes,
-				state.selectedNodes,
-				state.currentRect,
-				state.scale,
-				this.state.currentRoomData?.strats,
-                this.state.hoveredGroupKeys
-			);
+			this.interactionHandler.redraw();
 		});
 		
         // Door Editor updates
@@ -151,6 +298,35 @@ class RandoJsonDataEditor {
         window.api.onUpdateRoomProperties((payload) => {
             this.roomManager.handleRoomPropertiesUpdate(payload);
         });
+
+        // Rooms opened from the statistics dashboard
+        window.api.onOpenRoom(async (room) => {
+            await this.roomManager.loadRoom(room.area, room.subarea, room.fileName.replace(/\.json$/, ''));
+        });
+
+        // Files changed outside the editor (git pull, branch switch, ...)
+        window.api.onWorkingDirChanged(async (files) => {
+            const changes = await state.handleExternalChanges(files);
+            if (changes.config) {
+                this.renderSectorButtons();
+            }
+            if (changes.rooms || changes.config) {
+                this.goToRoomHandler.refreshCache();
+            }
+            if (changes.currentRoom) {
+                await this.roomManager.offerReloadCurrentRoom();
+            }
+            if (changes.connections && state.currentRoomData) {
+                await this.uiManager.updateDoorButtons(state.currentRoomData);
+            }
+        });
+
+        // Window close: give the user a chance to keep unsaved changes
+        window.api.onCloseRequested(async () => {
+            if (await this.roomManager.confirmDiscardChanges()) {
+                window.api.confirmClose();
+            }
+        });
     }
 
     initCanvas() {
@@ -164,23 +340,25 @@ class RandoJsonDataEditor {
         if (selectedDir) {
             await state.setWorkingDir(selectedDir);
             this.uiManager.updateWorkingDirectory(selectedDir);
+            this.renderSectorButtons();
             // Refresh the Go To Room cache
             this.goToRoomHandler.refreshCache();
+            if (state.projectConfigError) {
+                this.uiManager.showAlert(`editor-config.json could not be read, using defaults: ${state.projectConfigError}`);
+            }
         }
     }
 
+    renderSectorButtons() {
+        this.uiManager.renderSectorButtons(state.projectConfig?.areas || [], async (sector) => {
+            await this.roomManager.navigateToArea(sector);
+        });
+    }
+
     setToolMode(mode) {
         state.setMode(mode);
         this.uiManager.updateActiveTool(`${mode}ModeBtn`);
-        this.renderer.redraw(
-            state.currentRoomImage,
-            state.nodes,
-            state.selectedNode,
-            state.currentRect,
-            state.scale,
-            state.currentRoomData?.strats,
-            state.hoveredGroupKeys
-        );
+        this.interactionHandler.redraw();
     }
 
     initRoomPropertiesButton() {
@@ -192,7 +370,52 @@ class RandoJsonDataEditor {
         });
     }
 
-    openRoomProperties() {
+    initStatsDashboardButton() {
+        const statsBtn = document.getElementById('statsDashboardBtn');
+        if (!statsBtn) return;
+
+        statsBtn.addEventListener('click', () => {
+            if (!state.workingDir) {
+                this.uiManager.showAlert('Set working directory first!');
+                return;
+            }
+            window.api.openStatsDashboard(state.workingDir, state.getAreaCodes());
+        });
+    }
+
+    /**
+     * Select a node of the current room and show it in the JSON panel
+     * @param {number} nodeId
+     */
+    focusNode(nodeId) {
+        const node = state.nodes.find(n => n.id === nodeId);
+        if (!node) return;
+        state.toggleNodeSelection(node);
+        this.uiManager.highlightNodeInJSON(node);
+        this.interactionHandler.redraw();
+    }
+
+    /**
+     * Emphasize a strat's arrow on the canvas until the next click
+     * @param {number} stratIndex - 0-based index into the room's strats
+     */
+    focusStrat(stratIndex) {
+        const strat = state.currentRoomData?.strats?.[stratIndex];
+        if (!strat) return;
+        this.renderer.setHighlightedStrats([stratIndex]);
+        // Self-links have no arrow, so select their node instead
+        if (strat.link && strat.link[0] === strat.link[1]) {
+            this.focusNode(strat.link[0]);
+        } else {
+            this.interactionHandler.redraw();
+        }
+    }
+
+    /**
+     * Open the Room Properties editor
+     * @param {Object} [focusTarget] - Entry to expand and scroll to, e.g. {type: 'strats', index: 3}
+     */
+    openRoomProperties(focusTarget = null) {
         if (!state.currentRoomPath || !state.currentRoomData) {
             this.uiManager.showAlert('No room data to edit properties!');
             return;
@@ -206,7 +429,9 @@ class RandoJsonDataEditor {
             state.getWeaponList(),
             state.getTechMap(),
             state.getHelperMap(),
-            state.getStratPresets()
+            state.getStratPresets(),
+            focusTarget,
+            state.getJsonFormatOptions()
         );
     }
 }
@@ -214,5 +439,6 @@ class RandoJsonDataEditor {
 // Initialize the application when DOM is ready
 window.addEventListener('DOMContentLoaded', async () => {
     await state.initStratPresetsPath();
+    await state.loadProjectConfig();
     new RandoJsonDataEditor();
 });
\ No newline at end of file
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+/* =============================================================================
+   Headless Validator - Checks every room file of a working directory against
+   the room schema without opening the editor.
+
+   Usage: node src/cli/validate.js <workingDir> [--schema <path>]
+   Exits with 1 if any room file fails validation, 2 on usage errors.
+   ============================================================================= */
+
+const fs = require('fs');
+const path = require('path');
+const { validateAgainstSchema } = require('../core/schemaValidator.js');
+const { loadProjectConfig } = require('../core/projectConfig.js');
+
+/**
+ * Resolve the room schema path the same way RoomManager.resolveSchemaPath does
+ * @param {string} workingDir
+ * @param {Object} projectConfig
+ * @returns {string}
+ */
+function resolveRoomSchemaPath(workingDir, projectConfig) {
+    return path.join(workingDir, projectConfig.roomSchema);
+}
+
+function listVisible(dirPath, predicate) {
+    return fs.readdirSync(dirPath)
+        .filter(item => !item.startsWith('.'))
+        .filter(item => predicate(path.join(dirPath, item), item))
+        .sort();
+}
+
+/**
+ * Collect region/<area>/<subarea>/*.json room files
+ * @param {string} workingDir
+ * @returns {string[]} Absolute file paths
+ */
+function collectRoomFiles(workingDir) {
+    const regionPath = path.join(workingDir, 'region');
+    const isDir = (fullPath) => fs.statSync(fullPath).isDirectory();
+    const files = [];
+
+    for (const area of listVisible(regionPath, isDir)) {
+        const areaPath = path.join(regionPath, area);
+        for (const subarea of listVisible(areaPath, isDir)) {
+            const subareaPath = path.join(areaPath, subarea);
+            const roomFiles = listVisible(subareaPath, (fullPath, item) =>
+                item.endsWith('.json') && !isDir(fullPath)
+            );
+            files.push(...roomFiles.map(file => path.join(subareaPath, file)));
+        }
+    }
+    return files;
+}
+
+/**
+ * Validate every room file in a working directory
+ * @param {string} workingDir
+ * @param {Object} options
+ * @param {string} options.schemaPath - Room schema to validate against
+ * @returns {Array<{file: string, errors: string[]}>} One entry per room file
+ */
+function validateWorkingDir(workingDir, { schemaPath }) {
+    return collectRoomFiles(workingDir).map(file => {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            return { file, errors: [`Invalid JSON: ${err.message}`] };
+        }
+        const result = validateAgainstSchema(data, schemaPath);
+        return { file, errors: result.valid ? [] : result.errors };
+    });
+}
+
+function parseArgs(argv) {
+    const options = { workingDir: null, schemaPath: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--schema') {
+            options.schemaPath = argv[++i];
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (!options.workingDir) {
+            options.workingDir = arg;
+        }
+    }
+    return options;
+}
+
+function main(argv) {
+    const options = parseArgs(argv);
+    if (options.help || !options.workingDir) {
+        console.log('Usage: node src/cli/validate.js <workingDir> [--schema <path>]');
+        return options.help ? 0 : 2;
+    }
+
+    const workingDir = path.resolve(options.workingDir);
+    if (!fs.existsSync(path.join(workingDir, 'region'))) {
+        console.error(`No region directory found in ${workingDir}`);
+        return 2;
+    }
+
+    const { config, error } = loadProjectConfig(workingDir);
+    if (error) {
+        console.error(`Invalid editor-config.json: ${error}`);
+        return 2;
+    }
+
+    const schemaPath = options.schemaPath
+        ? path.resolve(options.schemaPath)
+        : resolveRoomSchemaPath(workingDir, config);
+    if (!fs.existsSync(schemaPath)) {
+        console.error(`Schema file not found: ${schemaPath}`);
+        return 2;
+    }
+
+    const results = validateWorkingDir(workingDir, { schemaPath });
+    const failed = results.filter(result => result.errors.length > 0);
+
+    for (const { file, errors } of failed) {
+        console.log(path.relative(workingDir, file).split(path.sep).join('/'));
+        errors.forEach(err => console.log(`  ${err}`));
+    }
+
+    console.log(`Checked ${results.length} room files: ${failed.length} with errors`);
+    return failed.length > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { validateWorkingDir, collectRoomFiles, resolveRoomSchemaPath };
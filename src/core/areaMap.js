@@ -0,0 +1,170 @@
+/* =============================================================================
+   Area Map - Lays rooms out on a tile grid from their mapTileMask footprints
+   and the connection files
+
+   Room files carry no map coordinates, so rooms are placed by walking the
+   connections outwards from a first room: each neighbour is shifted so that the
+   two connected doors meet on the same tile edge. Groups of rooms that are not
+   connected to each other are laid out side by side.
+   ============================================================================= */
+
+// Gap in tiles between unconnected groups of rooms
+const GROUP_SPACING = 2;
+
+/**
+ * Size of a room footprint in tiles
+ * @param {Object} room - Workspace index entry
+ * @returns {{width: number, height: number}}
+ */
+function roomSize(room) {
+    const mask = Array.isArray(room.mapTileMask) ? room.mapTileMask : [];
+    return {
+        width: Math.max(1, ...mask.map(row => (Array.isArray(row) ? row.length : 0))),
+        height: Math.max(1, mask.length)
+    };
+}
+
+/**
+ * Door tile guessed from the orientation when the door has no mapTileMask:
+ * the middle of the matching edge of the room
+ */
+function fallbackDoorTile(room, door) {
+    const { width, height } = roomSize(room);
+    const midX = Math.floor(width / 2);
+    const midY = Math.floor(height / 2);
+    switch (door.orientation) {
+        case 'left':
+            return [0, midY];
+        case 'right':
+            return [width - 1, midY];
+        case 'up':
+            return [midX, 0];
+        case 'down':
+            return [midX, height - 1];
+        default:
+            return [midX, midY];
+    }
+}
+
+/**
+ * Point of a door on the room's outline, in tiles relative to the room origin
+ * @param {Object} room - Workspace index entry
+ * @param {Object} door - Door entry of the room
+ * @returns {{x: number, y: number}}
+ */
+function doorAnchor(room, door) {
+    const [tileX, tileY] = door.tile || fallbackDoorTile(room, door);
+
+    switch (door.orientation) {
+        case 'left':
+            return { x: tileX, y: tileY + 0.5 };
+        case 'right':
+            return { x: tileX + 1, y: tileY + 0.5 };
+        case 'up':
+            return { x: tileX + 0.5, y: tileY };
+        case 'down':
+            return { x: tileX + 0.5, y: tileY + 1 };
+        default:
+            return { x: tileX + 0.5, y: tileY + 0.5 };
+    }
+}
+
+/**
+ * Place rooms on a shared tile grid
+ * @param {Object[]} rooms - Workspace index entries to draw
+ * @param {Array<{file: string, connections: Object[]}>} connectionFiles
+ * @returns {{rooms: Object[], links: Object[]}} Rooms with x/y/width/height in tiles
+ *          and links between door anchors
+ */
+function layoutAreaMap(rooms, connectionFiles) {
+    const roomsById = new Map(rooms.map(room => [room.id, room]));
+    const endpoint = (node) => {
+        const room = roomsById.get(node.roomid);
+        const door = room?.doors.find(d => d.id === node.nodeid);
+        return door ? { room, door, anchor: doorAnchor(room, door) } : null;
+    };
+
+    // Connections whose two doors are both on the map
+    const links = [];
+    for (const { connections } of connectionFiles) {
+        for (const conn of connections || []) {
+            if (!Array.isArray(conn.nodes) || conn.nodes.length !== 2) continue;
+            const [from, to] = conn.nodes.map(endpoint);
+            if (!from || !to) continue;
+            links.push({ from, to, connectionType: conn.connectionType, direction: conn.direction });
+        }
+    }
+
+    const neighbours = new Map(rooms.map(room => [room.id, []]));
+    for (const link of links) {
+        if (link.from.room === link.to.room) continue;
+        neighbours.get(link.from.room.id).push({ room: link.to.room, offset: subtract(link.from.anchor, link.to.anchor) });
+        neighbours.get(link.to.room.id).push({ room: link.from.room, offset: subtract(link.to.anchor, link.from.anchor) });
+    }
+
+    // Walk each group of connected rooms breadth-first from its first room
+    const origins = new Map();
+    const groups = [];
+    for (const start of rooms) {
+        if (origins.has(start.id)) continue;
+        const group = [start];
+        origins.set(start.id, { x: 0, y: 0 });
+        for (let i = 0; i < group.length; i++) {
+            const origin = origins.get(group[i].id);
+            for (const { room, offset } of neighbours.get(group[i].id)) {
+                if (origins.has(room.id)) continue;
+                origins.set(room.id, { x: origin.x + offset.x, y: origin.y + offset.y });
+                group.push(room);
+            }
+        }
+        groups.push(group);
+    }
+
+    // Largest groups first, left to right
+    let cursorX = 0;
+    groups.sort((a, b) => b.length - a.length);
+    for (const group of groups) {
+        const bounds = group.map(room => ({ ...origins.get(room.id), ...roomSize(room) }));
+        const minX = Math.min(...bounds.map(b => b.x));
+        const minY = Math.min(...bounds.map(b => b.y));
+        const maxX = Math.max(...bounds.map(b => b.x + b.width));
+        for (const room of group) {
+            const origin = origins.get(room.id);
+            origins.set(room.id, { x: origin.x - minX + cursorX, y: origin.y - minY });
+        }
+        cursorX += maxX - minX + GROUP_SPACING;
+    }
+
+    const toMapPoint = ({ room, anchor }) => {
+        const origin = origins.get(room.id);
+        return { x: origin.x + anchor.x, y: origin.y + anchor.y };
+    };
+
+    return {
+        rooms: rooms.map(room => ({
+            name: room.name,
+            id: room.id,
+            area: room.area,
+            subarea: room.subarea,
+            fileName: room.fileName,
+            mapTileMask: room.mapTileMask,
+            ...origins.get(room.id),
+            ...roomSize(room)
+        })),
+        links: links.map(link => ({
+            from: toMapPoint(link.from),
+            to: toMapPoint(link.to),
+            connectionType: link.connectionType,
+            direction: link.direction
+        }))
+    };
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { layoutAreaMap };
+}
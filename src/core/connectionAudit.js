@@ -0,0 +1,177 @@
+/* =============================================================================
+   Connection Audit - Cross-checks connection/<area>/<subarea>.json,
+   connection/<area>/intra.json and connection/inter.json against the door
+   nodes of every room
+
+   Reports doors with no or several connections, endpoints pointing at rooms or
+   nodes that don't exist, stale roomName/nodeName strings, positions that
+   disagree with the door orientation and one-way connections with no way back.
+   ============================================================================= */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Connection "position" expected for each door orientation (see RoomManager.directionToPosition)
+const ORIENTATION_POSITIONS = {
+    left: 'left',
+    right: 'right',
+    up: 'top',
+    down: 'bottom'
+};
+
+/**
+ * Read every connection file of a working directory
+ * @param {string} workingDir
+ * @returns {Promise<Array<{file: string, connections: Object[], error?: string}>>} error is set for a file or
+ *          area folder that could not be read
+ */
+async function loadConnectionFiles(workingDir) {
+    const connectionDir = path.join(workingDir, 'connection');
+    const files = [];
+
+    const readConnectionFile = async (file) => {
+        try {
+            const data = JSON.parse(await fs.readFile(path.join(workingDir, file), 'utf8'));
+            files.push({ file, connections: Array.isArray(data?.connections) ? data.connections : [] });
+        } catch (err) {
+            files.push({ file, connections: [], error: err.message });
+        }
+    };
+
+    let entries;
+    try {
+        entries = await fs.readdir(connectionDir, { withFileTypes: true });
+    } catch {
+        return files;
+    }
+
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        if (entry.name.startsWith('.')) continue;
+        if (entry.isFile() && entry.name.endsWith('.json')) {
+            await readConnectionFile(`connection/${entry.name}`);
+        } else if (entry.isDirectory()) {
+            let areaFiles;
+            try {
+                areaFiles = await fs.readdir(path.join(connectionDir, entry.name));
+            } catch (err) {
+                // Reported like an unreadable file, so the audit still covers the rest
+                files.push({ file: `connection/${entry.name}`, connections: [], error: err.message });
+                continue;
+            }
+            for (const fileName of areaFiles.sort()) {
+                if (fileName.endsWith('.json') && !fileName.startsWith('.')) {
+                    await readConnectionFile(`connection/${entry.name}/${fileName}`);
+                }
+            }
+        }
+    }
+    return files;
+}
+
+/**
+ * Audit connection files against the rooms of the workspace index
+ * @param {Array<{file: string, connections: Object[]}>} connectionFiles
+ * @param {Object[]} rooms - Workspace index entries (name, id, area, subarea, fileName, doors)
+ * @returns {Array<{severity: string, message: string, file: string|null, connectionIndex: number|null,
+ *                  room: Object|null, nodeId: number|null}>}
+ */
+function auditConnections(connectionFiles, rooms) {
+    const issues = [];
+    const roomsById = new Map(rooms.map(room => [room.id, room]));
+    const endpointKey = (node) => `${node.roomid}:${node.nodeid}`;
+
+    const roomRef = (room) => room ? {
+        name: room.name,
+        area: room.area,
+        subarea: room.subarea,
+        fileName: room.fileName
+    } : null;
+    const report = (severity, message, { file = null, connectionIndex = null, room = null, nodeId = null } = {}) => {
+        issues.push({ severity, message, file, connectionIndex, room: roomRef(room), nodeId });
+    };
+
+    // door key -> set of endpoint keys it connects to
+    const partners = new Map();
+    const forwardLinks = new Set();
+    const forwardConnections = [];
+
+    for (const { file, connections, error } of connectionFiles) {
+        if (error) {
+            report('error', `Could not read ${file}: ${error}`, { file });
+            continue;
+        }
+
+        connections.forEach((conn, connectionIndex) => {
+            const where = { file, connectionIndex };
+            if (!Array.isArray(conn.nodes) || conn.nodes.length !== 2) {
+                report('error', `Connection #${connectionIndex} in ${file} does not have exactly 2 nodes`, where);
+                return;
+            }
+
+            conn.nodes.forEach(node => {
+                const room = roomsById.get(node.roomid);
+                if (!room) {
+                    report('error', `${file} #${connectionIndex}: no room has id ${node.roomid} ("${node.roomName}")`, where);
+                    return;
+                }
+                const at = { ...where, room, nodeId: node.nodeid };
+                const door = room.doors.find(d => d.id === node.nodeid);
+                if (!door) {
+                    report('error', `${file} #${connectionIndex}: ${room.name} has no door node ${node.nodeid} ("${node.nodeName}")`, at);
+                    return;
+                }
+                if (node.roomName !== room.name) {
+                    report('warning', `${file} #${connectionIndex}: roomName "${node.roomName}" should be "${room.name}"`, at);
+                }
+                if (node.nodeName !== door.name) {
+                    report('warning', `${file} #${connectionIndex}: nodeName "${node.nodeName}" should be "${door.name}"`, at);
+                }
+                const expectedPosition = ORIENTATION_POSITIONS[door.orientation];
+                if (expectedPosition && node.position !== expectedPosition) {
+                    report('warning', `${file} #${connectionIndex}: position "${node.position}" of ${door.name} disagrees with its doorOrientation "${door.orientation}" (expected "${expectedPosition}")`, at);
+                }
+            });
+
+            const [a, b] = conn.nodes.map(endpointKey);
+            if (!partners.has(a)) partners.set(a, new Set());
+            if (!partners.has(b)) partners.set(b, new Set());
+            partners.get(a).add(b);
+            partners.get(b).add(a);
+
+            if (conn.direction === 'Forward') {
+                forwardLinks.add(`${a}>${b}`);
+                forwardConnections.push({ conn, file, connectionIndex, from: a, to: b });
+            }
+        });
+    }
+
+    for (const { conn, file, connectionIndex, from, to } of forwardConnections) {
+        if (forwardLinks.has(`${to}>${from}`)) continue;
+        const [source, target] = conn.nodes;
+        report('warning', `${file} #${connectionIndex}: one-way connection ${source.nodeName} → ${target.nodeName} has no reverse connection`, {
+            file,
+            connectionIndex,
+            room: roomsById.get(source.roomid),
+            nodeId: source.nodeid
+        });
+    }
+
+    for (const room of rooms) {
+        for (const door of room.doors) {
+            const doorPartners = partners.get(`${room.id}:${door.id}`);
+            const at = { room, nodeId: door.id };
+            if (!doorPartners) {
+                report('error', `${room.name}: door ${door.id} "${door.name}" has no connection`, at);
+            } else if (doorPartners.size > 1) {
+                report('error', `${room.name}: door ${door.id} "${door.name}" has ${doorPartners.size} connections`, at);
+            }
+        }
+    }
+
+    return issues;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { loadConnectionFiles, auditConnections };
+}
@@ -0,0 +1,205 @@
+/* =============================================================================
+   Dataset Rename - Renames a tech, helper, item or game flag across a working
+   directory: its definition in tech.json / helpers.json / items.json and every
+   reference in rooms and in the requirements of other techs and helpers.
+
+   Nothing is written here; callers get the renamed data of each file and a
+   line diff to preview, and save the files themselves.
+   ============================================================================= */
+
+const { renameInRequirement } = require('./requirementWalker.js');
+
+// Files holding the definition of each kind of identifier
+const DEFINITION_FILES = {
+    tech: 'tech.json',
+    helper: 'helpers.json',
+    item: 'items.json',
+    event: 'items.json'
+};
+
+// Dataset files whose techs and helpers carry requirement trees
+const REQUIREMENT_FILES = ['tech.json', 'helpers.json'];
+const REQUIREMENT_KEYS = ['requires', 'techRequires', 'otherRequires'];
+
+// Name prefixes the condition editors rely on to tell identifiers apart
+const NAME_PREFIXES = {
+    helper: { prefix: 'h_', label: 'Helper' },
+    event: { prefix: 'f_', label: 'Game flag' }
+};
+
+/**
+ * Every named entry defining an identifier of a kind
+ * @param {string} kind - tech, helper, item or event
+ * @param {Object} data - Parsed definition file
+ * @returns {Array<{name: string, rename: Function}>} rename(newName) updates the entry in place
+ */
+function listDefinitions(kind, data) {
+    const definitions = [];
+    const addEntries = (entries) => {
+        if (!Array.isArray(entries)) return;
+        entries.forEach((entry, index) => {
+            if (typeof entry === 'string') {
+                definitions.push({ name: entry, rename: (newName) => { entries[index] = newName; } });
+            } else if (entry && typeof entry.name === 'string') {
+                definitions.push({ name: entry.name, rename: (newName) => { entry.name = newName; } });
+            }
+        });
+    };
+    const addTechs = (techs) => {
+        addEntries(techs);
+        (techs || []).forEach(tech => addTechs(tech.extensionTechs));
+    };
+
+    switch (kind) {
+        case 'tech':
+            (data.techCategories || []).forEach(category => addTechs(category.techs));
+            break;
+        case 'helper':
+            (data.helperCategories || []).forEach(category => addEntries(category.helpers));
+            break;
+        case 'item':
+            addEntries(data.implicitItems);
+            addEntries(data.upgradeItems);
+            addEntries(data.expansionItems);
+            break;
+        case 'event':
+            // Either a flat list or flags grouped by category
+            if (Array.isArray(data.gameFlags)) {
+                addEntries(data.gameFlags);
+            } else {
+                Object.values(data.gameFlags || {}).forEach(addEntries);
+            }
+            break;
+    }
+    return definitions;
+}
+
+/**
+ * Check that a rename can be applied to a definition file
+ * @returns {string|null} Error message, or null if the rename is valid
+ */
+function checkRename(kind, definitionData, oldName, newName) {
+    if (!DEFINITION_FILES[kind]) return `Unknown kind: ${kind}`;
+    if (!newName || newName !== newName.trim()) return 'The new name must not be empty or start/end with spaces';
+    if (oldName === newName) return 'The new name is the same as the old one';
+
+    const naming = NAME_PREFIXES[kind];
+    if (naming && !newName.startsWith(naming.prefix)) return `${naming.label} names must start with "${naming.prefix}"`;
+
+    const names = listDefinitions(kind, definitionData).map(definition => definition.name);
+    if (!names.includes(oldName)) return `"${oldName}" is not defined in ${DEFINITION_FILES[kind]}`;
+    if (names.includes(newName)) return `"${newName}" is already defined in ${DEFINITION_FILES[kind]}`;
+    return null;
+}
+
+/**
+ * Rename the definition of an identifier in place
+ * @returns {number} Number of definitions renamed
+ */
+function renameDefinition(kind, definitionData, oldName, newName) {
+    const matches = listDefinitions(kind, definitionData).filter(definition => definition.name === oldName);
+    matches.forEach(definition => definition.rename(newName));
+    return matches.length;
+}
+
+/**
+ * Rename references inside the requirement trees of tech.json / helpers.json in place
+ * @returns {number} Number of references renamed
+ */
+function renameReferencesInDefinitions(data, kind, oldName, newName) {
+    let total = 0;
+    const visit = (value) => {
+        if (Array.isArray(value)) {
+            value.forEach(visit);
+            return;
+        }
+        if (!value || typeof value !== 'object') return;
+        for (const key of Object.keys(value)) {
+            if (REQUIREMENT_KEYS.includes(key)) {
+                const { requirement, count } = renameInRequirement(value[key], kind, oldName, newName);
+                value[key] = requirement;
+                total += count;
+            } else {
+                visit(value[key]);
+            }
+        }
+    };
+    visit(data);
+    return total;
+}
+
+/**
+ * Line diff of two texts, as hunks of changed lines with a little context
+ * @param {string} before
+ * @param {string} after
+ * @param {number} [context] - Unchanged lines shown around each change
+ * @returns {Array<{line: number, lines: Array<{type: ' '|'-'|'+', text: string}>}>}
+ */
+function diffLines(before, after, context = 2) {
+    const oldLines = before.split('\n');
+    const newLines = after.split('\n');
+
+    // Renames rarely change the line count, so compare line by line when possible;
+    // otherwise report everything between the common prefix and suffix as one change
+    const changes = [];
+    if (oldLines.length === newLines.length) {
+        oldLines.forEach((line, index) => {
+            if (line !== newLines[index]) changes.push({ start: index, oldEnd: index + 1, newEnd: index + 1 });
+        });
+    } else {
+        let start = 0;
+        while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+        let oldEnd = oldLines.length;
+        let newEnd = newLines.length;
+        while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+        changes.push({ start, oldEnd, newEnd });
+    }
+
+    // Changes closer than two context windows share a hunk
+    const groups = [];
+    for (const change of changes) {
+        const last = groups[groups.length - 1];
+        if (last && change.start - last[last.length - 1].oldEnd <= context * 2) {
+            last.push(change);
+        } else {
+            groups.push([change]);
+        }
+    }
+
+    const hunks = groups.map(group => {
+        const first = group[0];
+        const lastChange = group[group.length - 1];
+        const hunkStart = Math.max(0, first.start - context);
+        const hunkEnd = Math.min(oldLines.length, lastChange.oldEnd + context);
+        const lines = [];
+
+        let position = hunkStart;
+        for (const change of group) {
+            for (let i = position; i < change.start; i++) lines.push({ type: ' ', text: oldLines[i] });
+            for (let i = change.start; i < change.oldEnd; i++) lines.push({ type: '-', text: oldLines[i] });
+            for (let i = change.start; i < change.newEnd; i++) lines.push({ type: '+', text: newLines[i] });
+            position = change.oldEnd;
+        }
+        for (let i = position; i < hunkEnd; i++) lines.push({ type: ' ', text: oldLines[i] });
+
+        return { line: hunkStart + 1, lines };
+    });
+
+    return hunks;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFINITION_FILES,
+        REQUIREMENT_FILES,
+        listDefinitions,
+        checkRename,
+        renameDefinition,
+        renameReferencesInDefinitions,
+        diffLines
+    };
+}
@@ -0,0 +1,137 @@
+/* =============================================================================
+   Dataset Stats - Figures for the statistics dashboard
+
+   Counts rooms, strats, notables and obstacles per area and subarea, tech and
+   helper usage in requirement trees, the strats-per-room distribution, rooms
+   without a note and rooms whose devNotes mention a TODO. Every figure keeps
+   the rooms it was counted from so the dashboard can link to them.
+   ============================================================================= */
+
+const { walkRequirement, forEachRoomRequirement } = require('./requirementWalker.js');
+
+// Upper bounds of the strats-per-room buckets; the last bucket is open-ended
+const STRAT_BUCKETS = [0, 4, 9, 19, 49];
+
+const TODO_PATTERN = /\bTODO\b/i;
+
+/**
+ * Name, area and subarea of a room; enough for the dashboard to open it
+ */
+function roomRef(entry) {
+    return {
+        name: entry.name,
+        area: entry.area,
+        subarea: entry.subarea,
+        fileName: entry.fileName
+    };
+}
+
+function isEmptyNote(note) {
+    if (Array.isArray(note)) return note.every(line => !String(line).trim());
+    return !note || !String(note).trim();
+}
+
+/**
+ * Every devNote line anywhere in a room that mentions a TODO
+ */
+function findTodoNotes(value, found = []) {
+    if (Array.isArray(value)) {
+        value.forEach(child => findTodoNotes(child, found));
+    } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            if (key === 'devNote') {
+                [].concat(child).filter(line => TODO_PATTERN.test(String(line))).forEach(line => found.push(String(line)));
+            } else {
+                findTodoNotes(child, found);
+            }
+        }
+    }
+    return found;
+}
+
+function bucketLabel(index) {
+    const upper = STRAT_BUCKETS[index];
+    if (index === 0) return String(upper);
+    if (index === STRAT_BUCKETS.length) return `${STRAT_BUCKETS[index - 1] + 1}+`;
+    return `${STRAT_BUCKETS[index - 1] + 1}–${upper}`;
+}
+
+/**
+ * Compute the dashboard figures
+ * @param {Array<{entry: Object, data: Object}>} rooms - Workspace index entries with their room data
+ * @param {{techs: Object[], helpers: Object[]}} definitions - Defined techs and helpers (see logicSolver.js);
+ *                                                           ones never referenced are listed with a count of 0
+ * @returns {Object}
+ */
+function computeDatasetStats(rooms, definitions) {
+    const subareas = new Map();
+    const techUsage = new Map((definitions.techs || []).map(tech => [tech.name, { name: tech.name, count: 0, rooms: [] }]));
+    const helperUsage = new Map((definitions.helpers || []).map(helper => [helper.name, { name: helper.name, count: 0, rooms: [] }]));
+    const stratBuckets = Array.from({ length: STRAT_BUCKETS.length + 1 }, (_, index) => ({ label: bucketLabel(index), rooms: [] }));
+    const roomsWithoutNote = [];
+    const roomsWithTodos = [];
+    const totals = { rooms: 0, strats: 0, notables: 0, obstacles: 0 };
+
+    const addUse = (usage, name, ref) => {
+        if (!usage.has(name)) usage.set(name, { name, count: 0, rooms: [] });
+        const entry = usage.get(name);
+        entry.count++;
+        if (entry.rooms[entry.rooms.length - 1] !== ref) entry.rooms.push(ref);
+    };
+
+    for (const { entry, data } of rooms) {
+        const ref = roomRef(entry);
+        const strats = (data.strats || []).length;
+        const notables = (data.notables || []).length;
+        const obstacles = (data.obstacles || []).length;
+
+        const key = `${entry.area}/${entry.subarea}`;
+        if (!subareas.has(key)) {
+            subareas.set(key, { area: entry.area, subarea: entry.subarea, strats: 0, notables: 0, obstacles: 0, rooms: [] });
+        }
+        const subarea = subareas.get(key);
+        subarea.rooms.push(ref);
+        subarea.strats += strats;
+        subarea.notables += notables;
+        subarea.obstacles += obstacles;
+
+        totals.rooms++;
+        totals.strats += strats;
+        totals.notables += notables;
+        totals.obstacles += obstacles;
+
+        const bucket = STRAT_BUCKETS.findIndex(upper => strats <= upper);
+        stratBuckets[bucket === -1 ? STRAT_BUCKETS.length : bucket].rooms.push(ref);
+
+        // Room references are pushed in room order, so each room is listed once per name
+        forEachRoomRequirement(data, (requirement) => {
+            walkRequirement(requirement, '', (leaf) => {
+                const name = typeof leaf === 'string' ? leaf : (leaf.tech || leaf.helper);
+                if (typeof name !== 'string') return;
+                if (leaf.helper || helperUsage.has(name)) addUse(helperUsage, name, ref);
+                else if (leaf.tech || techUsage.has(name)) addUse(techUsage, name, ref);
+            });
+        });
+
+        if (isEmptyNote(data.note)) roomsWithoutNote.push(ref);
+
+        const todos = findTodoNotes(data);
+        if (todos.length > 0) roomsWithTodos.push({ ...ref, todos });
+    }
+
+    const byUse = (a, b) => b.count - a.count || a.name.localeCompare(b.name);
+    return {
+        totals,
+        subareas: [...subareas.values()].sort((a, b) => a.area.localeCompare(b.area) || a.subarea.localeCompare(b.subarea)),
+        techUsage: [...techUsage.values()].sort(byUse),
+        helperUsage: [...helperUsage.values()].sort(byUse),
+        stratBuckets,
+        roomsWithoutNote,
+        roomsWithTodos
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { computeDatasetStats };
+}
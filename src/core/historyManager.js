@@ -0,0 +1,201 @@
+/**
+ * History Manager - Command-based undo/redo for edits to the current room
+ * Every mutation of the room data is recorded as a command holding snapshots
+ * of the room before and after the change.
+ */
+
+// Consecutive commands sharing a coalesce key merge when closer together than this
+const COALESCE_WINDOW_MS = 1500;
+
+/**
+ * Command that restores whole-room snapshots (serialized JSON strings)
+ */
+class RoomSnapshotCommand {
+	constructor(label, before, after, coalesceKey = null) {
+		this.label = label;
+		this.before = before;
+		this.after = after;
+		this.coalesceKey = coalesceKey;
+		this.timestamp = Date.now();
+	}
+
+	undo(state) {
+		state.restoreRoomSnapshot(this.before);
+	}
+
+	redo(state) {
+		state.restoreRoomSnapshot(this.after);
+	}
+
+	canMergeWith(next) {
+		return !!this.coalesceKey &&
+			this.coalesceKey === next.coalesceKey &&
+			next.timestamp - this.timestamp < COALESCE_WINDOW_MS;
+	}
+
+	merge(next) {
+		this.after = next.after;
+		this.timestamp = next.timestamp;
+	}
+
+	isNoOp() {
+		return this.before === this.after;
+	}
+}
+
+export class HistoryManager {
+	constructor(state, limit = 200) {
+		this.state = state;
+		this.limit = limit;
+		this.undoStack = [];
+		this.redoStack = [];
+		this.transaction = null;
+		this.listeners = new Set();
+	}
+
+	/**
+	 * Serialize the current room data
+	 * @returns {string|null}
+	 */
+	snapshot() {
+		return this.state.currentRoomData ? JSON.stringify(this.state.currentRoomData) : null;
+	}
+
+	/**
+	 * Run a mutation of the current room and record it as an undoable command
+	 * @param {string} label - Description shown in the undo/redo buttons
+	 * @param {Function} mutate - Performs the mutation
+	 * @param {Object} [options]
+	 * @param {string} [options.coalesceKey] - Merge with the previous command if it has the same key
+	 */
+	record(label, mutate, {
+		coalesceKey = null
+	} = {}) {
+		// Inside a transaction the commit captures the change
+		if (this.transaction || !this.state.currentRoomData) {
+			mutate();
+			return;
+		}
+
+		const before = this.snapshot();
+		mutate();
+		this.push(new RoomSnapshotCommand(label, before, this.snapshot(), coalesceKey));
+	}
+
+	/**
+	 * Start grouping every change until commitTransaction() into one command.
+	 * Used for drag operations that mutate geometry on every mouse move.
+	 * @param {string} label - Description of the grouped change
+	 */
+	beginTransaction(label) {
+		if (this.transaction || !this.state.currentRoomData) return;
+		this.transaction = {
+			label,
+			before: this.snapshot()
+		};
+	}
+
+	commitTransaction() {
+		if (!this.transaction) return;
+		const {
+			label,
+			before
+		} = this.transaction;
+		this.transaction = null;
+		this.push(new RoomSnapshotCommand(label, before, this.snapshot()));
+	}
+
+	isInTransaction() {
+		return this.transaction !== null;
+	}
+
+	/**
+	 * Push an already-applied command onto the undo stack.
+	 * Commands must implement undo(state) and redo(state) and have a label.
+	 * @param {Object} command
+	 */
+	push(command) {
+		if (command.isNoOp?.()) return;
+
+		const top = this.undoStack[this.undoStack.length - 1];
+		if (top?.canMergeWith?.(command)) {
+			top.merge(command);
+		} else {
+			this.undoStack.push(command);
+			if (this.undoStack.length > this.limit) {
+				this.undoStack.shift();
+			}
+		}
+
+		this.redoStack = [];
+		this.notify('record', command);
+	}
+
+	undo() {
+		if (this.transaction) return false;
+		const command = this.undoStack.pop();
+		if (!command) return false;
+
+		command.undo(this.state);
+		this.redoStack.push(command);
+		this.notify('undo', command);
+		return true;
+	}
+
+	redo() {
+		if (this.transaction) return false;
+		const command = this.redoStack.pop();
+		if (!command) return false;
+
+		command.redo(this.state);
+		this.undoStack.push(command);
+		this.notify('redo', command);
+		return true;
+	}
+
+	canUndo() {
+		return this.undoStack.length > 0;
+	}
+
+	canRedo() {
+		return this.redoStack.length > 0;
+	}
+
+	getUndoLabel() {
+		return this.undoStack[this.undoStack.length - 1]?.label || null;
+	}
+
+	getRedoLabel() {
+		return this.redoStack[this.redoStack.length - 1]?.label || null;
+	}
+
+	/**
+	 * Drop all history (e.g. when another room is loaded)
+	 */
+	clear() {
+		this.undoStack = [];
+		this.redoStack = [];
+		this.transaction = null;
+		this.notify('clear', null);
+	}
+
+	/**
+	 * Subscribe to history changes
+	 * @param {Function} callback - Called with (type, command); type is record/undo/redo/clear
+	 * @returns {Function} Unsubscribe function
+	 */
+	addListener(callback) {
+		this.listeners.add(callback);
+		return () => this.listeners.delete(callback);
+	}
+
+	notify(type, command) {
+		this.listeners.forEach(callback => {
+			try {
+				callback(type, command);
+			} catch (err) {
+				console.error('History listener failed:', err);
+			}
+		});
+	}
+}
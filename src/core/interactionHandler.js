@@ -18,6 +18,13 @@ import {
 	mergeNodesGeometry,
 	normalizeGeometry
 } from './geometryUtils.js';
+import {
+	findNodeReferences,
+	NODE_REFERENCE_EFFECTS
+} from './nodeReferences.js';
+
+// References listed in the delete warning before the rest are summed up
+const MAX_LISTED_REFERENCES = 12;
 
 export class InteractionHandler {
 	constructor(canvas, mapContainer, state, renderer, uiManager) {
@@ -47,7 +54,9 @@ export class InteractionHandler {
 				this.state.scale,
 				this.state.currentRoomData?.strats,
 				undefined, // mouseX - will be set by handleMouseMove
-				undefined // mouseY
+				undefined, // mouseY
+				this.state.hideBaseStrats,
+				this.state.getCanvasEntities()
 			);
 		});
 
@@ -72,6 +81,12 @@ export class InteractionHandler {
 		} = getMousePos(e, this.canvas, this.mapContainer, this.state.scale);
 		const nodeToRename = this.findNodeAtPosition(x, y);
 
+		// Off the nodes, a double-click opens the strat under the cursor
+		if (!nodeToRename) {
+			this.openStratAtPosition(x, y, e.clientX, e.clientY);
+			return;
+		}
+
 		// Only allow renaming junction nodes
 		if (nodeToRename && nodeToRename.nodeType === 'junction') {
 			// Create inline rename modal
@@ -117,9 +132,11 @@ export class InteractionHandler {
 
 			const save = () => {
 				const newName = input.value.trim();
-				if (newName) {
-					nodeToRename.name = newName;
-					this.state.currentRoomData.nodes = this.state.nodes;
+				if (newName && newName !== nodeToRename.name) {
+					this.state.history.record('Rename node', () => {
+						nodeToRename.name = newName;
+						this.state.currentRoomData.nodes = this.state.nodes;
+					});
 					this.uiManager.updateJsonDisplay(this.state.currentRoomData);
 					this.redraw();
 				}
@@ -158,6 +175,9 @@ export class InteractionHandler {
 		} = getMousePos(e, this.canvas, this.mapContainer, this.state.scale);
 		const multiSelect = e.ctrlKey || e.shiftKey;
 
+		// Any click on the canvas ends a search highlight
+		this.renderer.setHighlightedStrats([]);
+
 		switch (this.state.mode) {
 			case "draw":
 				this.startDrawing(x, y);
@@ -171,9 +191,12 @@ export class InteractionHandler {
 			case "resize":
 				this.startResizing(x, y);
 				break;
+			case "link":
+				this.startLinking(x, y);
+				break;
 		}
 
-		if (this.state.isDrawing || this.state.movingNodes.length > 0) {
+		if (this.state.isDrawing || this.state.movingNodes.length > 0 || this.state.linkDrag) {
 			this.state.globalMouseMoveHandler = this.handleGlobalMouseMove.bind(this);
 			this.state.globalMouseUpHandler = this.handleGlobalMouseUp.bind(this);
 			document.addEventListener('mousemove', this.state.globalMouseMoveHandler);
@@ -199,8 +222,10 @@ export class InteractionHandler {
 
 		this.updateTooltip(x, y, e);
 
-		// Redraw to update hover effects
-		this.redraw();
+		// Repaint the hover effects; drags redraw everything from the global handlers
+		if (!this.state.isDrawing && this.state.movingNodes.length === 0 && !this.state.linkDrag) {
+			this.renderer.redrawHover(this.lastMouseX, this.lastMouseY);
+		}
 	}
 
 	handleGlobalMouseMove(e) {
@@ -223,6 +248,9 @@ export class InteractionHandler {
 			case "resize":
 				this.updateResizing(x, y);
 				break;
+			case "link":
+				this.updateLinking(x, y);
+				break;
 		}
 
 		this.redraw();
@@ -240,6 +268,9 @@ export class InteractionHandler {
 		if (this.state.movingNodes.length > 0) {
 			this.finishMoving();
 		}
+		if (this.state.linkDrag) {
+			this.finishLinking(x, y);
+		}
 
 		document.removeEventListener('mousemove', this.state.globalMouseMoveHandler);
 		document.removeEventListener('mouseup', this.state.globalMouseUpHandler);
@@ -259,11 +290,85 @@ export class InteractionHandler {
 		} = getMousePos(e, this.canvas, this.mapContainer, this.state.scale);
 		const nodeToDelete = this.findNodeAtPosition(x, y);
 
-		// Only allow deleting junction nodes
-		if (nodeToDelete && nodeToDelete.nodeType === 'junction') {
-			this.state.removeNodes([nodeToDelete.id]);
+		if (nodeToDelete) {
+			this.deleteNodes([nodeToDelete]);
+		}
+	}
+
+	/**
+	 * Delete nodes of any type with the references to them, after listing those
+	 * references; a deleted door's connection can be removed from its connection file too
+	 * @param {Object[]} nodes
+	 */
+	async deleteNodes(nodes) {
+		try {
+			const room = this.state.currentRoomData;
+			const nodeIds = nodes.map(n => n.id);
+			const references = findNodeReferences(room, nodeIds);
+
+			const connections = [];
+			for (const node of nodes.filter(n => n.nodeType === 'door')) {
+				const connection = await this.state.findDoorConnection(node);
+				if (connection) connections.push({ node, connection });
+			}
+
+			if (references.length > 0 || connections.length > 0) {
+				const lines = [`Delete ${nodes.map(n => `[Node ${n.id}] ${n.name}`).join(', ')}?`];
+				if (references.length > 0) {
+					lines.push('', 'References:');
+					references.slice(0, MAX_LISTED_REFERENCES).forEach(ref => {
+						lines.push(`• ${ref.path} (node ${ref.nodeId}): ${NODE_REFERENCE_EFFECTS[ref.effect]}`);
+					});
+					if (references.length > MAX_LISTED_REFERENCES) {
+						lines.push(`…and ${references.length - MAX_LISTED_REFERENCES} more`);
+					}
+				}
+				if (connections.length > 0) {
+					lines.push('', 'Connections (removing them is saved right away and can\'t be undone):');
+					connections.forEach(({ node, connection }) => {
+						lines.push(`• ${node.name} ↔ ${connection.targetNode.roomName} (${connection.file})`);
+					});
+				}
+
+				const choices = [{
+					label: connections.length > 0 ? (nodes.length > 1 ? 'Delete Nodes Only' : 'Delete Node Only') : 'Delete',
+					value: 'delete',
+					color: '#f44336'
+				}, {
+					label: 'Cancel',
+					value: 'cancel'
+				}];
+				if (connections.length > 0) {
+					choices.unshift({
+						label: 'Delete With Connections',
+						value: 'deleteConnections',
+						color: '#f44336'
+					});
+				}
+
+				const choice = await this.uiManager.showChoiceDialog(lines.join('\n'), choices, 'cancel');
+				if (choice === 'cancel') return;
+				if (choice !== 'deleteConnections') connections.length = 0;
+			}
+
+			this.state.history.record(nodeIds.length > 1 ? 'Delete nodes' : 'Delete node', () => {
+				this.state.deleteNodes(nodeIds);
+			});
 			this.uiManager.updateJsonDisplay(this.state.currentRoomData);
 			this.redraw();
+
+			for (const { node, connection } of connections) {
+				await this.state.roomManager.updateDoorConnection(node, {
+					original: { file: connection.file, nodes: connection.nodes },
+					deleted: true
+				});
+			}
+			if (nodes.some(n => n.nodeType !== 'junction')) {
+				await this.uiManager.updateDoorButtons(this.state.currentRoomData);
+			}
+		} catch (err) {
+			console.error('Failed to delete nodes:', err);
+			this.uiManager.showAlert(`Failed to delete nodes: ${err.message}`);
 		}
 	}
 
@@ -317,7 +422,7 @@ export class InteractionHandler {
 				toggleBtn.textContent = this.state.hideBaseStrats ? '👁️ Show Base Strats (CTRL+B)' : '👁️ Hide Base Strats (CTRL+B)';
 				toggleBtn.style.background = this.state.hideBaseStrats ? '#9E9E9E' : '#607D8B';
 			}
-			this.redraw();
+			document.dispatchEvent(new Event('baseStratsToggled'));
 			return;
 		}
 
@@ -326,7 +431,8 @@ export class InteractionHandler {
 			"1": "draw",
 			"2": "select",
 			"3": "move",
-			"4": "resize"
+			"4": "resize",
+			"5": "link"
 		};
 		if (modeMap[e.key]) {
 			this.state.setMode(modeMap[e.key]);
@@ -334,16 +440,11 @@ export class InteractionHandler {
 			this.redraw();
 		}
 
-		// Delete selected nodes (only junction nodes)
+		// Delete selected nodes (enemy groups and obstacles stay)
 		if (e.key === "Delete" && this.state.selectedNodes.length > 0) {
-			const junctionIds = this.state.selectedNodes
-				.filter(n => n.nodeType === 'junction')
-				.map(n => n.id);
-
-			if (junctionIds.length > 0) {
-				this.state.removeNodes(junctionIds);
-				this.uiManager.updateJsonDisplay(this.state.currentRoomData);
-				this.redraw();
+			const nodes = this.state.selectedNodes.filter(n => this.state.nodes.includes(n));
+			if (nodes.length > 0) {
+				this.deleteNodes(nodes);
 			}
 		}
 	}
@@ -362,17 +463,19 @@ export class InteractionHandler {
 			return;
 		}
 
-		// Merge geometry from all selected nodes
-		const mergedGeometry = mergeNodesGeometry(junctionNodes);
-
-		// Keep the first node, update its geometry
 		const keepNode = junctionNodes[0];
-		keepNode.geometry = mergedGeometry;
-		keepNode.name = `Merged Junction ${keepNode.id}`;
+		this.state.history.record('Merge nodes', () => {
+			// Merge geometry from all selected nodes
+			const mergedGeometry = mergeNodesGeometry(junctionNodes);
 
-		// Remove other nodes
-		const removeIds = junctionNodes.slice(1).map(n => n.id);
-		this.state.removeNodes(removeIds);
+			// Keep the first node, update its geometry
+			keepNode.geometry = mergedGeometry;
+			keepNode.name = `Merged Junction ${keepNode.id}`;
+
+			// Remove other nodes
+			const removeIds = junctionNodes.slice(1).map(n => n.id);
+			this.state.removeNodes(removeIds);
+		});
 
 		// Update selection to just the merged node
 		this.state.selectedNodes = [keepNode];
@@ -413,6 +516,8 @@ export class InteractionHandler {
 	findNodeAtPosition(x, y) {
 		// Search in reverse to find topmost node
 		for (let i = this.state.nodes.length - 1; i >= 0; i--) {
+			// Nodes of hidden types can't be picked
+			if (!this.renderer.isNodeVisible(this.state.nodes[i])) continue;
 			if (isPointInNode(this.state.nodes[i], x, y)) {
 				return this.state.nodes[i];
 			}
@@ -420,6 +525,38 @@ export class InteractionHandler {
 		return null;
 	}
 
+	/**
+	 * Topmost enemy group or obstacle at a position
+	 * @returns {{kind: string, entity: Object}|null}
+	 */
+	findEntityAtPosition(x, y) {
+		const entities = this.state.getCanvasEntities();
+		for (let i = entities.length - 1; i >= 0; i--) {
+			if (isPointInNode(entities[i].entity, x, y)) {
+				return entities[i];
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * What select/move mode act on: enemy groups and obstacles are drawn over the nodes
+	 */
+	findSelectableAtPosition(x, y) {
+		return this.findEntityAtPosition(x, y)?.entity || this.findNodeAtPosition(x, y);
+	}
+
+	/**
+	 * Undo label for moving or resizing nodes, enemy groups and obstacles
+	 */
+	describeSelection(verb, selected = this.state.selectedNodes) {
+		if (selected.length > 1) return `${verb} selection`;
+
+		const item = this.state.getCanvasEntities().find(({ entity }) => entity === selected[0]);
+		if (!item) return `${verb} node`;
+		return item.kind === 'enemy' ? `${verb} enemy group` : `${verb} obstacle`;
+	}
+
 	startDrawing(x, y) {
 		this.state.startDrawing(x, y);
 	}
@@ -449,18 +586,34 @@ export class InteractionHandler {
 		rect = constrainRectToBounds(rect, this.state.currentRoomImage.width, this.state.currentRoomImage.height);
 
 		// If in triangle mode, create triangle from rectangle drag
-		if (this.state.triangleDrawMode) {
-			this.createTriangleFromRect(rect);
-		} else {
-			// Regular rectangle mode
-			this.state.addNode(rect);
+		const points = this.state.triangleDrawMode ? this.getTrianglePointsFromRect(rect) : null;
+		this.state.finishDrawing();
+
+		// Doors, items and utilities need more details first
+		if (this.state.drawNodeType !== 'junction') {
+			document.dispatchEvent(new CustomEvent('nodeDrawn', {
+				detail: { nodeType: this.state.drawNodeType, rect, points }
+			}));
+			return;
 		}
 
-		this.state.finishDrawing();
+		this.state.history.record('Draw node', () => {
+			if (points) {
+				this.state.addTriangleNode(points);
+			} else {
+				// Regular rectangle mode
+				this.state.addNode(rect);
+			}
+		});
+
 		this.uiManager.updateJsonDisplay(this.state.currentRoomData);
 	}
 
-	createTriangleFromRect(rect) {
+	/**
+	 * Right triangle filling a dragged rectangle, with the right angle at the drag start
+	 * @returns {Object[]} Points snapped to the 8x8 grid
+	 */
+	getTrianglePointsFromRect(rect) {
 		// Use the same logic as the preview to ensure consistency
 		const width = Math.abs(rect.w);
 		const height = Math.abs(rect.h);
@@ -544,16 +697,14 @@ export class InteractionHandler {
 		}
 
 		// Snap to 8x8 grid
-		const snappedPoints = points.map(p => ({
+		return points.map(p => ({
 			x: Math.round(p.x / 8) * 8,
 			y: Math.round(p.y / 8) * 8
 		}));
-
-		this.state.addTriangleNode(snappedPoints);
 	}
 
 	selectNode(x, y, multiSelect) {
-		const clickedNode = this.findNodeAtPosition(x, y);
+		const clickedNode = this.findSelectableAtPosition(x, y);
 
 		if (clickedNode) {
 			this.state.toggleNodeSelection(clickedNode, multiSelect);
@@ -564,16 +715,18 @@ export class InteractionHandler {
 	}
 
 	startMoving(x, y, multiSelect) {
-		const nodeToMove = this.findNodeAtPosition(x, y);
+		const nodeToMove = this.findSelectableAtPosition(x, y);
 
 		if (nodeToMove) {
 			// If clicking on an already selected node, move all selected nodes
-			const isAlreadySelected = this.state.selectedNodes.some(n => n.id === nodeToMove.id);
+			const isAlreadySelected = this.state.selectedNodes.includes(nodeToMove);
 
 			if (!isAlreadySelected) {
 				this.state.toggleNodeSelection(nodeToMove, multiSelect);
 			}
 
+			// The whole drag becomes a single undo step
+			this.state.history.beginTransaction(this.describeSelection('Move'));
 			this.state.startMovingNodes(this.state.selectedNodes, x, y);
 
 			if (this.state.selectedNodes.length === 1) {
@@ -586,7 +739,7 @@ export class InteractionHandler {
 		if (this.state.movingNodes.length === 0 || !this.state.currentRoomImage) return;
 
 		for (const node of this.state.movingNodes) {
-			const offset = this.state.moveOffsets.get(node.id);
+			const offset = this.state.moveOffsets.get(node);
 			if (!offset) continue;
 
 			const bounds = getNodeBounds(node);
@@ -604,7 +757,10 @@ export class InteractionHandler {
 			// Calculate delta and translate
 			const dx = newX - bounds.x;
 			const dy = newY - bounds.y;
+			if (dx === 0 && dy === 0) continue;
 
+			// An enemy group or obstacle gets its geometry in the room data once moved
+			this.state.placeEntity(node);
 			translateNodeGeometry(node, dx, dy);
 			normalizeGeometry(node.geometry);
 		}
@@ -612,12 +768,16 @@ export class InteractionHandler {
 
 	finishMoving() {
 		this.state.stopMoving();
+		this.state.history.commitTransaction();
 		this.uiManager.updateJsonDisplay(this.state.currentRoomData);
 	}
 
 	startResizing(x, y) {
-		const nodeToResize = this.state.nodes.find(n => isInResizeCorner(n, x, y));
+		// Enemy groups and obstacles are on top, so their corners win
+		const entity = this.state.getCanvasEntities().reverse().find(({ entity }) => isInResizeCorner(entity, x, y))?.entity;
+		const nodeToResize = entity || this.state.nodes.find(n => this.renderer.isNodeVisible(n) && isInResizeCorner(n, x, y));
 		if (nodeToResize) {
+			this.state.history.beginTransaction(this.describeSelection('Resize', [nodeToResize]));
 			this.state.startMovingNodes([nodeToResize], x, y);
 		}
 	}
@@ -636,13 +796,56 @@ export class InteractionHandler {
 
 		newW = Math.min(newW, this.state.currentRoomImage.width - bounds.x);
 		newH = Math.min(newH, this.state.currentRoomImage.height - bounds.y);
+		if (newW === bounds.w && newH === bounds.h) return;
 
+		this.state.placeEntity(node);
 		scaleNodeGeometry(node, newW, newH);
 		normalizeGeometry(node.geometry);
 	}
 
+	startLinking(x, y) {
+		const fromNode = this.findNodeAtPosition(x, y);
+		if (!fromNode) return;
+
+		this.state.linkDrag = { from: fromNode };
+		this.updateLinking(x, y);
+	}
+
+	/**
+	 * Point the preview arrow at the node under the mouse, or at the mouse itself
+	 */
+	updateLinking(x, y) {
+		if (!this.state.linkDrag) return;
+
+		const center = (node) => {
+			const bounds = getNodeBounds(node);
+			return { x: bounds.x + bounds.w / 2, y: bounds.y + bounds.h / 2 };
+		};
+		const from = center(this.state.linkDrag.from);
+		const target = this.findNodeAtPosition(x, y);
+		const to = target && target !== this.state.linkDrag.from ? center(target) : { x, y };
+
+		this.renderer.setLinkPreview({ fromX: from.x, fromY: from.y, toX: to.x, toY: to.y });
+	}
+
+	/**
+	 * Dropping on another node asks for the new strat (see ui/stratLinkHandler.js)
+	 */
+	finishLinking(x, y) {
+		const fromNode = this.state.linkDrag.from;
+		const toNode = this.findNodeAtPosition(x, y);
+		this.state.linkDrag = null;
+		this.renderer.setLinkPreview(null);
+
+		if (toNode && toNode !== fromNode) {
+			document.dispatchEvent(new CustomEvent('nodesLinked', {
+				detail: { from: fromNode, to: toNode }
+			}));
+		}
+	}
+
 	updateCursor(x, y) {
-		const hoverNode = this.findNodeAtPosition(x, y);
+		const hoverNode = this.findSelectableAtPosition(x, y);
 		const isResizeCorner = hoverNode && isInResizeCorner(hoverNode, x, y);
 		const isMoving = this.state.movingNodes.length > 0;
 		const cursor = getCursorStyle(this.state.mode, hoverNode, isResizeCorner, isMoving);
@@ -650,6 +853,15 @@ export class InteractionHandler {
 	}
 
 	updateTooltip(x, y, e) {
+		// Enemy groups and obstacles are drawn over the nodes
+		const hoverEntity = this.findEntityAtPosition(x, y);
+		if (hoverEntity) {
+			this.uiManager.updateTooltip({
+				name: this.describeEntity(hoverEntity)
+			}, e.clientX, e.clientY);
+			return;
+		}
+
 		// Check if hovering over any node at the current world position
 		const hoverNode = this.findNodeAtPosition(x, y);
 
@@ -676,56 +888,135 @@ export class InteractionHandler {
 				});
 			}
 
+			const warnings = this.renderer.getNodeWarnings(hoverNode.id);
+			if (warnings.length > 0) {
+				tooltipText += '\n\nWarnings:';
+				warnings.forEach(issue => {
+					tooltipText += `\n⚠ ${issue.message}`;
+				});
+			}
+
 			this.uiManager.updateTooltip({
 				name: tooltipText
 			}, e.clientX, e.clientY);
 			return;
 		}
 
-		// Check for all hovered strat connections at the current world position
-		const stratConns = this.renderer.getHoveredStratConnections(
-			x,
-			y,
-			this.state.scale
-		);
-
 		// If one or more strat connections are hovered, list all of them in the tooltip
-		if (stratConns.length > 0) {
-			// Get the hovered indices from renderer
-			const hoveredIndices = this.renderer.hoveredConnectionIndices || new Set();
-
-			// Filter connections to only show the ones that are actually hovered
-			const hoveredStrats = stratConns
-				.flatMap(conn => conn.connections)
-				.filter(c => hoveredIndices.has(c.index))
-				.sort((a, b) => {
-					if (!a.link || !Array.isArray(a.link)) return 1;
-					if (!b.link || !Array.isArray(b.link)) return -1;
-					if (a.link[0] !== b.link[0]) {
-						return a.link[0] - b.link[0];
-					}
-					return a.link[1] - b.link[1];
-				});
+		const hoveredStrats = this.findStratsAtPosition(x, y);
+		if (hoveredStrats.length > 0) {
+			const stratList = hoveredStrats
+				.map(c => `• [${c.from}, ${c.to}] (id: ${c.index}) ${c.name}`)
+				.join('\n');
+			const hint = (this.state.mode === 'select' || this.state.mode === 'move') ?
+				'\n\nDouble-click to open in Room Properties' : '';
 
-			if (hoveredStrats.length > 0) {
-				const stratList = hoveredStrats
-					.map(c => `• [${c.from}, ${c.to}] (id: ${c.index}) ${c.name}`)
-					.join('\n');
-
-				this.uiManager.updateTooltip({
-						name: `Strats:\n${stratList}`
-					},
-					e.clientX,
-					e.clientY
-				);
-				return;
-			}
+			this.uiManager.updateTooltip({
+					name: `Strats:\n${stratList}${hint}`
+				},
+				e.clientX,
+				e.clientY
+			);
+			return;
 		}
 
 		// Clear tooltip if nothing is currently hovered
 		this.uiManager.updateTooltip(null, e.clientX, e.clientY);
 	}
 
+	/**
+	 * Strat arrows under a position, as drawn in the last redraw
+	 * @returns {Object[]} Connections ({from, to, name, index}); index is 1-based
+	 */
+	findStratsAtPosition(x, y) {
+		return this.renderer.getHoveredStratConnections(x, y, this.state.scale)
+			.flatMap(conn => conn.connections)
+			.sort((a, b) => a.from - b.from || a.to - b.to || a.index - b.index);
+	}
+
+	/**
+	 * Open the strat arrow under a position in Room Properties; overlapping
+	 * arrows are picked from a small menu at the cursor first
+	 */
+	openStratAtPosition(x, y, clientX, clientY) {
+		const strats = this.findStratsAtPosition(x, y);
+		if (strats.length === 0) return;
+
+		const open = (conn) => {
+			document.dispatchEvent(new CustomEvent('openStrat', {
+				detail: { stratIndex: conn.index - 1 }
+			}));
+		};
+
+		if (strats.length === 1) {
+			open(strats[0]);
+			return;
+		}
+
+		// Transparent overlay so a click anywhere else dismisses the menu
+		const overlay = document.createElement('div');
+		overlay.className = 'modal-overlay';
+		overlay.style.cssText = 'display: flex; position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: transparent; z-index: 10000;';
+
+		const menu = document.createElement('div');
+		menu.style.cssText = `position: fixed; left: ${clientX}px; top: ${clientY}px; background: white; border: 1px solid #ccc; border-radius: 4px; box-shadow: 0 4px 6px rgba(0,0,0,0.2); max-height: 300px; overflow-y: auto; min-width: 200px;`;
+
+		const header = document.createElement('div');
+		header.style.cssText = 'padding: 6px 12px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 13px;';
+		header.textContent = 'Open strat';
+		menu.appendChild(header);
+
+		const cleanup = () => {
+			overlay.remove();
+			document.removeEventListener('keydown', handleKeydown, true);
+		};
+		const handleKeydown = (event) => {
+			if (event.key === 'Escape') {
+				event.preventDefault();
+				event.stopPropagation();
+				cleanup();
+			}
+		};
+
+		strats.forEach(conn => {
+			const item = document.createElement('div');
+			item.className = 'room-list-item';
+			item.style.fontSize = '12px';
+			item.textContent = `[${conn.from}, ${conn.to}] (id: ${conn.index}) ${conn.name}`;
+			item.addEventListener('click', () => {
+				cleanup();
+				open(conn);
+			});
+			menu.appendChild(item);
+		});
+
+		overlay.appendChild(menu);
+		document.body.appendChild(overlay);
+
+		overlay.addEventListener('mousedown', (event) => {
+			if (event.target === overlay) cleanup();
+		});
+		document.addEventListener('keydown', handleKeydown, true);
+
+		// Keep the menu on screen
+		const rect = menu.getBoundingClientRect();
+		if (rect.right > window.innerWidth) menu.style.left = `${Math.max(0, window.innerWidth - rect.width)}px`;
+		if (rect.bottom > window.innerHeight) menu.style.top = `${Math.max(0, window.innerHeight - rect.height)}px`;
+	}
+
+	describeEntity({ kind, entity }) {
+		if (kind === 'obstacle') {
+			return `[Obstacle ${entity.id}] ${entity.name || ''}` +
+				(entity.obstacleType ? `\nType: ${entity.obstacleType}` : '');
+		}
+
+		let text = `[Enemy ${entity.id}] ${entity.groupName || ''}` +
+			(entity.enemyName ? `\n${entity.quantity || 1} × ${entity.enemyName}` : '');
+		if (entity.homeNodes?.length) text += `\nHome nodes: ${entity.homeNodes.join(', ')}`;
+		if (entity.betweenNodes?.length) text += `\nBetween nodes: ${entity.betweenNodes.join(', ')}`;
+		return text;
+	}
+
 	handleZoom(e, centerX, centerY) {
 		if (!this.state.currentRoomImage) return;
 
@@ -744,6 +1035,13 @@ export class InteractionHandler {
 		const mouseX = this.lastMouseX;
 		const mouseY = this.lastMouseY;
 
+		// Every selection change ends in a redraw; let panels that follow it know
+		const selectionKey = this.state.selectedNodes.map(node => node.id).join(',');
+		if (selectionKey !== this.lastSelectionKey) {
+			this.lastSelectionKey = selectionKey;
+			document.dispatchEvent(new Event('selectionChanged'));
+		}
+
 		this.renderer.redraw(
 			this.state.currentRoomImage,
 			this.state.nodes,
@@ -753,7 +1051,8 @@ export class InteractionHandler {
 			this.state.currentRoomData?.strats,
 			mouseX,
 			mouseY,
-			this.state.hideBaseStrats
+			this.state.hideBaseStrats,
+			this.state.getCanvasEntities()
 		);
 	}
 }
\ No newline at end of file
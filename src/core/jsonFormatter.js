@@ -0,0 +1,208 @@
+/* =============================================================================
+   JSON Formatter - Canonical formatting for data files
+
+   Produces the compact style used by mxf-json-data / sm-json-data so that saving
+   a file only changes the lines that were actually edited. Used by the main
+   process (save-json), the JSON panel and the Room Properties editor.
+   ============================================================================= */
+
+const JSON_FORMAT_DEFAULTS = {
+	indent: 2,
+	// Objects and single-object arrays are inlined below this length
+	maxInlineLength: 80,
+	// Arrays of primitives up to this many items stay on one line
+	maxInlinePrimitives: 10,
+	// Values under these keys are inlined whenever they fit in inlineKeyMaxLength
+	inlineKeys: ['link', 'geometry', 'points'],
+	inlineKeyMaxLength: 120,
+	// 2D number arrays (mapTileMask) get one row per line without spaces
+	compactMatrices: true,
+	finalNewline: false,
+	// Parsed JSON schema used to order object keys (optional)
+	schema: null
+};
+
+/**
+ * Format data as canonical JSON text
+ * @param {*} data - Value to format
+ * @param {Object} [options] - Overrides for JSON_FORMAT_DEFAULTS
+ * @returns {string}
+ */
+function formatJson(data, options = {}) {
+	const opts = {
+		...JSON_FORMAT_DEFAULTS,
+		...options
+	};
+	const inlineKeys = new Set(opts.inlineKeys || []);
+	const value = opts.schema ? orderKeysBySchema(data, opts.schema) : data;
+
+	const isPrimitive = (item) =>
+		item === null ||
+		typeof item === 'string' ||
+		typeof item === 'number' ||
+		typeof item === 'boolean';
+
+	const stringifyInline = (item) => {
+		if (Array.isArray(item)) {
+			return '[' + item.map(v => stringifyInline(v) ?? 'null').join(', ') + ']';
+		}
+		if (item && typeof item === 'object') {
+			const entries = Object.keys(item)
+				.filter(k => item[k] !== undefined)
+				.map(k => `${JSON.stringify(k)}: ${stringifyInline(item[k])}`);
+			return '{' + entries.join(', ') + '}';
+		}
+		return JSON.stringify(item);
+	};
+
+	const stringify = (item, currentIndent, key = null) => {
+		const currentSpace = ' '.repeat(currentIndent);
+		const nextSpace = ' '.repeat(currentIndent + opts.indent);
+
+		if (item === undefined) return undefined;
+		if (isPrimitive(item)) return JSON.stringify(item);
+
+		if (key !== null && inlineKeys.has(key)) {
+			const inline = stringifyInline(item);
+			if (inline.length <= opts.inlineKeyMaxLength) return inline;
+		}
+
+		if (Array.isArray(item)) {
+			if (item.length === 0) return '[]';
+
+			if (item.every(isPrimitive) && item.length <= opts.maxInlinePrimitives) {
+				return stringifyInline(item);
+			}
+
+			const isNumberMatrix = item.every(row =>
+				Array.isArray(row) && row.every(cell => typeof cell === 'number')
+			);
+			if (opts.compactMatrices && isNumberMatrix) {
+				return '[\n' + nextSpace +
+					item.map(row => '[' + row.join(',') + ']').join(',\n' + nextSpace) +
+					'\n' + currentSpace + ']';
+			}
+
+			if (item.length === 1 && item[0] && typeof item[0] === 'object' && !Array.isArray(item[0])) {
+				// Requirement trees with several branches stay readable on multiple lines
+				const only = item[0];
+				const hasComplexLogic = (only.and && only.and.length > 1) || (only.or && only.or.length > 1);
+				if (!hasComplexLogic) {
+					const inner = stringify(only, 0);
+					if (!inner.includes('\n') && inner.length < opts.maxInlineLength) {
+						return '[' + inner + ']';
+					}
+				}
+			}
+
+			return '[\n' + nextSpace +
+				item.map(v => stringify(v, currentIndent + opts.indent) ?? 'null').join(',\n' + nextSpace) +
+				'\n' + currentSpace + ']';
+		}
+
+		const keys = Object.keys(item);
+		if (keys.length === 0) return '{}';
+
+		const entries = keys.map(k => {
+			const v = stringify(item[k], currentIndent + opts.indent, k);
+			return v !== undefined ? `${JSON.stringify(k)}: ${v}` : null;
+		}).filter(e => e !== null);
+
+		const singleLine = '{' + entries.join(', ') + '}';
+		if (singleLine.length < opts.maxInlineLength && !entries.some(e => e.includes('{') || e.includes('\n'))) {
+			return singleLine;
+		}
+
+		return '{\n' + nextSpace +
+			entries.join(',\n' + nextSpace) +
+			'\n' + currentSpace + '}';
+	};
+
+	const text = stringify(value, 0) ?? '';
+	return opts.finalNewline ? text + '\n' : text;
+}
+
+/**
+ * Return a copy of data whose object keys follow the order of the schema's
+ * "properties". Keys unknown to the schema keep their relative order after them.
+ * Only local references ("#/...") are followed.
+ * @param {*} data
+ * @param {Object} schema - Root schema
+ * @returns {*}
+ */
+function orderKeysBySchema(data, schema) {
+	const resolve = (node) => {
+		let depth = 0;
+		while (node && node.$ref && depth++ < 32) {
+			if (!node.$ref.startsWith('#')) return null;
+			node = node.$ref.slice(1).split('/').filter(Boolean)
+				.map(part => decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~'))
+				.reduce((current, part) => current?.[part], schema);
+		}
+		return node || null;
+	};
+
+	// Merge properties from the node and its allOf/anyOf/oneOf branches
+	const collectProperties = (node, properties = new Map(), seen = new Set()) => {
+		node = resolve(node);
+		if (!node || seen.has(node)) return properties;
+		seen.add(node);
+
+		for (const [key, sub] of Object.entries(node.properties || {})) {
+			if (!properties.has(key)) properties.set(key, sub);
+		}
+		for (const branchKey of ['allOf', 'anyOf', 'oneOf']) {
+			(node[branchKey] || []).forEach(branch => collectProperties(branch, properties, seen));
+		}
+		return properties;
+	};
+
+	const collectItems = (node, seen = new Set()) => {
+		node = resolve(node);
+		if (!node || seen.has(node)) return null;
+		seen.add(node);
+		if (node.items && !Array.isArray(node.items)) return node.items;
+		for (const branchKey of ['allOf', 'anyOf', 'oneOf']) {
+			for (const branch of node[branchKey] || []) {
+				const items = collectItems(branch, seen);
+				if (items) return items;
+			}
+		}
+		return null;
+	};
+
+	const order = (value, node) => {
+		if (!node || value === null || typeof value !== 'object') return value;
+
+		if (Array.isArray(value)) {
+			const itemSchema = collectItems(node);
+			return itemSchema ? value.map(item => order(item, itemSchema)) : value;
+		}
+
+		const properties = collectProperties(node);
+		const resolved = resolve(node);
+		const additional = resolved && typeof resolved.additionalProperties === 'object' ?
+			resolved.additionalProperties : null;
+		const keys = [
+			...[...properties.keys()].filter(k => k in value),
+			...Object.keys(value).filter(k => !properties.has(k))
+		];
+
+		const result = {};
+		for (const key of keys) {
+			result[key] = order(value[key], properties.get(key) || additional);
+		}
+		return result;
+	};
+
+	return order(data, schema);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		JSON_FORMAT_DEFAULTS,
+		formatJson,
+		orderKeysBySchema
+	};
+}
@@ -0,0 +1,284 @@
+/* =============================================================================
+   Logic Evaluator - Decides which requirements a loadout satisfies
+
+   Interprets requirement trees (see requirementWalker.js for their shape):
+     - items, techs (including their techRequires/otherRequires), helpers
+       (expanded recursively from helpers.json) and events/flags
+     - and/or/not, "free" and "never"
+     - resource costs (ammo, resource*, damage frames/hits, shinespark), which
+       are either ignored or added up and checked against a resource budget
+   Conditions on room state (obstacles, door locks, enemy kills, notables, ...)
+   are assumed to be satisfied. Used by the renderer (reachability panel) and
+   can be required by the main process.
+   ============================================================================= */
+
+// Energy lost per frame or hit of damage conditions, and the items that prevent it
+const LOGIC_DAMAGE_COSTS = {
+	heatFrames: { energy: 0.25, negatedBy: ['Varia', 'Gravity'] },
+	simpleHeatFrames: { energy: 0.25, negatedBy: ['Varia', 'Gravity'] },
+	gravitylessHeatFrames: { energy: 0.25, negatedBy: ['Varia'] },
+	heatFramesWithEnergyDrops: { energy: 0.25, negatedBy: ['Varia', 'Gravity'] },
+	coldFrames: { energy: 0.25, negatedBy: ['Varia', 'Gravity'] },
+	simpleColdFrames: { energy: 0.25, negatedBy: ['Varia', 'Gravity'] },
+	coldFramesWithEnergyDrops: { energy: 0.25, negatedBy: ['Varia', 'Gravity'] },
+	lavaFrames: { energy: 0.5, negatedBy: ['Gravity'] },
+	lavaFramesWithEnergyDrops: { energy: 0.5, negatedBy: ['Gravity'] },
+	gravitylessLavaFrames: { energy: 0.5, negatedBy: [] },
+	acidFrames: { energy: 1.5, negatedBy: [] },
+	gravitylessAcidFrames: { energy: 1.5, negatedBy: [] },
+	spikeHits: { energy: 60, negatedBy: [] },
+	thornHits: { energy: 16, negatedBy: [] },
+	electricityHits: { energy: 30, negatedBy: [] },
+	hibashiHits: { energy: 30, negatedBy: [] }
+};
+
+// Energy resource types all draw from the same pool
+const LOGIC_ENERGY_TYPES = ['Energy', 'RegularEnergy', 'ReserveEnergy'];
+
+function resourceKey(type) {
+	return LOGIC_ENERGY_TYPES.includes(type) ? 'Energy' : type;
+}
+
+function addCosts(a, b) {
+	const total = { ...a };
+	for (const [type, amount] of Object.entries(b)) {
+		total[type] = (total[type] || 0) + amount;
+	}
+	return total;
+}
+
+function costWeight(cost) {
+	return Object.values(cost).reduce((sum, amount) => sum + amount, 0);
+}
+
+class LogicEvaluator {
+	/**
+	 * @param {Object} definitions
+	 * @param {Array<{name: string, techRequires?: Array, otherRequires?: Array}>} definitions.techs
+	 * @param {Array<{name: string, requires?: Array}>} definitions.helpers
+	 * @param {Object} loadout
+	 * @param {string[]} loadout.items - Collected items
+	 * @param {string[]} loadout.techs - Enabled techs
+	 * @param {string[]} loadout.events - Game flags already set
+	 * @param {Object|null} [loadout.budget] - Maximum amount per resource type ({Energy: 299, Missile: 10, ...});
+	 *                                         null ignores resource costs
+	 */
+	constructor(definitions, loadout) {
+		this.techs = new Map((definitions.techs || []).map(tech => [tech.name, tech]));
+		this.helpers = new Map((definitions.helpers || []).map(helper => [helper.name, helper]));
+		this.items = new Set(loadout.items || []);
+		this.enabledTechs = new Set(loadout.techs || []);
+		this.events = new Set(loadout.events || []);
+		this.budget = loadout.budget || null;
+
+		// Techs and helpers are resolved once per evaluator
+		this.resolved = new Map();
+		this.resolving = new Set();
+	}
+
+	/**
+	 * Whether a requirement can be satisfied within the budget
+	 * @param {*} requirement
+	 * @returns {boolean}
+	 */
+	canSatisfy(requirement) {
+		const cost = this.cost(requirement);
+		return cost !== null && this.fits(cost);
+	}
+
+	/**
+	 * Resources needed to satisfy a requirement
+	 * @param {*} requirement
+	 * @returns {Object|null} Amount per resource type, or null when it can't be satisfied
+	 */
+	cost(requirement) {
+		if (requirement === null || requirement === undefined) return {};
+
+		if (Array.isArray(requirement)) {
+			return this.allOf(requirement);
+		}
+
+		if (typeof requirement === 'string') {
+			return this.nameCost(requirement);
+		}
+
+		if (typeof requirement !== 'object') return {};
+
+		if ('and' in requirement) return this.allOf(requirement.and);
+		if ('or' in requirement) return this.anyOf(requirement.or);
+		if ('not' in requirement) return this.cost(requirement.not) === null ? {} : null;
+
+		if ('item' in requirement) return this.items.has(requirement.item) ? {} : null;
+		if ('event' in requirement) return this.events.has(requirement.event) ? {} : null;
+		if ('tech' in requirement) return this.techCost(requirement.tech);
+		if ('helper' in requirement) return this.helperCost(requirement.helper);
+
+		return this.resourceCost(requirement);
+	}
+
+	allOf(requirements) {
+		let total = {};
+		for (const requirement of requirements || []) {
+			const cost = this.cost(requirement);
+			if (cost === null) return null;
+			total = addCosts(total, cost);
+		}
+		return total;
+	}
+
+	/**
+	 * Cheapest satisfiable alternative, preferring ones within the budget
+	 */
+	anyOf(requirements) {
+		let best = null;
+		for (const requirement of requirements || []) {
+			const cost = this.cost(requirement);
+			if (cost === null) continue;
+			if (best === null ||
+				(this.fits(cost) && !this.fits(best)) ||
+				(this.fits(cost) === this.fits(best) && costWeight(cost) < costWeight(best))) {
+				best = cost;
+			}
+		}
+		return best;
+	}
+
+	nameCost(name) {
+		if (name === 'free') return {};
+		if (name === 'never') return null;
+		if (this.helpers.has(name)) return this.helperCost(name);
+		if (this.techs.has(name)) return this.techCost(name);
+		if (name.startsWith('f_')) return this.events.has(name) ? {} : null;
+		return this.items.has(name) ? {} : null;
+	}
+
+	techCost(name) {
+		if (!this.enabledTechs.has(name)) return null;
+		const tech = this.techs.get(name);
+		if (!tech) return {};
+		return this.resolve(`tech:${name}`, () =>
+			this.allOf([...(tech.techRequires || []), ...(tech.otherRequires || [])])
+		);
+	}
+
+	helperCost(name) {
+		const helper = this.helpers.get(name);
+		if (!helper) return null;
+		return this.resolve(`helper:${name}`, () => this.allOf(helper.requires || []));
+	}
+
+	/**
+	 * Memoize a tech or helper; one that requires itself can't be satisfied
+	 */
+	resolve(key, compute) {
+		if (this.resolved.has(key)) return this.resolved.get(key);
+		if (this.resolving.has(key)) return null;
+
+		this.resolving.add(key);
+		const cost = compute();
+		this.resolving.delete(key);
+		this.resolved.set(key, cost);
+		return cost;
+	}
+
+	resourceCost(condition) {
+		const [type, value] = Object.entries(condition)[0] || [];
+		const hasAny = (items) => items.some(item => this.items.has(item));
+
+		if (type in LOGIC_DAMAGE_COSTS) {
+			const { energy, negatedBy } = LOGIC_DAMAGE_COSTS[type];
+			return hasAny(negatedBy) ? {} : { Energy: Math.ceil(Number(value) * energy) || 0 };
+		}
+
+		switch (type) {
+			case 'ammo':
+				return { [resourceKey(value.type)]: Number(value.count) || 0 };
+			case 'resourceConsumed':
+				return (value || []).reduce((total, { type: resource, count }) =>
+					addCosts(total, { [resourceKey(resource)]: Number(count) || 0 }), {});
+			case 'resourceCapacity':
+			case 'resourceAvailable': {
+				// Needs the amount in hand, without spending it
+				const enough = (value || []).every(({ type: resource, count }) =>
+					!this.budget || (this.budget[resourceKey(resource)] || 0) >= count);
+				return enough ? {} : null;
+			}
+			case 'shinespark':
+				return { Energy: Number(value?.frames) || 0 };
+			default:
+				return {};
+		}
+	}
+
+	/**
+	 * Whether a cost stays within the budget (Samus can't spend her last point of energy)
+	 */
+	fits(cost) {
+		if (!this.budget) return true;
+		return Object.entries(cost).every(([type, amount]) => {
+			const available = this.budget[type] || 0;
+			return type === 'Energy' ? amount < available : amount <= available;
+		});
+	}
+}
+
+/**
+ * Nodes of a room reachable from a start node and the strats used to reach them.
+ * Strats with an entrance condition depend on how the room was entered and are
+ * never used; flags set by usable strats count for the strats after them.
+ * @param {Object} room - Room data
+ * @param {number} startNodeId
+ * @param {Object} definitions - See LogicEvaluator
+ * @param {Object} loadout - See LogicEvaluator
+ * @returns {{nodes: Set<number>, strats: Set<number>, flags: string[]}} Node ids,
+ *          0-based strat indices and flags set along the way
+ */
+function evaluateRoomReachability(room, startNodeId, definitions, loadout) {
+	const strats = room.strats || [];
+	const events = new Set(loadout.events || []);
+
+	for (;;) {
+		const evaluator = new LogicEvaluator(definitions, { ...loadout, events: [...events] });
+		const usable = strats.map(strat =>
+			Array.isArray(strat.link) && strat.link.length === 2 &&
+			!strat.entranceCondition &&
+			evaluator.canSatisfy(strat.requires || [])
+		);
+
+		const reachedNodes = new Set([startNodeId]);
+		const usedStrats = new Set();
+		const queue = [startNodeId];
+		while (queue.length > 0) {
+			const nodeId = queue.shift();
+			strats.forEach((strat, index) => {
+				if (!usable[index] || strat.link[0] !== nodeId) return;
+				usedStrats.add(index);
+				const target = strat.link[1];
+				if (!reachedNodes.has(target)) {
+					reachedNodes.add(target);
+					queue.push(target);
+				}
+			});
+		}
+
+		const newFlags = [...usedStrats]
+			.flatMap(index => strats[index].setsFlags || [])
+			.filter(flag => !events.has(flag));
+		if (newFlags.length === 0) {
+			return {
+				nodes: reachedNodes,
+				strats: usedStrats,
+				flags: [...events].filter(flag => !(loadout.events || []).includes(flag))
+			};
+		}
+		newFlags.forEach(flag => events.add(flag));
+	}
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		LogicEvaluator,
+		evaluateRoomReachability
+	};
+}
@@ -0,0 +1,183 @@
+/* =============================================================================
+   Logic Solver - Whole-game reachability over every room of a working directory
+
+   Starting from one node with a loadout, follows usable strats inside rooms
+   (see logicEvaluator.js) and the connection files between rooms. Flags set by
+   used strats, and optionally the items of reached item nodes (nodeItem), are
+   added to the loadout and the walk is repeated until nothing new is found.
+   ============================================================================= */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { LogicEvaluator } = require('./logicEvaluator.js');
+
+// Safety net; every round must add a flag or item, so this is never reached in practice
+const MAX_ROUNDS = 500;
+
+/**
+ * Techs and helpers of tech.json and helpers.json in the shape LogicEvaluator expects
+ * @param {string} workingDir
+ * @returns {Promise<{techs: Object[], helpers: Object[]}>}
+ */
+async function loadLogicDefinitions(workingDir) {
+    const readData = async (file) => {
+        try {
+            return JSON.parse(await fs.readFile(path.join(workingDir, file), 'utf8'));
+        } catch {
+            return null;
+        }
+    };
+
+    const techs = [];
+    const collectTechs = (entries) => {
+        for (const tech of entries || []) {
+            techs.push(tech);
+            collectTechs(tech.extensionTechs);
+        }
+    };
+    const techData = await readData('tech.json');
+    (techData?.techCategories || []).forEach(category => collectTechs(category.techs));
+
+    const helperData = await readData('helpers.json');
+    const helpers = (helperData?.helperCategories || []).flatMap(category => category.helpers || []);
+
+    return { techs, helpers };
+}
+
+const nodeKey = (roomId, nodeId) => `${roomId}:${nodeId}`;
+
+/**
+ * Walk every reachable node of the game
+ * @param {Array<{entry: Object, data: Object}>} rooms - Workspace index entries with their room data
+ * @param {Array<{file: string, connections: Object[]}>} connectionFiles
+ * @param {{techs: Object[], helpers: Object[]}} definitions
+ * @param {Object} options
+ * @param {number} options.roomId - Start room
+ * @param {number} options.nodeId - Start node
+ * @param {Object} options.loadout - Items, techs, events and budget (see LogicEvaluator)
+ * @param {boolean} [options.collectItems] - Add the nodeItem of reached item nodes to the loadout
+ * @returns {Object} Report
+ */
+function solveReachability(rooms, connectionFiles, definitions, { roomId, nodeId, loadout, collectItems = false }) {
+    const roomsById = new Map(rooms.map(room => [room.data.id, room]));
+
+    // Door-to-door links between rooms
+    const doorLinks = new Map();
+    const addDoorLink = (from, to) => {
+        const key = nodeKey(from.roomid, from.nodeid);
+        if (!doorLinks.has(key)) doorLinks.set(key, []);
+        doorLinks.get(key).push(nodeKey(to.roomid, to.nodeid));
+    };
+    for (const { connections } of connectionFiles) {
+        for (const conn of connections || []) {
+            if (!Array.isArray(conn.nodes) || conn.nodes.length !== 2) continue;
+            const [a, b] = conn.nodes;
+            addDoorLink(a, b);
+            if (conn.direction !== 'Forward') addDoorLink(b, a);
+        }
+    }
+
+    const events = new Set(loadout.events || []);
+    const items = new Set(loadout.items || []);
+    let rounds = 0;
+    let reached;
+    let usedStrats;
+
+    for (;;) {
+        rounds++;
+        const evaluator = new LogicEvaluator(definitions, { ...loadout, items: [...items], events: [...events] });
+
+        // Usable strats per room, by start node
+        const stratsFrom = new Map();
+        for (const { data } of rooms) {
+            (data.strats || []).forEach((strat, index) => {
+                if (!Array.isArray(strat.link) || strat.link.length !== 2 || strat.entranceCondition) return;
+                if (!evaluator.canSatisfy(strat.requires || [])) return;
+                const key = nodeKey(data.id, strat.link[0]);
+                if (!stratsFrom.has(key)) stratsFrom.set(key, []);
+                stratsFrom.get(key).push({ room: data, strat, index });
+            });
+        }
+
+        const start = nodeKey(roomId, nodeId);
+        reached = new Set([start]);
+        usedStrats = [];
+        const queue = [start];
+        const visit = (key) => {
+            if (reached.has(key)) return;
+            reached.add(key);
+            queue.push(key);
+        };
+
+        while (queue.length > 0) {
+            const key = queue.shift();
+            for (const used of stratsFrom.get(key) || []) {
+                usedStrats.push(used);
+                visit(nodeKey(used.room.id, used.strat.link[1]));
+            }
+            (doorLinks.get(key) || []).forEach(visit);
+        }
+
+        let changed = false;
+        for (const { strat } of usedStrats) {
+            for (const flag of strat.setsFlags || []) {
+                if (!events.has(flag)) {
+                    events.add(flag);
+                    changed = true;
+                }
+            }
+        }
+        if (collectItems) {
+            for (const { data } of rooms) {
+                for (const node of data.nodes || []) {
+                    if (node.nodeType === 'item' && node.nodeItem && !items.has(node.nodeItem) &&
+                        reached.has(nodeKey(data.id, node.id))) {
+                        items.add(node.nodeItem);
+                        changed = true;
+                    }
+                }
+            }
+        }
+        if (!changed || rounds >= MAX_ROUNDS) break;
+    }
+
+    const roomReports = rooms.map(({ entry, data }) => {
+        const nodes = data.nodes || [];
+        const reachedNodes = nodes.filter(node => reached.has(nodeKey(data.id, node.id)));
+        return {
+            name: entry.name,
+            area: entry.area,
+            subarea: entry.subarea,
+            fileName: entry.fileName,
+            file: entry.file,
+            id: data.id,
+            totalNodes: nodes.length,
+            reachedNodes: reachedNodes.length,
+            unreachableItems: nodes
+                .filter(node => node.nodeType === 'item' && !reached.has(nodeKey(data.id, node.id)))
+                .map(node => ({ id: node.id, name: node.name, nodeItem: node.nodeItem || null }))
+        };
+    });
+
+    const startRoom = roomsById.get(roomId);
+    return {
+        start: {
+            roomName: startRoom?.entry.name || null,
+            nodeId
+        },
+        rounds,
+        reachedNodes: roomReports.reduce((sum, room) => sum + room.reachedNodes, 0),
+        totalNodes: roomReports.reduce((sum, room) => sum + room.totalNodes, 0),
+        reachedRooms: roomReports.filter(room => room.reachedNodes > 0).length,
+        flags: [...events].filter(flag => !(loadout.events || []).includes(flag)).sort(),
+        collectedItems: [...items].filter(item => !(loadout.items || []).includes(item)).sort(),
+        // Their connections are missing from the walk, so areas behind them look unreachable
+        connectionErrors: connectionFiles.filter(({ error }) => error).map(({ file, error }) => ({ file, error })),
+        rooms: roomReports
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { loadLogicDefinitions, solveReachability };
+}
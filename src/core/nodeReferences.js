@@ -0,0 +1,228 @@
+/**
+ * Node References - Finds, removes and renumbers the places a room refers to
+ * its nodes by id (strat links, collected items, door unlocks, enemy patrol
+ * nodes, environments, spawnAt/viewableNodes and node conditions in requirements)
+ */
+
+// forEachRoomRequirement comes from core/requirementWalker.js (classic script shared with the main process)
+
+// Requirement conditions whose value is a single node id
+const NODE_CONDITION_KEYS = ['doorUnlockedAtNode', 'itemCollectedAtNode', 'itemNotCollectedAtNode'];
+
+// Node id lists of {resetRoom: {...}}
+const RESET_ROOM_NODE_KEYS = ['nodes', 'nodesToAvoid'];
+
+export const NODE_REFERENCE_EFFECTS = {
+    deleted: 'strat deleted',
+    removed: 'removed',
+    renumbered: 'renumbered',
+    kept: 'kept, edit by hand'
+};
+
+/**
+ * Walk every node reference of a room, mapping the ids
+ * @param {Object} room - Room data; only modified when apply is true
+ * @param {Function} mapId - Returns the new id of a node, or null if the node goes away
+ * @param {boolean} apply - Write the changes into the room
+ * @returns {Array<{nodeId: number, path: string, effect: string}>} References that change;
+ *          effect is a NODE_REFERENCE_EFFECTS key
+ */
+function rewriteNodeReferences(room, mapId, apply) {
+    const changes = [];
+    const note = (nodeId, path, effect) => changes.push({ nodeId, path, effect });
+    const effectOf = (mapped) => mapped === null ? 'removed' : 'renumbered';
+
+    const mapList = (ids, path) => {
+        if (!Array.isArray(ids)) return ids;
+        return ids.flatMap((id, index) => {
+            const mapped = mapId(id);
+            if (mapped !== id) note(id, `${path}[${index}]`, effectOf(mapped));
+            return mapped === null ? [] : [mapped];
+        });
+    };
+    const set = (owner, key, value) => {
+        if (apply) owner[key] = value;
+    };
+    // Optional lists are left out rather than kept empty, as the editors write them
+    const setList = (owner, key, list) => {
+        if (!apply) return;
+        if (list.length === 0 && owner[key].length > 0) {
+            delete owner[key];
+        } else {
+            owner[key] = list;
+        }
+    };
+
+    // Environments only apply to their entrance nodes; one left with none is dropped,
+    // unless it is the last, which then applies to every entrance instead
+    const mapEnvironments = (owner, key, path) => {
+        if (!Array.isArray(owner[key])) return;
+        let emptied = null;
+        const environments = owner[key].filter((environment, index) => {
+            if (!Array.isArray(environment.entranceNodes) || environment.entranceNodes.length === 0) return true;
+            const entranceNodes = mapList(environment.entranceNodes, `${path}[${index}].entranceNodes`);
+            set(environment, 'entranceNodes', entranceNodes);
+            if (entranceNodes.length === 0 && !emptied) emptied = environment;
+            return entranceNodes.length > 0;
+        });
+        if (environments.length === 0 && emptied) {
+            if (apply) delete emptied.entranceNodes;
+            environments.push(emptied);
+        }
+        set(owner, key, environments);
+    };
+
+    const strats = room.strats || [];
+    const deletedStrats = new Set();
+    strats.forEach((strat, index) => {
+        if (!Array.isArray(strat.link)) return;
+        const link = strat.link.map(mapId);
+        if (link.includes(null)) {
+            deletedStrats.add(index);
+            [...new Set(strat.link)].filter(id => mapId(id) === null).forEach(id => note(id, `strats[${index}].link`, 'deleted'));
+        } else if (link.some((id, position) => id !== strat.link[position])) {
+            strat.link.forEach((id, position) => {
+                if (link[position] !== id) note(id, `strats[${index}].link[${position}]`, 'renumbered');
+            });
+            set(strat, 'link', link);
+        }
+    });
+
+    const mapRequirement = (requirement, path) => {
+        if (Array.isArray(requirement)) return requirement.map((child, index) => mapRequirement(child, `${path}[${index}]`));
+        if (!requirement || typeof requirement !== 'object') return requirement;
+
+        const logicalKey = ['and', 'or', 'not'].find(key => key in requirement);
+        if (logicalKey) {
+            return { ...requirement, [logicalKey]: mapRequirement(requirement[logicalKey], `${path}.${logicalKey}`) };
+        }
+
+        const conditionKey = NODE_CONDITION_KEYS.find(key => key in requirement);
+        if (conditionKey) {
+            const id = requirement[conditionKey];
+            const mapped = mapId(id);
+            if (mapped === id) return requirement;
+            // Dropping the condition would change the logic, so it is left for a person to rewrite
+            note(id, `${path}.${conditionKey}`, mapped === null ? 'kept' : 'renumbered');
+            return mapped === null ? requirement : { ...requirement, [conditionKey]: mapped };
+        }
+
+        if (requirement.resetRoom && typeof requirement.resetRoom === 'object') {
+            const resetRoom = { ...requirement.resetRoom };
+            RESET_ROOM_NODE_KEYS.forEach(key => {
+                if (Array.isArray(resetRoom[key])) resetRoom[key] = mapList(resetRoom[key], `${path}.resetRoom.${key}`);
+            });
+            return { ...requirement, resetRoom };
+        }
+
+        return requirement;
+    };
+
+    forEachRoomRequirement(room, (requirement, path, context, update) => {
+        if (context.type === 'strat' && deletedStrats.has(context.index)) return;
+        const before = changes.length;
+        const mapped = mapRequirement(requirement, path);
+        if (apply && changes.length > before) update(mapped);
+    });
+
+    strats.forEach((strat, index) => {
+        if (deletedStrats.has(index)) return;
+        if (Array.isArray(strat.collectsItems)) {
+            setList(strat, 'collectsItems', mapList(strat.collectsItems, `strats[${index}].collectsItems`));
+        }
+        if (Array.isArray(strat.unlocksDoors)) {
+            setList(strat, 'unlocksDoors', strat.unlocksDoors.filter((unlock, unlockIndex) => {
+                if (unlock.nodeId === undefined) return true;
+                const mapped = mapId(unlock.nodeId);
+                if (mapped === unlock.nodeId) return true;
+                note(unlock.nodeId, `strats[${index}].unlocksDoors[${unlockIndex}].nodeId`, effectOf(mapped));
+                set(unlock, 'nodeId', mapped);
+                return mapped !== null;
+            }));
+        }
+    });
+
+    (room.nodes || []).forEach((node, index) => {
+        if (node.spawnAt !== undefined) {
+            const mapped = mapId(node.spawnAt);
+            if (mapped !== node.spawnAt) {
+                note(node.spawnAt, `nodes[${index}].spawnAt`, effectOf(mapped));
+                if (apply && mapped === null) {
+                    delete node.spawnAt;
+                } else {
+                    set(node, 'spawnAt', mapped);
+                }
+            }
+        }
+        if (Array.isArray(node.viewableNodes)) {
+            setList(node, 'viewableNodes', node.viewableNodes.filter((viewable, viewableIndex) => {
+                const mapped = mapId(viewable.nodeId);
+                if (mapped === viewable.nodeId) return true;
+                note(viewable.nodeId, `nodes[${index}].viewableNodes[${viewableIndex}]`, effectOf(mapped));
+                set(viewable, 'nodeId', mapped);
+                return mapped !== null;
+            }));
+        }
+        mapEnvironments(node, 'doorEnvironments', `nodes[${index}].doorEnvironments`);
+    });
+
+    (room.enemies || []).forEach((enemy, index) => {
+        if (Array.isArray(enemy.homeNodes)) {
+            setList(enemy, 'homeNodes', mapList(enemy.homeNodes, `enemies[${index}].homeNodes`));
+        }
+        if (Array.isArray(enemy.betweenNodes)) {
+            const betweenNodes = mapList(enemy.betweenNodes, `enemies[${index}].betweenNodes`);
+            // A pair missing one end means nothing
+            if (betweenNodes.length < enemy.betweenNodes.length) {
+                if (apply) delete enemy.betweenNodes;
+            } else {
+                set(enemy, 'betweenNodes', betweenNodes);
+            }
+        }
+    });
+
+    mapEnvironments(room, 'roomEnvironments', 'roomEnvironments');
+
+    if (apply && deletedStrats.size > 0) {
+        room.strats = strats.filter((strat, index) => !deletedStrats.has(index));
+    }
+
+    return changes;
+}
+
+/**
+ * References that deleting nodes would change
+ * @param {Object} room - Room data
+ * @param {number[]} nodeIds
+ * @returns {Array<{nodeId: number, path: string, effect: string}>}
+ */
+export function findNodeReferences(room, nodeIds) {
+    const removed = new Set(nodeIds);
+    return rewriteNodeReferences(room, id => removed.has(id) ? null : id, false);
+}
+
+/**
+ * Clean up the references to deleted nodes: strats linking them are deleted, ids
+ * are taken out of lists, and node conditions in requirements are left as they are.
+ * The room is modified in place; the nodes themselves are not removed.
+ * @param {Object} room - Room data
+ * @param {number[]} nodeIds
+ * @returns {Array<{nodeId: number, path: string, effect: string}>} What was changed
+ */
+export function removeNodeReferences(room, nodeIds) {
+    const removed = new Set(nodeIds);
+    return rewriteNodeReferences(room, id => removed.has(id) ? null : id, true);
+}
+
+/**
+ * Give nodes new ids, along with every reference to them. The room is modified in place.
+ * @param {Object} room - Room data
+ * @param {Map<number, number>} idMap - Old id to new id
+ */
+export function remapNodeIds(room, idMap) {
+    const mapId = id => idMap.has(id) ? idMap.get(id) : id;
+    (room.nodes || []).forEach(node => {
+        node.id = mapId(node.id);
+    });
+    rewriteNodeReferences(room, mapId, true);
+}
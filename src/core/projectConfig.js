@@ -0,0 +1,122 @@
+/* =============================================================================
+   Project Config - Per-dataset settings read from <workingDir>/editor-config.json
+
+   Everything that differs between datasets (mxf-json-data, sm-json-data, a new
+   hack) lives here instead of being hardcoded in the editor. Missing keys fall
+   back to the X-Fusion defaults below.
+   ============================================================================= */
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_CONFIG_FILE = 'editor-config.json';
+
+const DEFAULT_PROJECT_CONFIG = {
+    // Room schema, relative to the working directory
+    roomSchema: 'schema/mxf-room.schema.json',
+    // Sector bar order; startRoom is "<area>/<subarea>/<room file name without .json>"
+    areas: [
+        { code: 'L-X', startRoom: 'L-X/General/Revival Room' },
+        { code: 'MDK', startRoom: 'MDK/West Main Deck/Central Nexus _ Nexus Storage _ Concourse' },
+        { code: 'SRX', startRoom: 'SRX/Upper SRX/SRX Entrance Lobby' },
+        { code: 'TRO', startRoom: 'TRO/General/TRO Entrance Lobby' },
+        { code: 'PYR', startRoom: 'PYR/Upper PYR/PYR-TRO Elevator _ PYR Entrance Lobby' },
+        { code: 'AQA', startRoom: 'AQA/Upper East AQA/AQA-ARC Elevator' },
+        { code: 'ARC', startRoom: 'ARC/Upper ARC/ARC-PYR Access' },
+        { code: 'NOC', startRoom: 'NOC/Upper NOC/NOC Entrance Lobby North' },
+        { code: 'DMX', startRoom: 'DMX/Opening Segment/DMX Entrance' }
+    ],
+    // Room names containing " / " that are a single room rather than several sub-rooms
+    compositeRoomExceptions: [
+        'PYR-TRO Elevator / PYR Entrance Lobby'
+    ],
+    // Overrides of the saved JSON style (JSON_FORMAT_DEFAULTS in core/jsonFormatter.js),
+    // e.g. {indent: 4, inlineKeys: ['link', 'geometry'], maxInlineLength: 100}
+    jsonFormat: {}
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the types of the keys of an editor-config.json
+ * @param {*} fileConfig - Parsed file
+ * @returns {string|null} What is wrong, or null
+ */
+function checkProjectConfig(fileConfig) {
+    if (!isPlainObject(fileConfig)) return 'must be a JSON object';
+
+    const { roomSchema, areas, compositeRoomExceptions, jsonFormat } = fileConfig;
+    if (roomSchema !== undefined && typeof roomSchema !== 'string') {
+        return '"roomSchema" must be a path string';
+    }
+    if (areas !== undefined) {
+        if (!Array.isArray(areas)) return '"areas" must be an array';
+        for (const [index, area] of areas.entries()) {
+            if (typeof area === 'string') continue;
+            if (!isPlainObject(area) || typeof area.code !== 'string') {
+                return `"areas[${index}]" must be an area code or an object with a "code" string`;
+            }
+            for (const key of ['label', 'startRoom']) {
+                if (area[key] !== undefined && area[key] !== null && typeof area[key] !== 'string') {
+                    return `"areas[${index}].${key}" must be a string`;
+                }
+            }
+        }
+    }
+    if (compositeRoomExceptions !== undefined &&
+        (!Array.isArray(compositeRoomExceptions) || compositeRoomExceptions.some(name => typeof name !== 'string'))) {
+        return '"compositeRoomExceptions" must be an array of room names';
+    }
+    if (jsonFormat !== undefined) {
+        if (!isPlainObject(jsonFormat)) return '"jsonFormat" must be an object';
+        for (const key of ['indent', 'maxInlineLength', 'maxInlinePrimitives', 'inlineKeyMaxLength']) {
+            if (jsonFormat[key] !== undefined && !(Number.isInteger(jsonFormat[key]) && jsonFormat[key] >= 0)) {
+                return `"jsonFormat.${key}" must be a whole number`;
+            }
+        }
+        if (jsonFormat.inlineKeys !== undefined &&
+            (!Array.isArray(jsonFormat.inlineKeys) || jsonFormat.inlineKeys.some(key => typeof key !== 'string'))) {
+            return '"jsonFormat.inlineKeys" must be an array of key names';
+        }
+        if (jsonFormat.compactMatrices !== undefined && typeof jsonFormat.compactMatrices !== 'boolean') {
+            return '"jsonFormat.compactMatrices" must be true or false';
+        }
+    }
+    return null;
+}
+
+/**
+ * Load the project config of a working directory, merged over the defaults.
+ * Nothing is printed; callers report the error (the defaults are used in that case).
+ * @param {string|null} workingDir
+ * @returns {{config: Object, source: string|null, error: string|null}}
+ */
+function loadProjectConfig(workingDir) {
+    const config = JSON.parse(JSON.stringify(DEFAULT_PROJECT_CONFIG));
+    if (!workingDir) return { config, source: null, error: null };
+
+    const configPath = path.join(workingDir, PROJECT_CONFIG_FILE);
+    if (!fs.existsSync(configPath)) return { config, source: null, error: null };
+
+    try {
+        const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+        const problem = checkProjectConfig(fileConfig);
+        if (problem) return { config, source: configPath, error: problem };
+
+        for (const [key, value] of Object.entries(fileConfig)) {
+            if (key.startsWith('$')) continue;
+            config[key] = value;
+        }
+        config.areas = config.areas
+            .map(area => typeof area === 'string' ? { code: area, startRoom: null } : area)
+            .filter(area => area.code);
+        return { config, source: configPath, error: null };
+    } catch (err) {
+        return { config: JSON.parse(JSON.stringify(DEFAULT_PROJECT_CONFIG)), source: configPath, error: err.message };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { loadProjectConfig, DEFAULT_PROJECT_CONFIG, PROJECT_CONFIG_FILE };
+}
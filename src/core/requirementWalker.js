@@ -0,0 +1,280 @@
+/* =============================================================================
+   Requirement Walker - Traverses logical requirement trees in room data
+
+   Requirements are arrays (implicit AND) of:
+     - strings: items and techs by name, helpers ("h_" prefix), flags ("f_" prefix),
+       "free" and "never"
+     - {and: [...]}, {or: [...]}, {not: requirement}
+     - {item: name}, {event: name}, {tech: name}, {helper: name}
+     - {notable: name} and resource/enemy conditions ({ammo: ...}, {enemyKill: ...}, ...)
+   Used by the main process (dataset scans) and the renderer.
+   ============================================================================= */
+
+const LOGICAL_KEYS = ['and', 'or', 'not'];
+
+// Object conditions whose value is an identifier defined in tech/helpers/items.json,
+// or a notable of the room
+const IDENTIFIER_KEYS = ['item', 'event', 'tech', 'helper', 'notable'];
+
+/**
+ * Visit every leaf of a requirement tree
+ * @param {*} requirement - Requirement array, string or object
+ * @param {string} path - JSON path of the requirement (e.g. "strats[0].requires")
+ * @param {Function} visit - Called with (leaf, path); leaf is a string or a non-logical object
+ */
+function walkRequirement(requirement, path, visit) {
+	if (requirement === null || requirement === undefined) return;
+
+	if (Array.isArray(requirement)) {
+		requirement.forEach((child, index) => walkRequirement(child, `${path}[${index}]`, visit));
+		return;
+	}
+
+	if (typeof requirement === 'string') {
+		visit(requirement, path);
+		return;
+	}
+
+	if (typeof requirement !== 'object') return;
+
+	const logicalKey = LOGICAL_KEYS.find(key => key in requirement);
+	if (logicalKey) {
+		walkRequirement(requirement[logicalKey], `${path}.${logicalKey}`, visit);
+		return;
+	}
+
+	visit(requirement, path);
+}
+
+/**
+ * Call back for every requirement tree stored in a room
+ * @param {Object} room - Room data
+ * @param {Function} callback - Called with (requirement, path, context, update); context
+ *                              describes the owner: {type: 'strat'|'enemy'|'node', index, id, name}
+ *                              and update(newRequirement) replaces the tree in the room
+ */
+function forEachRoomRequirement(room, callback) {
+	const visitField = (owner, key, path, context) => {
+		if (owner[key] === undefined) return;
+		callback(owner[key], path, context, (value) => { owner[key] = value; });
+	};
+
+	(room.strats || []).forEach((strat, index) => {
+		const context = { type: 'strat', index, id: strat.id, name: strat.name };
+		visitField(strat, 'requires', `strats[${index}].requires`, context);
+		(strat.unlocksDoors || []).forEach((unlock, unlockIndex) => {
+			visitField(unlock, 'requires', `strats[${index}].unlocksDoors[${unlockIndex}].requires`, context);
+		});
+	});
+
+	(room.enemies || []).forEach((enemy, index) => {
+		const context = { type: 'enemy', index, id: enemy.id, name: enemy.groupName || enemy.enemyName };
+		visitField(enemy, 'spawn', `enemies[${index}].spawn`, context);
+		visitField(enemy, 'stopSpawn', `enemies[${index}].stopSpawn`, context);
+	});
+
+	(room.nodes || []).forEach((node, index) => {
+		const context = { type: 'node', index, id: node.id, name: node.name };
+		(node.locks || []).forEach((lock, lockIndex) => {
+			const lockPath = `nodes[${index}].locks[${lockIndex}]`;
+			visitField(lock, 'lock', `${lockPath}.lock`, context);
+			(lock.unlockStrats || []).forEach((unlockStrat, stratIndex) => {
+				visitField(unlockStrat, 'requires', `${lockPath}.unlockStrats[${stratIndex}].requires`, context);
+			});
+		});
+	});
+}
+
+/**
+ * Whether a requirement leaf names the identifier, as a plain string or as {kind: name}
+ * @param {string|Object} leaf
+ * @param {string} kind - tech, helper, item, event or notable
+ * @param {string} name
+ */
+function leafReferences(leaf, kind, name) {
+	// Notables are only ever referenced as {notable: name}
+	if (typeof leaf === 'string') return kind !== 'notable' && leaf === name;
+	return leaf[kind] === name;
+}
+
+/**
+ * Copy a requirement tree with every reference to an identifier renamed
+ * @param {*} requirement
+ * @param {string} kind - tech, helper, item, event or notable; only {kind: name} objects are renamed
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {{requirement: *, count: number}}
+ */
+function renameInRequirement(requirement, kind, oldName, newName) {
+	let count = 0;
+
+	const rename = (node) => {
+		if (Array.isArray(node)) return node.map(rename);
+
+		if (typeof node === 'string') {
+			if (node !== oldName || kind === 'notable') return node;
+			count++;
+			return newName;
+		}
+
+		if (!node || typeof node !== 'object') return node;
+
+		const logicalKey = LOGICAL_KEYS.find(key => key in node);
+		if (logicalKey) {
+			return { ...node, [logicalKey]: rename(node[logicalKey]) };
+		}
+
+		if (IDENTIFIER_KEYS.includes(kind) && node[kind] === oldName) {
+			count++;
+			return { ...node, [kind]: newName };
+		}
+		return node;
+	};
+
+	return { requirement: rename(requirement), count };
+}
+
+/**
+ * Rename every reference to an identifier in a room (requirement trees, plus
+ * setsFlags for events and nodeItem of item nodes). The room is modified in place.
+ * @param {Object} room
+ * @param {string} kind - tech, helper, item or event
+ * @param {string} oldName
+ * @param {string} newName
+ * @returns {number} Number of references renamed
+ */
+function renameReferencesInRoom(room, kind, oldName, newName) {
+	let total = 0;
+
+	forEachRoomRequirement(room, (requirement, path, context, update) => {
+		const { requirement: renamed, count } = renameInRequirement(requirement, kind, oldName, newName);
+		if (count > 0) {
+			update(renamed);
+			total += count;
+		}
+	});
+
+	if (kind === 'event') {
+		(room.strats || []).forEach(strat => {
+			if (!Array.isArray(strat.setsFlags)) return;
+			strat.setsFlags = strat.setsFlags.map(flag => {
+				if (flag !== oldName) return flag;
+				total++;
+				return newName;
+			});
+		});
+	}
+
+	if (kind === 'item') {
+		(room.nodes || []).forEach(node => {
+			if (node.nodeType === 'item' && node.nodeItem === oldName) {
+				node.nodeItem = newName;
+				total++;
+			}
+		});
+	}
+
+	return total;
+}
+
+/**
+ * Find every reference to an identifier in a room
+ * @param {Object} room - Room data
+ * @param {{kind: string, name: string}} target - kind is tech, helper, item, event or notable
+ * @returns {Array<{path: string, context: Object}>}
+ */
+function findReferencesInRoom(room, target) {
+	const references = [];
+
+	forEachRoomRequirement(room, (requirement, path, context) => {
+		walkRequirement(requirement, path, (leaf, leafPath) => {
+			if (leafReferences(leaf, target.kind, target.name)) {
+				references.push({ path: leafPath, context });
+			}
+		});
+	});
+
+	// Strats that set the flag count as references too
+	if (target.kind === 'event') {
+		(room.strats || []).forEach((strat, index) => {
+			(strat.setsFlags || []).forEach((flag, flagIndex) => {
+				if (flag === target.name) {
+					references.push({
+						path: `strats[${index}].setsFlags[${flagIndex}]`,
+						context: { type: 'strat', index, id: strat.id, name: strat.name }
+					});
+				}
+			});
+		});
+	}
+
+	// So does the notable's own entry
+	if (target.kind === 'notable') {
+		(room.notables || []).forEach((notable, index) => {
+			if (notable.name === target.name) {
+				references.push({
+					path: `notables[${index}]`,
+					context: { type: 'notable', index, id: notable.id, name: notable.name }
+				});
+			}
+		});
+	}
+
+	return references;
+}
+
+/**
+ * Readable one-line summary of a requirement tree, e.g.
+ * "Morph and (Bombs or h_canUsePowerBombs) and ammo {type: Missile, count: 5}"
+ * @param {*} requirement - Requirement array, string or object
+ * @returns {string} "free" for an empty requirement
+ */
+function formatRequirement(requirement) {
+	const formatValue = (value) => {
+		if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+		if (value && typeof value === 'object') {
+			return `{${Object.entries(value).map(([key, child]) => `${key}: ${formatValue(child)}`).join(', ')}}`;
+		}
+		return String(value);
+	};
+
+	// parent is the enclosing logical operator; mixed operators are parenthesized
+	const format = (node, parent) => {
+		if (Array.isArray(node)) return formatGroup(node, 'and', parent);
+		if (typeof node === 'string') return node;
+		if (!node || typeof node !== 'object') return String(node);
+
+		if ('and' in node) return formatGroup(node.and, 'and', parent);
+		if ('or' in node) return formatGroup(node.or, 'or', parent);
+		if ('not' in node) return `not ${format(node.not, 'not')}`;
+
+		// Notables keep their key, as they are never written as plain strings
+		const identifierKey = IDENTIFIER_KEYS.find(key => key !== 'notable' && typeof node[key] === 'string');
+		if (identifierKey) return node[identifierKey];
+
+		return Object.entries(node).map(([key, value]) => `${key} ${formatValue(value)}`).join(', ');
+	};
+
+	const formatGroup = (children, operator, parent) => {
+		const list = Array.isArray(children) ? children : [children];
+		if (list.length === 0) return operator === 'and' ? 'free' : 'never';
+		if (list.length === 1) return format(list[0], parent);
+
+		const text = list.map(child => format(child, operator)).join(` ${operator} `);
+		return parent && parent !== operator ? `(${text})` : text;
+	};
+
+	return format(requirement ?? [], null);
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+	module.exports = {
+		walkRequirement,
+		forEachRoomRequirement,
+		formatRequirement,
+		findReferencesInRoom,
+		renameInRequirement,
+		renameReferencesInRoom
+	};
+}
@@ -12,6 +12,68 @@ export class RoomManager {
 		this.renderer = renderer;
 		this.uiManager = uiManager;
 		this.config = config;
+
+		// Dirty tracking: compare the room against the snapshot taken at load/save
+		this.unsaved = false;
+		this.savedSnapshot = null;
+		this.state.history.addListener((type) => {
+			if (type === 'clear') return;
+			if (this.state.history.snapshot() === this.savedSnapshot) {
+				this.setUnsaved(false);
+			} else {
+				this.markUnsaved();
+			}
+		});
+	}
+	/**
+	 * Flag the current room as having in-memory changes
+	 */
+	markUnsaved() {
+		this.setUnsaved(true);
+	}
+	/**
+	 * Flag the current room as matching the file on disk
+	 */
+	markSaved() {
+		this.savedSnapshot = this.state.history.snapshot();
+		this.setUnsaved(false);
+	}
+	setUnsaved(unsaved) {
+		this.unsaved = unsaved;
+		this.uiManager.updateUnsavedIndicator(unsaved);
+	}
+	hasUnsavedChanges() {
+		return this.unsaved && !!this.state.currentRoomData;
+	}
+	/**
+	 * Ask what to do with unsaved changes before they would be lost
+	 * @returns {boolean} True if the caller may continue (saved or discarded)
+	 */
+	async confirmDiscardChanges() {
+		if (!this.hasUnsavedChanges()) return true;
+
+		const roomName = this.state.currentRoomData.name || 'The current room';
+		const choice = await this.uiManager.showChoiceDialog(
+			`${roomName} has unsaved changes.`,
+			[{
+				label: 'Save',
+				value: 'save',
+				color: '#4CAF50'
+			}, {
+				label: 'Discard',
+				value: 'discard',
+				color: '#f44336'
+			}, {
+				label: 'Cancel',
+				value: 'cancel'
+			}],
+			'cancel'
+		);
+
+		if (choice === 'save') {
+			return await this.saveCurrentRoom();
+		}
+		return choice === 'discard';
 	}
 	/**
 	 * Load a room by area, subarea, and room name
@@ -24,9 +86,17 @@ export class RoomManager {
 			this.uiManager.showAlert('Set working directory first!');
 			return;
 		}
+		if (!await this.confirmDiscardChanges()) return;
 		// Construct JSON file path (replace / with _ for filename)
 		const fileName = roomName.replace(/\//g, '_');
 		const jsonPath = `${this.state.workingDir}/region/${area}/${subarea}/${fileName}.json`;
+		return this.loadRoomFile(jsonPath);
+	}
+	/**
+	 * Load a room JSON file without asking about unsaved changes
+	 * @param {string} jsonPath - Full path to the room file
+	 */
+	async loadRoomFile(jsonPath) {
 		console.log(`Loading room: ${jsonPath}`);
 		// Load JSON data
 		const data = await window.api.loadJson(jsonPath);
@@ -42,8 +112,14 @@ export class RoomManager {
 				// Continue loading despite validation failure
 			}
 		}
+		// Room schema is used by the formatter to order keys in the JSON panel
+		if (!this.state.roomSchema) {
+			this.state.roomSchema = await window.api.loadJson(this.resolveSchemaPath());
+		}
 		// Update state with loaded data
 		this.state.loadRoomData(jsonPath, data);
+		this.renderer.setHighlightedStrats([]);
+		this.markSaved();
 		// Update UI
 		this.uiManager.updateJsonDisplay(this.state.currentRoomData);
 		await this.uiManager.updateDoorButtons(this.state.currentRoomData);
@@ -53,6 +129,37 @@ export class RoomManager {
 		}
 		return data;
 	}
+	/**
+	 * Ask whether to reload the current room after it changed on disk
+	 */
+	async offerReloadCurrentRoom() {
+		if (!this.state.currentRoomPath || this.reloadPromptOpen) return;
+
+		const roomName = this.state.currentRoomData?.name || 'The current room';
+		const hasEdits = this.hasUnsavedChanges();
+		const message = hasEdits ?
+			`${roomName} was changed on disk, but it also has unsaved edits here. Reloading discards your edits.` :
+			`${roomName} was changed on disk.`;
+
+		this.reloadPromptOpen = true;
+		const choice = await this.uiManager.showChoiceDialog(message, [{
+			label: hasEdits ? 'Reload (discard my edits)' : 'Reload',
+			value: 'reload',
+			color: hasEdits ? '#f44336' : '#4CAF50'
+		}, {
+			label: hasEdits ? 'Keep my edits' : 'Keep current',
+			value: 'keep'
+		}], 'keep');
+		this.reloadPromptOpen = false;
+
+		if (choice === 'reload') {
+			await this.loadRoomFile(this.state.currentRoomPath);
+		} else {
+			// What's in memory no longer matches the file, so saving must be offered
+			this.savedSnapshot = null;
+			this.markUnsaved();
+		}
+	}
 	/**
 	 * Validate JSON schema if schema is specified
 	 * @param {Object} data - JSON data to validate
@@ -64,8 +171,8 @@ export class RoomManager {
 			return true; // No schema specified, assume valid
 		}
 		try {
-			// Resolve schema path with game-specific prefix
-			const schemaPath = this.resolveSchemaPath(data.$schema, filePath);
+			// Rooms are checked against the dataset's room schema, whatever their $schema says
+			const schemaPath = this.resolveSchemaPath();
 			const schema = await window.api.loadJson(schemaPath);
 			if (!schema) {
 				console.warn(`Could not load schema: ${schemaPath}`);
@@ -99,22 +206,18 @@ export class RoomManager {
 			this.state.scale,
 			this.state.currentRoomData?.strats,
 			undefined, // mouseX - will be set by handleMouseMove
-			undefined // mouseY
+			undefined, // mouseY
+			this.state.hideBaseStrats,
+			this.state.getCanvasEntities()
 		);
 	}
 	/**
-	 * Resolve schema path relative to JSON file with game-specific handling
-	 * @param {string} schemaRef - Schema reference from JSON
-	 * @param {string} jsonPath - Path to JSON file
-	 * @returns {string} Resolved schema path
+	 * Path of the room schema, declared per dataset in editor-config.json (roomSchema)
+	 * @returns {string}
 	 */
-	resolveSchemaPath(schemaRef, jsonPath) {
+	resolveSchemaPath() {
 		const workingDir = this.state.workingDir;
-		const schemaPrefix = this.config.gameType === 'XFusion' ? 'mxf' : 'm3';
-		// Construct the schema filename from the prefix
-		const schemaFileName = `${schemaPrefix}-room.schema.json`;
-		// Resolve full path
-		return `${workingDir}/schema/${schemaFileName}`;
+		return `${workingDir}/${this.state.projectConfig.roomSchema}`;
 	}
 	/**
 	 * Load and display a room image
@@ -165,7 +268,14 @@ export class RoomManager {
 			// Save to file
 			const success = await window.api.saveJson(this.state.currentRoomPath, jsonData);
 			if (success) {
-				this.state.currentRoomData = jsonData;
+				// Unsynced text edits in the JSON panel become part of the history too
+				this.state.history.record('Edit JSON', () => {
+					this.state.currentRoomData = jsonData;
+					this.state.nodes = jsonData.nodes || [];
+				}, {
+					coalesceKey: 'json-edit'
+				});
+				this.markSaved();
 				this.uiManager.showAlert('Saved successfully!');
 				return true;
 			} else {
@@ -200,45 +310,19 @@ export class RoomManager {
 		return this.loadRoom(area, subarea, roomName);
 	}
 	/**
-	 * Find a room file by searching all areas and subareas
+	 * Find a room file using the workspace index
 	 * @param {string} roomName - The room name to search for
 	 * @returns {Object|null} {area, subarea, roomName} if found, null otherwise
 	 */
 	async findRoomByName(roomName) {
 		if (!this.state.workingDir) return null;
-		// Search through region folder structure
-		try {
-			const regionPath = `${this.state.workingDir}/region`;
-			const areas = await window.api.readDirectory(regionPath);
-			for (const area of areas) {
-				try {
-					const areaPath = `${regionPath}/${area}`;
-					const subareas = await window.api.readDirectory(areaPath);
-					for (const subarea of subareas) {
-						try {
-							const subareaPath = `${areaPath}/${subarea}`;
-							const files = await window.api.readDirectory(subareaPath);
-							// Look for matching room file
-							const fileName = roomName.replace(/\//g, '_') + '.json';
-							if (files.includes(fileName)) {
-								return {
-									area,
-									subarea,
-									roomName
-								};
-							}
-						} catch (subareaErr) {
-							console.error(`Error reading subarea ${subarea}:`, subareaErr);
-						}
-					}
-				} catch (areaErr) {
-					console.error(`Error reading area ${area}:`, areaErr);
-				}
-			}
-		} catch (regionErr) {
-			console.error('Error reading region directory:', regionErr);
-		}
-		return null;
+		const room = this.state.findRoomMetadata(roomName);
+		if (!room) return null;
+		return {
+			area: room.area,
+			subarea: room.subarea,
+			roomName: room.fileName.replace(/\.json$/, '')
+		};
 	}
 	/**
 	 * Navigate to a room by its name (searches all areas)
@@ -292,46 +376,18 @@ export class RoomManager {
 				return null;
 		}
 	}
-	/**
-	 * Resolve the connection endpoint corresponding to the clicked door
-	 * @param {Object} connection
-	 * @param {string} direction - door.doorOrientation
-	 * @returns {Object|null}
-	 */
-	getConnectionNodeFromClick(connection, direction) {
-		if (!connection?.nodes || !direction)
-			return null;
-
-		const expectedPosition = this.directionToPosition(direction);
-		if (!expectedPosition)
-			return null;
-
-		return connection.nodes.find(
-			n => n.position === expectedPosition
-		) || null;
-	}
 	/**
 	 * Open the door editor for a specific door node
-	 * @param {string} direction - Door direction
+	 * @param {Object} doorNode - Door node of the current room
 	 * @param {Object|null} connection - Existing connection data, if any
 	 * @param {Object} roomData - Current room data
 	 */
-	openDoorEditor(direction, connection, roomData) {
-		const connNode = this.getConnectionNodeFromClick(connection, direction);
-
-		if (!connNode) {
-			console.warn('Connection does not include current room:', connection);
-			return;
-		}
-
-		const doorNode = connNode ?
-			this.findDoorNodeById(connNode.nodeid) :
-			null;
-
+	openDoorEditor(doorNode, connection, roomData) {
 		const editorData = {
-			dir: direction,
+			dir: doorNode.doorOrientation,
 			sector: this.state.currentArea,
 			region: this.state.currentSubarea,
+			roomId: roomData.id,
 			roomName: roomData.name || 'Unknown Room',
 			roomItemNodes: this.state.currentRoomData.nodes.filter(n => n.nodeType === "item"),
 			roomUtilityNodes: this.state.currentRoomData.nodes.filter(n => n.nodeType === "utility"),
@@ -383,21 +439,116 @@ export class RoomManager {
 		) || null;
 	}
 	/**
-	 * Update door connection data
-	 * @param {string} direction - Door direction
-	 * @param {Object} connectionData - New connection data
+	 * Create, retarget or delete the connection of a door and write the
+	 * connection files involved (written to disk immediately, not undoable)
+	 * @param {Object} doorNode - Door node of the current room
+	 * @param {Object} change - Connection change sent by the door editor
+	 * @param {{file: string, nodes: Object[]}|null} change.original - Connection being replaced, if any
+	 * @param {boolean} [change.deleted] - Remove the connection without adding a new one
+	 * @param {string} [change.connectionType]
+	 * @param {string} [change.direction] - 'Bidirectional' or 'Forward'; the stored endpoint order is kept
+	 *                                       while the target stays the same, a new target starts at this door
+	 * @param {Object} [change.target] - Connection endpoint of the target door
 	 */
-	async updateDoorConnection(direction, connectionData) {
-		this.uiManager.updateJsonDisplay(this.state.currentRoomData);
+	async updateDoorConnection(doorNode, change) {
+		const room = this.state.currentRoomData;
+		const files = new Map();
+		// A connection file that exists but doesn't parse is never overwritten
+		const loadFile = async (file) => {
+			if (!files.has(file)) {
+				const filePath = `${this.state.workingDir}/${file}`;
+				let data = await window.api.loadJson(filePath);
+				if (!data) {
+					if (await window.api.fileExists(filePath)) {
+						throw new Error(`Could not read ${file}; fix it by hand first. No connection file was changed.`);
+					}
+					data = { connections: [] };
+				}
+				if (!Array.isArray(data.connections)) data.connections = [];
+				files.set(file, data);
+			}
+			return files.get(file);
+		};
+
+		const sameEndpoint = (a, b) => a.roomid === b.roomid && a.nodeid === b.nodeid;
+
+		try {
+			// Remove the connection being replaced, remembering where it was
+			let previous = null;
+			let previousIndex = -1;
+			const { original } = change;
+			if (original) {
+				const data = await loadFile(original.file);
+				previousIndex = data.connections.findIndex(conn =>
+					conn.nodes?.length === 2 &&
+					sameEndpoint(conn.nodes[0], original.nodes[0]) &&
+					sameEndpoint(conn.nodes[1], original.nodes[1])
+				);
+				if (previousIndex >= 0) {
+					previous = data.connections.splice(previousIndex, 1)[0];
+				} else {
+					console.warn(`Connection to replace not found in ${original.file}`);
+				}
+			}
+
+			if (!change.deleted) {
+				const source = {
+					area: this.state.currentArea,
+					subarea: this.state.currentSubarea,
+					roomid: room.id,
+					roomName: room.name,
+					nodeid: doorNode.id,
+					nodeName: doorNode.name,
+					position: this.directionToPosition(doorNode.doorOrientation)
+				};
+				const { target } = change;
+
+				// Changing only the type or direction must not reverse an incoming one-way connection
+				const sameTarget = previous && previous.nodes.some(node => sameEndpoint(node, target));
+				const nodes = sameTarget && sameEndpoint(previous.nodes[1], source) ? [target, source] : [source, target];
+
+				const connection = {
+					...previous,
+					connectionType: change.connectionType,
+					direction: change.direction,
+					nodes
+				};
+
+				const file = this.state.getConnectionFile(source, target);
+				const data = await loadFile(file);
+				if (previous && file === original.file) {
+					data.connections.splice(previousIndex, 0, connection);
+				} else {
+					data.connections.push(connection);
+				}
+			}
+		} catch (err) {
+			console.error('Connection update failed:', err);
+			this.uiManager.showAlert(err.message);
+			return;
+		}
+
+		const failed = [];
+		for (const [file, data] of files) {
+			const saved = await window.api.saveJson(`${this.state.workingDir}/${file}`, data);
+			if (!saved) failed.push(file);
+		}
+
+		this.state.invalidateConnectionCaches();
 		await this.uiManager.updateDoorButtons(this.state.currentRoomData);
+
+		if (failed.length > 0) {
+			this.uiManager.showAlert(`Failed to save ${failed.join(', ')}`);
+		}
 	}
 	/**
 	 * Handle Door Node Updates (in-memory only)
 	 */
-	handleDoorNodeUpdate(payload) {
+	async handleDoorNodeUpdate(payload) {
 		const {
 			nodeId,
-			updatedNode
+			updatedNode,
+			connectionChange
 		} = payload;
 
 		if (!this.state.currentRoomData?.nodes) {
@@ -414,8 +565,10 @@ export class RoomManager {
 		};
 
 		// Update state (in-memory only)
-		this.state.currentRoomData = updatedRoomData;
-		this.state.updateRoomNodes(updatedRoomData.nodes);
+		this.state.history.record('Edit door node', () => {
+			this.state.currentRoomData = updatedRoomData;
+			this.state.updateRoomNodes(updatedRoomData.nodes);
+		});
 
 		// Update JSON display
 		this.uiManager.updateJsonDisplay(updatedRoomData);
@@ -424,6 +577,10 @@ export class RoomManager {
 		this.redrawRenderer();
 
 		console.log(`Door node ${nodeId} updated (in-memory only)`);
+
+		if (connectionChange) {
+			await this.updateDoorConnection(updatedNode, connectionChange);
+		}
 	}
 
 	/**
@@ -431,8 +588,11 @@ export class RoomManager {
 	 */
 	async handleRoomPropertiesUpdate(payload) {
 		//console.log(`Payload update: ${payload}`);
-		this.state.currentRoomData = payload;
-		this.state.updateRoomNodes(payload.nodes);
+		this.state.history.record('Edit room properties', () => {
+			this.state.restoreEntityGeometry(this.state.currentRoomData, payload);
+			this.state.currentRoomData = payload;
+			this.state.updateRoomNodes(payload.nodes);
+		});
 		this.uiManager.updateJsonDisplay(this.state.currentRoomData);
 
 		// Redraw the renderer in case any data changed
@@ -0,0 +1,138 @@
+/* =============================================================================
+   Schema Validator - JSON schema validation shared by the main process and CLI
+   ============================================================================= */
+
+const fs = require('fs');
+
+let ajv;
+
+// Compiled validators keyed by schema path (Ajv refuses to add the same $id twice)
+const compiledSchemas = new Map();
+
+function initAjv() {
+    if (!ajv) {
+        try {
+            const Ajv = require('ajv');
+            ajv = new Ajv({ allErrors: true });
+        } catch (err) {
+            console.warn('AJV not available, falling back to basic validation');
+            return null;
+        }
+    }
+    return ajv;
+}
+
+/**
+ * Validate data against the schema stored at schemaPath
+ * @param {Object} data - Parsed JSON data
+ * @param {string} schemaPath - Path to the schema file
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateAgainstSchema(data, schemaPath) {
+    try {
+        if (!fs.existsSync(schemaPath)) {
+            return {
+                valid: false,
+                errors: [`Schema file not found: ${schemaPath}`]
+            };
+        }
+
+        const validator = initAjv();
+
+        if (validator) {
+            let validate = compiledSchemas.get(schemaPath);
+            if (!validate) {
+                const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+                validate = validator.compile(schema);
+                compiledSchemas.set(schemaPath, validate);
+            }
+            const valid = validate(data);
+            return {
+                valid,
+                // Ajv 6 reports dataPath, newer versions instancePath
+                errors: valid ? [] : validate.errors.map(err =>
+                    `${err.instancePath || err.dataPath || 'root'}: ${err.message}`
+                )
+            };
+        } else {
+            const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+            const result = basicValidateSchema(data, schema);
+            return {
+                valid: result.valid,
+                errors: result.errors
+            };
+        }
+    } catch (err) {
+        console.error(`Schema validation error for ${schemaPath}:`, err);
+        return {
+            valid: false,
+            errors: [`Schema validation failed: ${err.message}`]
+        };
+    }
+}
+
+/**
+ * Forget compiled schemas (e.g. after a schema file changed on disk)
+ */
+function clearSchemaCache() {
+    compiledSchemas.clear();
+    ajv = null;
+}
+
+function basicValidateSchema(data, schema) {
+    const errors = [];
+
+    if (schema.required && Array.isArray(schema.required)) {
+        for (const prop of schema.required) {
+            if (!(prop in data)) {
+                errors.push(`Missing required property: ${prop}`);
+            }
+        }
+    }
+
+    if (schema.properties) {
+        for (const [prop, propSchema] of Object.entries(schema.properties)) {
+            if (prop in data) {
+                const propResult = validateProperty(data[prop], propSchema, prop);
+                errors.push(...propResult.errors);
+            }
+        }
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+function validateProperty(value, schema, propName) {
+    const errors = [];
+
+    if (schema.type) {
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (actualType !== schema.type && !(value === null && schema.type === 'object')) {
+            errors.push(`Property ${propName} should be ${schema.type}, got ${actualType}`);
+        }
+    }
+
+    if (schema.type === 'object' && value && typeof value === 'object') {
+        const nestedResult = basicValidateSchema(value, schema);
+        errors.push(...nestedResult.errors.map(err => `${propName}.${err}`));
+    }
+
+    if (schema.type === 'array' && Array.isArray(value)) {
+        if (schema.items) {
+            value.forEach((item, index) => {
+                const itemResult = validateProperty(item, schema.items, `${propName}[${index}]`);
+                errors.push(...itemResult.errors);
+            });
+        }
+    }
+
+    return { errors };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { validateAgainstSchema, clearSchemaCache, basicValidateSchema };
+}
@@ -0,0 +1,48 @@
+/**
+ * Spatial Grid - Uniform grid of bounding boxes for fast point queries
+ * (hover hit-testing of strat curves and nodes on the room canvas)
+ */
+
+export class SpatialGrid {
+    /**
+     * @param {number} cellSize - Width and height of a cell, in the same units as the boxes
+     */
+    constructor(cellSize = 32) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+
+    cellKey(column, row) {
+        return `${column},${row}`;
+    }
+
+    /**
+     * Add an item to every cell its bounding box touches
+     * @param {*} item
+     * @param {{x: number, y: number, w: number, h: number}} bounds
+     */
+    insert(item, bounds) {
+        const firstColumn = Math.floor(bounds.x / this.cellSize);
+        const lastColumn = Math.floor((bounds.x + bounds.w) / this.cellSize);
+        const firstRow = Math.floor(bounds.y / this.cellSize);
+        const lastRow = Math.floor((bounds.y + bounds.h) / this.cellSize);
+
+        for (let column = firstColumn; column <= lastColumn; column++) {
+            for (let row = firstRow; row <= lastRow; row++) {
+                const key = this.cellKey(column, row);
+                if (!this.cells.has(key)) this.cells.set(key, []);
+                const cell = this.cells.get(key);
+                // An item spanning the cell several times (e.g. curve segments) is listed once
+                if (cell[cell.length - 1] !== item) cell.push(item);
+            }
+        }
+    }
+
+    /**
+     * Items whose bounding boxes may contain a point; callers do the exact test
+     * @returns {Array} Candidates, in insertion order
+     */
+    query(x, y) {
+        return this.cells.get(this.cellKey(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize))) || [];
+    }
+}
@@ -5,6 +5,25 @@ import {
 	normalizeGeometry,
 	getNodeBounds
 } from './geometryUtils.js';
+import {
+	HistoryManager
+} from './historyManager.js';
+import {
+	removeNodeReferences,
+	remapNodeIds
+} from './nodeReferences.js';
+
+// Size and spacing of enemy groups and obstacles that haven't been placed yet
+const ENTITY_PLACEHOLDER_SIZE = 16;
+const ENTITY_PLACEHOLDER_SPACING = 24;
+
+// Colours of newly drawn nodes
+const NEW_NODE_COLORS = {
+	junction: '#0000FF',
+	door: '#FF0000',
+	item: '#FFD700',
+	utility: '#00FF00'
+};
 
 class State {
 	constructor() {
@@ -21,11 +40,13 @@ class State {
 		this.techMap = new Map();
 		this.helperMap = new Map();
 		this.stratPresets = [];
+		this.roomSchema = null;
 
 		this.currentArea = null;
 		this.currentSubarea = null;
 
 		this.allRoomsMetadata = [];
+		this.roomsByName = new Map();
 		this.connectionCache = new Map();
 		this.interConnections = null;
 		this.intraConnections = new Map();
@@ -35,6 +56,7 @@ class State {
 		this.mode = "select";
 		this.scale = 1.0;
 		this.hideBaseStrats = false;
+		this.hiddenLayers = new Set(); // Canvas layers hidden in the Layers panel; kept across rooms
 
 		// Drawing state
 		this.isDrawing = false;
@@ -43,23 +65,61 @@ class State {
 		this.startY = 0;
 		this.triangleDrawMode = false;
 		this.trianglePoints = [];
+		this.drawNodeType = 'junction'; // Type of node the draw tool creates
 
 		// Moving/resizing state
 		this.movingNodes = [];
 		this.moveOffsets = new Map();
 
-		this.areaStartRooms = {
-			"L-X": "L-X/General/Revival Room",
-			"MDK": "MDK/West Main Deck/Central Nexus _ Nexus Storage _ Concourse",
-			"SRX": "SRX/Upper SRX/SRX Entrance Lobby",
-			"TRO": "TRO/General/TRO Entrance Lobby",
-			"PYR": "PYR/Upper PYR/PYR-TRO Elevator _ PYR Entrance Lobby",
-			"AQA": "AQA/Upper East AQA/AQA-ARC Elevator",
-			"ARC": "ARC/Upper ARC/ARC-PYR Access",
-			"NOC": "NOC/Upper NOC/NOC Entrance Lobby North",
-			"DMX": "DMX/Opening Segment/DMX Entrance"
+		// Link mode: node a new strat is dragged from
+		this.linkDrag = null;
+
+		// Undo/redo history for the current room
+		this.history = new HistoryManager(this);
+
+		// Dataset settings from editor-config.json (see core/projectConfig.js)
+		this.projectConfig = null;
+		this.projectConfigError = null;
+		this.areaStartRooms = {};
+	}
+
+	/**
+	 * Options for formatJson (core/jsonFormatter.js) matching how save-json writes room files
+	 * @returns {Object}
+	 */
+	getJsonFormatOptions() {
+		return {
+			...this.projectConfig?.jsonFormat,
+			schema: this.roomSchema
 		};
 	}
+
+	/**
+	 * Load editor-config.json of the working directory (or the defaults)
+	 */
+	async loadProjectConfig() {
+		const {
+			config,
+			error
+		} = await window.api.loadProjectConfig(this.workingDir);
+		this.projectConfig = config;
+		this.projectConfigError = error;
+		this.areaStartRooms = {};
+		for (const area of config.areas) {
+			if (area.startRoom) this.areaStartRooms[area.code] = area.startRoom;
+		}
+	}
+
+	getAreaCodes() {
+		return (this.projectConfig?.areas || []).map(area => area.code);
+	}
+
+	/**
+	 * Whether a room name containing " / " is nevertheless a single room
+	 */
+	isCompositeRoomException(roomName) {
+		return (this.projectConfig?.compositeRoomExceptions || []).includes(roomName);
+	}
     
     async initStratPresetsPath() {
         this.stratPresetsPath = await window.api.getStratPresetsPath();
@@ -67,53 +127,23 @@ class State {
 
 	async loadAllRoomsMetadata() {
 		if (!this.workingDir) return;
-		this.allRoomsMetadata = [];
-		const areas = ['L-X', 'MDK', 'SRX', 'TRO', 'PYR', 'AQA', 'ARC', 'NOC', 'DMX'];
-
-		for (const area of areas) {
-			const areaPath = `${this.workingDir}/region/${area}`;
-			try {
-				const subareas = await window.api.readDirectory(areaPath);
-				for (const subarea of subareas) {
-					const subareaPath = `${areaPath}/${subarea}`;
-					let roomFiles;
-					try {
-						roomFiles = await window.api.readDirectory(subareaPath);
-					} catch {
-						continue;
-					}
-					for (const roomFile of roomFiles) {
-						if (!roomFile.endsWith('.json')) continue;
-						const roomPath = `${subareaPath}/${roomFile}`;
-						try {
-							const room = await window.api.loadJson(roomPath);
-							if (!room || !room.nodes) continue;
-							const doors = room.nodes
-								.filter(n => n.nodeType === 'door')
-								.map(door => ({
-									address: door.nodeAddress,
-									orientation: door.doorOrientation,
-									name: door.name
-								}));
-							this.allRoomsMetadata.push({
-								name: room.name,
-								area: area,
-								subarea: subarea,
-								address: room.roomAddress,
-								doors: doors
-							});
-						} catch (err) {
-							console.warn(`Failed to load room file ${roomPath}:`, err);
-						}
-					}
-				}
-			} catch (err) {
-				console.warn(`Failed to read area directory ${areaPath}:`, err);
-			}
-		}
+		// Served from the main-process workspace index (only changed files are re-read)
+		this.allRoomsMetadata = await window.api.getWorkspaceIndex(this.workingDir, this.getAreaCodes());
+		this.roomsByName = new Map(this.allRoomsMetadata.map(room => [room.name, room]));
 		console.log(`Loaded metadata for ${this.allRoomsMetadata.length} rooms`);
 	}
 
+	/**
+	 * Look up a room by name or by file name (room name with "/" replaced by "_")
+	 * @param {string} roomName
+	 * @returns {Object|null} Room metadata
+	 */
+	findRoomMetadata(roomName) {
+		if (this.roomsByName.has(roomName)) return this.roomsByName.get(roomName);
+		const fileName = roomName.replace(/\//g, '_') + '.json';
+		return this.allRoomsMetadata.find(room => room.fileName === fileName) || null;
+	}
+
 	getAllRooms() {
 		return this.allRoomsMetadata.map(room => ({
 			name: room.name,
@@ -124,9 +154,9 @@ class State {
 
 	async setWorkingDir(dir) {
 		this.workingDir = dir;
-		this.connectionCache.clear();
-		this.interConnections = null;
-		this.intraConnections.clear();
+		this.invalidateConnectionCaches();
+		this.roomSchema = null;
+		await this.loadProjectConfig();
 		await this.loadAllRoomsMetadata();
 		await this.initEnemyDatabase();
 		await this.initItemAndEventsDatabase();
@@ -135,6 +165,124 @@ class State {
 		await this.initHelpers();
         await this.initStratPresetsPath();
         await this.initStratPresets(this.stratPresetsPath);
+		await window.api.watchWorkingDirectory(dir);
+	}
+
+	/**
+	 * Invalidate caches for files changed outside the editor
+	 * @param {string[]} files - Changed paths relative to the working directory
+	 * @returns {Object} Flags for the kinds of data that changed
+	 */
+	async handleExternalChanges(files) {
+		const changed = {
+			rooms: files.some(f => f.startsWith('region/')),
+			connections: files.some(f => f.startsWith('connection/')),
+			config: files.includes('editor-config.json'),
+			currentRoom: false
+		};
+
+		if (this.currentRoomPath && this.workingDir) {
+			const currentRelative = this.currentRoomPath.slice(this.workingDir.length + 1).replace(/\\/g, '/');
+			changed.currentRoom = files.includes(currentRelative);
+		}
+
+		if (changed.connections) {
+			this.invalidateConnectionCaches();
+		}
+		if (files.some(f => f.startsWith('schema/')) || changed.config) {
+			this.roomSchema = null;
+		}
+		if (changed.config) await this.loadProjectConfig();
+		if (changed.rooms || changed.config) await this.loadAllRoomsMetadata();
+		if (files.includes('tech.json')) await this.initTech();
+		if (files.includes('helpers.json')) await this.initHelpers();
+		if (files.includes('items.json')) await this.initItemAndEventsDatabase();
+		if (files.some(f => f.startsWith('enemies/'))) await this.initEnemyDatabase();
+		if (files.some(f => f.startsWith('weapons/'))) await this.initWeaponDatabase();
+
+		return changed;
+	}
+
+	/**
+	 * Give enemy groups and obstacles of a room their canvas geometry back, by id,
+	 * after an editor that doesn't know about it replaced them
+	 * @param {Object} previousRoom - Room data the geometry is taken from
+	 * @param {Object} room - Room data to update in place
+	 */
+	restoreEntityGeometry(previousRoom, room) {
+		['enemies', 'obstacles'].forEach(key => {
+			if (!Array.isArray(room[key])) return;
+			const previous = new Map((previousRoom?.[key] || [])
+				.filter(entity => this.isEntityPlaced(entity))
+				.map(entity => [entity.id, entity.geometry]));
+			room[key].forEach(entity => {
+				if (!entity.geometry && previous.get(entity.id)) {
+					entity.geometry = previous.get(entity.id);
+				}
+			});
+		});
+	}
+
+	/**
+	 * Whether an enemy group or obstacle has geometry of its own in the room data,
+	 * rather than the placeholder it is drawn with until then
+	 */
+	isEntityPlaced(entity) {
+		return Object.prototype.propertyIsEnumerable.call(entity, 'geometry') && entity.geometry?.length > 0;
+	}
+
+	/**
+	 * Give every enemy group and obstacle without geometry a placeholder to draw and
+	 * select it with: centred on its home (or between) nodes, otherwise in a row along
+	 * the top edge. The placeholder isn't enumerable, so it stays out of the room data,
+	 * the JSON panel and undo snapshots until placeEntity() is called.
+	 * @param {Object} room
+	 */
+	assignEntityPlaceholders(room) {
+		const roomWidth = this.currentRoomImage?.width || Infinity;
+		const perRow = Math.max(1, Math.floor((roomWidth - ENTITY_PLACEHOLDER_SIZE) / ENTITY_PLACEHOLDER_SPACING));
+		const snap = (value) => Math.max(0, Math.round(value / 8) * 8);
+		let unplaced = 0;
+
+		[...(room.enemies || []), ...(room.obstacles || [])].forEach(entity => {
+			if (entity.geometry?.length > 0) return;
+
+			const nodeIds = [...(entity.homeNodes || []), ...(entity.betweenNodes || [])];
+			const nodes = this.nodes.filter(node => nodeIds.includes(node.id) && node.geometry?.length > 0);
+			let x;
+			let y;
+			if (nodes.length > 0) {
+				const bounds = nodes.map(getNodeBounds);
+				const minX = Math.min(...bounds.map(b => b.x));
+				const minY = Math.min(...bounds.map(b => b.y));
+				const maxX = Math.max(...bounds.map(b => b.x + b.w));
+				const maxY = Math.max(...bounds.map(b => b.y + b.h));
+				x = snap((minX + maxX - ENTITY_PLACEHOLDER_SIZE) / 2);
+				y = snap((minY + maxY - ENTITY_PLACEHOLDER_SIZE) / 2);
+			} else {
+				x = 8 + (unplaced % perRow) * ENTITY_PLACEHOLDER_SPACING;
+				y = 8 + Math.floor(unplaced / perRow) * ENTITY_PLACEHOLDER_SPACING;
+				unplaced++;
+			}
+
+			Object.defineProperty(entity, 'geometry', {
+				value: [{ shape: 'rect', x, y, w: ENTITY_PLACEHOLDER_SIZE, h: ENTITY_PLACEHOLDER_SIZE }],
+				writable: true,
+				configurable: true,
+				enumerable: false
+			});
+		});
+	}
+
+	/**
+	 * Write the placeholder geometry of an enemy group or obstacle into the room data,
+	 * once the user moves or resizes it
+	 */
+	placeEntity(entity) {
+		if (this.isEntityPlaced(entity) || !entity.geometry) return;
+		const geometry = entity.geometry;
+		delete entity.geometry;
+		entity.geometry = geometry;
 	}
 
 	ensureGeometry(entity) {
@@ -162,12 +310,24 @@ class State {
 			roomData.objects = roomData.objects.map(obj => this.ensureGeometry(obj));
 		}
 
-		// Ensure geometry for enemies
-		if (roomData.enemies) {
-			roomData.enemies = roomData.enemies.map(enemy => this.ensureGeometry(enemy));
-		}
-
 		this.selectedNodes = [];
+		this.history.clear();
+	}
+
+	/**
+	 * Replace the current room data with a serialized snapshot (used by undo/redo).
+	 * Selection is kept for nodes that still exist in the snapshot.
+	 * @param {string} snapshot - JSON string of the room data
+	 */
+	restoreRoomSnapshot(snapshot) {
+		if (!snapshot) return;
+		const roomData = JSON.parse(snapshot);
+		const selectedIds = new Set(this.selectedNodes.map(n => n.id));
+
+		this.currentRoomData = roomData;
+		this.nodes = roomData.nodes || [];
+		this.selectedNodes = this.nodes.filter(n => selectedIds.has(n.id));
+		this.stopMoving();
 	}
 
 	setRoomImage(image) {
@@ -221,17 +381,51 @@ class State {
 	}
 
 	/**
-	 * Add a new junction node (rectangle)
+	 * Id for a new strat of the current room: one past the highest when the room's
+	 * strats are numbered (1 when it has none yet), undefined when they aren't
+	 * @returns {number|undefined}
 	 */
-	addNode(rect) {
-		const minJunctionId = this.getMinJunctionNodeId();
+	getNextStratId() {
+		const strats = this.currentRoomData?.strats || [];
+		if (!strats.every(s => s.id !== undefined)) return undefined;
+		return strats.reduce((max, s) => Math.max(max, Number(s.id) || 0), 0) + 1;
+	}
+
+	/**
+	 * Allocate the id of a new node. Door, item and utility nodes come first and
+	 * junctions follow them, so a new non-junction node takes the id after the
+	 * last of them and the junctions in its way move up by one.
+	 * Call inside a history record: junctions may be renumbered in the room.
+	 * @param {string} nodeType
+	 * @returns {number}
+	 */
+	allocateNodeId(nodeType) {
 		const usedIds = new Set(this.nodes.map(n => n.id));
+		let newId = this.getMinJunctionNodeId();
 
-		let newId = minJunctionId;
-		while (usedIds.has(newId)) {
-			newId++;
+		if (nodeType === 'junction') {
+			while (usedIds.has(newId)) {
+				newId++;
+			}
+			return newId;
 		}
 
+		if (!usedIds.has(newId)) return newId;
+
+		const shifted = new Map(this.nodes
+			.filter(n => n.nodeType === 'junction' && n.id >= newId)
+			.map(n => [n.id, n.id + 1]));
+		remapNodeIds(this.currentRoomData, shifted);
+		return newId;
+	}
+
+	/**
+	 * Add a new node (rectangle)
+	 * @param {Object} rect
+	 * @param {Object} [properties] - nodeType and type-specific fields; a junction when omitted
+	 * @returns {Object} The new node
+	 */
+	addNode(rect, properties = null) {
 		const geometry = [{
 			shape: 'rect',
 			x: Math.max(0, rect.x),
@@ -242,31 +436,16 @@ class State {
 
 		normalizeGeometry(geometry);
 
-		const newNode = {
-			id: newId,
-			name: `Junction Node ${newId}`,
-			nodeType: 'junction',
-			nodeSubType: 'visible',
-			geometry: geometry,
-			color: '#0000FF'
-		};
-
-		this.nodes.push(newNode);
-		this.currentRoomData.nodes = [...this.nodes];
+		return this.insertNode(geometry, properties, 'Junction Node');
 	}
 
 	/**
-	 * Add a new junction node (triangle)
+	 * Add a new node (triangle)
+	 * @param {Object[]} points
+	 * @param {Object} [properties] - nodeType and type-specific fields; a junction when omitted
+	 * @returns {Object} The new node
 	 */
-	addTriangleNode(points) {
-		const minJunctionId = this.getMinJunctionNodeId();
-		const usedIds = new Set(this.nodes.map(n => n.id));
-
-		let newId = minJunctionId;
-		while (usedIds.has(newId)) {
-			newId++;
-		}
-
+	addTriangleNode(points, properties = null) {
 		// Snap points to grid
 		const snappedPoints = points.map(p => ({
 			x: Math.round(p.x / 8) * 8,
@@ -280,17 +459,36 @@ class State {
 
 		normalizeGeometry(geometry);
 
+		return this.insertNode(geometry, properties, 'Junction Triangle');
+	}
+
+	insertNode(geometry, properties, defaultName) {
+		const {
+			name,
+			...fields
+		} = properties || {};
+		const nodeType = fields.nodeType || 'junction';
+		const newId = this.allocateNodeId(nodeType);
+
 		const newNode = {
 			id: newId,
-			name: `Junction Triangle ${newId}`,
-			nodeType: 'junction',
+			name: name || `${defaultName} ${newId}`,
+			nodeType,
 			nodeSubType: 'visible',
+			...fields,
 			geometry: geometry,
-			color: '#0000FF'
+			color: NEW_NODE_COLORS[nodeType]
 		};
 
-		this.nodes.push(newNode);
+		// Keep doors, items and utilities ahead of the junctions in the file
+		const firstJunction = this.nodes.findIndex(n => n.nodeType === 'junction');
+		if (nodeType === 'junction' || firstJunction < 0) {
+			this.nodes.push(newNode);
+		} else {
+			this.nodes.splice(firstJunction, 0, newNode);
+		}
 		this.currentRoomData.nodes = [...this.nodes];
+		return newNode;
 	}
 
 	/**
@@ -303,6 +501,15 @@ class State {
 		this.currentRoomData.nodes = [...this.nodes];
 	}
 
+	/**
+	 * Delete nodes and clean up the room's references to them (see core/nodeReferences.js)
+	 * @param {number[]} nodeIds
+	 */
+	deleteNodes(nodeIds) {
+		removeNodeReferences(this.currentRoomData, nodeIds);
+		this.removeNodes(nodeIds);
+	}
+
 	/**
 	 * Select/deselect nodes
 	 */
@@ -323,13 +530,29 @@ class State {
 		this.selectedNodes = [];
 	}
 
+	/**
+	 * Enemy groups and obstacles of the current room, with a placeholder for those not
+	 * placed yet; they are drawn over the nodes and can be selected, moved and resized like them
+	 * @returns {Array<{kind: string, entity: Object}>} kind is 'enemy' or 'obstacle'
+	 */
+	getCanvasEntities() {
+		const room = this.currentRoomData;
+		if (!room) return [];
+
+		this.assignEntityPlaceholders(room);
+		return [
+			...(room.enemies || []).map(entity => ({ kind: 'enemy', entity })),
+			...(room.obstacles || []).map(entity => ({ kind: 'obstacle', entity }))
+		];
+	}
+
 	startMovingNodes(nodes, mouseX, mouseY) {
 		this.movingNodes = [...nodes];
 		this.moveOffsets.clear();
 
 		for (const node of nodes) {
 			const bounds = getNodeBounds(node);
-			this.moveOffsets.set(node.id, {
+			this.moveOffsets.set(node, {
 				x: mouseX - bounds.x,
 				y: mouseY - bounds.y
 			});
@@ -395,6 +618,8 @@ class State {
 					note: t.note,
 					devNote: t.devNote,
 					extensionTech: isExtension,
+					techRequires: t.techRequires || [],
+					otherRequires: t.otherRequires || [],
 					extensionTechs: t.extensionTechs ? processTechs(t.extensionTechs, true) : []
 				}));
 			};
@@ -416,10 +641,12 @@ class State {
 			const data = await window.api.loadJson(helperPath);
 			if (!data?.helperCategories) return;
 
+			this.helperMap.clear();
 			for (const cat of data.helperCategories) {
 				this.helperMap.set(cat.name, {
 					items: (cat.helpers || []).map(h => ({
 						name: h.name,
+						requires: h.requires || [],
 						note: h.note || null,
 						devNote: h.devNote || null
 					}))
@@ -483,6 +710,24 @@ class State {
     }
 
 	// Connection management methods (keeping existing implementation)
+	invalidateConnectionCaches() {
+		this.connectionCache.clear();
+		this.interConnections = null;
+		this.intraConnections.clear();
+	}
+
+	/**
+	 * Connection file holding connections between two rooms, relative to the working directory
+	 * @param {{area: string, subarea: string}} a
+	 * @param {{area: string, subarea: string}} b
+	 * @returns {string}
+	 */
+	getConnectionFile(a, b) {
+		if (a.area !== b.area) return 'connection/inter.json';
+		if (a.subarea !== b.subarea) return `connection/${a.area}/intra.json`;
+		return `connection/${a.area}/${a.subarea}.json`;
+	}
+
 	async loadConnections(area, subarea) {
 		const key = `${area}/${subarea}`;
 		if (this.connectionCache.has(key)) {
@@ -546,7 +791,8 @@ class State {
 						connectionType: conn.connectionType,
 						direction: conn.direction,
 						position: conn.targetNode.position,
-						nodes: conn.nodes
+						nodes: conn.nodes,
+						file: conn.file
 					};
 				}
 			}
@@ -557,13 +803,21 @@ class State {
 	async findDoorConnection(doorNode) {
 		if (!doorNode || doorNode.nodeType !== 'door') return null;
 
-		const allConnections = [
-			await this.loadConnections(this.currentArea, this.currentSubarea),
-			await this.loadIntraConnections(this.currentArea),
-			await this.loadInterConnections()
+		const allConnections = [{
+				file: `connection/${this.currentArea}/${this.currentSubarea}.json`,
+				data: await this.loadConnections(this.currentArea, this.currentSubarea)
+			},
+			{
+				file: `connection/${this.currentArea}/intra.json`,
+				data: await this.loadIntraConnections(this.currentArea)
+			},
+			{
+				file: 'connection/inter.json',
+				data: await this.loadInterConnections()
+			}
 		];
 
-		for (const connData of allConnections) {
+		for (const { file, data: connData } of allConnections) {
 			if (!connData?.connections) continue;
 
 			for (const conn of connData.connections) {
@@ -600,7 +854,8 @@ class State {
 						targetArea: targetNode.area,
 						targetSubarea: targetNode.subarea,
 						direction: conn.direction,
-						nodes: conn.nodes
+						nodes: conn.nodes,
+						file
 					};
 				}
 			}
@@ -610,7 +865,7 @@ class State {
 
 	getTargetSubroom(targetNode) {
 		if (!targetNode?.roomName || !targetNode?.nodeName) return null;
-		if (targetNode.roomName === "PYR-TRO Elevator / PYR Entrance Lobby") {
+		if (this.isCompositeRoomException(targetNode.roomName)) {
 			return null;
 		}
 		const segments = targetNode.roomName.split(' / ');
@@ -0,0 +1,96 @@
+/**
+ * Strat Graph Health - Finds structural problems in a room's node/strat graph
+ * that are easy to miss by eye (dead ends, doors that can't be left, broken links)
+ */
+
+export const HEALTH_ISSUE_LABELS = {
+    'no-outgoing': 'No outgoing strats',
+    'dead-end': 'Entered but never left',
+    'door-no-exit': 'Door without exit',
+    'missing-node': 'Link to missing node',
+    'bad-link': 'Malformed link',
+    'door-self-link': 'Self-link on door'
+};
+
+/**
+ * Check the strat graph of a room
+ * @param {Object[]} nodes - Room nodes
+ * @param {Object[]} strats - Room strats
+ * @returns {Array<{kind: string, nodeId: number|null, stratIndex: number|null, message: string}>}
+ *          Issues; stratIndex is 0-based
+ */
+export function analyzeStratGraph(nodes, strats) {
+    const issues = [];
+    const nodesById = new Map((nodes || []).map(node => [node.id, node]));
+    const outgoing = new Map();
+    const incoming = new Map();
+    const exits = new Set();
+    const count = (map, nodeId) => map.set(nodeId, (map.get(nodeId) || 0) + 1);
+
+    (strats || []).forEach((strat, index) => {
+        const stratLabel = `Strat ${index + 1} "${strat.name || '(unnamed)'}"`;
+        const link = strat.link;
+
+        if (!Array.isArray(link) || link.length !== 2) {
+            issues.push({ kind: 'bad-link', nodeId: null, stratIndex: index, message: `${stratLabel} has no [from, to] link` });
+            return;
+        }
+
+        const [from, to] = link;
+        const missing = [from, to].filter(nodeId => !nodesById.has(nodeId));
+        if (missing.length > 0) {
+            // Attach the issue to the endpoint that does exist so it shows on the canvas
+            const existing = [from, to].find(nodeId => nodesById.has(nodeId));
+            [...new Set(missing)].forEach(nodeId => issues.push({
+                kind: 'missing-node',
+                nodeId: existing ?? null,
+                stratIndex: index,
+                message: `${stratLabel} links to node ${nodeId}, which doesn't exist`
+            }));
+            return;
+        }
+
+        if (strat.exitCondition) exits.add(to);
+
+        if (from === to) {
+            // Runways, entrances and the like are written as self-links on the door
+            if (nodesById.get(from).nodeType === 'door' && !strat.exitCondition && !strat.entranceCondition) {
+                issues.push({
+                    kind: 'door-self-link',
+                    nodeId: from,
+                    stratIndex: index,
+                    message: `${stratLabel} links door ${from} to itself without an entrance or exit condition`
+                });
+            }
+            return;
+        }
+
+        count(outgoing, from);
+        count(incoming, to);
+    });
+
+    for (const node of nodes || []) {
+        const isDoor = node.nodeType === 'door';
+        const nodeLabel = `Node ${node.id} "${node.name || '(unnamed)'}"`;
+
+        if (!outgoing.has(node.id)) {
+            // Doors are left through their exit, which is checked below
+            if (incoming.has(node.id) && !isDoor) {
+                issues.push({ kind: 'dead-end', nodeId: node.id, stratIndex: null, message: `${nodeLabel} can be entered but never left` });
+            } else {
+                issues.push({ kind: 'no-outgoing', nodeId: node.id, stratIndex: null, message: `${nodeLabel} has no outgoing strats` });
+            }
+        }
+
+        if (isDoor && !node.useImplicitLeaveNormally && !exits.has(node.id)) {
+            issues.push({
+                kind: 'door-no-exit',
+                nodeId: node.id,
+                stratIndex: null,
+                message: `${nodeLabel} has no exit strat and doesn't use the implicit Leave Normally`
+            });
+        }
+    }
+
+    return issues;
+}
@@ -165,6 +165,8 @@ export function getCursorStyle(mode, hoverNode, isResizeCorner, isMoving) {
             return hoverNode ? 'grab' : 'default';
         case 'resize':
             return isResizeCorner ? 'nw-resize' : 'default';
+        case 'link':
+            return hoverNode ? 'crosshair' : 'default';
         default:
             return 'default';
     }
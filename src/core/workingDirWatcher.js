@@ -0,0 +1,97 @@
+/* =============================================================================
+   Working Directory Watcher - Reports data files changed outside the editor
+   (git pull, branch switches, other editors)
+   ============================================================================= */
+
+const fs = require('fs');
+const path = require('path');
+
+class WorkingDirWatcher {
+    /**
+     * @param {Function} onChange - Called with an array of changed paths, relative
+     *                              to the working directory and using forward slashes
+     * @param {Object} [options]
+     * @param {number} [options.debounceMs] - Quiet time before changes are reported
+     * @param {number} [options.ignoreWindowMs] - How long our own writes are ignored
+     */
+    constructor(onChange, { debounceMs = 400, ignoreWindowMs = 2000 } = {}) {
+        this.onChange = onChange;
+        this.debounceMs = debounceMs;
+        this.ignoreWindowMs = ignoreWindowMs;
+        this.watcher = null;
+        this.dir = null;
+        this.pending = new Set();
+        this.timer = null;
+        this.ownWrites = new Map();
+    }
+
+    /**
+     * Start watching a directory (stops watching the previous one)
+     * @param {string} dir
+     */
+    watch(dir) {
+        this.close();
+        this.dir = dir;
+        try {
+            this.watcher = fs.watch(dir, { recursive: true }, (eventType, filename) => {
+                if (filename) this.handleEvent(filename.toString());
+            });
+            this.watcher.on('error', (err) => {
+                console.warn(`Stopped watching ${dir}:`, err.message);
+                this.close();
+            });
+            console.log(`Watching working directory: ${dir}`);
+        } catch (err) {
+            console.warn(`Could not watch ${dir}:`, err.message);
+            this.watcher = null;
+        }
+    }
+
+    /**
+     * Ignore change events for a file the editor itself is about to write
+     * @param {string} filePath - Absolute path
+     */
+    ignoreWrite(filePath) {
+        this.ownWrites.set(path.resolve(filePath), Date.now());
+    }
+
+    handleEvent(filename) {
+        const relativePath = filename.split(path.sep).join('/');
+        if (!relativePath.endsWith('.json')) return;
+        if (relativePath.split('/').some(part => part.startsWith('.'))) return;
+
+        const absolutePath = path.resolve(this.dir, filename);
+        const writtenAt = this.ownWrites.get(absolutePath);
+        if (writtenAt !== undefined) {
+            if (Date.now() - writtenAt < this.ignoreWindowMs) return;
+            this.ownWrites.delete(absolutePath);
+        }
+
+        this.pending.add(relativePath);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.debounceMs);
+    }
+
+    flush() {
+        this.timer = null;
+        if (this.pending.size === 0) return;
+        const changes = [...this.pending].sort();
+        this.pending.clear();
+        this.onChange(changes);
+    }
+
+    close() {
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WorkingDirWatcher };
+}
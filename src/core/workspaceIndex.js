@@ -0,0 +1,218 @@
+/* =============================================================================
+   Workspace Index - Room metadata for a working directory, cached on disk
+
+   Walks region/<area>/<subarea>/*.json and keeps the room name, id, address,
+   map footprint, door nodes, file path and mtime of every room. Only files whose mtime or size
+   changed since the last refresh are parsed again.
+   ============================================================================= */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const INDEX_VERSION = 2;
+
+class WorkspaceIndex {
+    /**
+     * @param {string} cacheDir - Directory where index files are stored
+     */
+    constructor(cacheDir) {
+        this.cacheDir = cacheDir;
+        this.workingDir = null;
+        this.entries = new Map(); // relative file path -> room entry
+        this.refreshing = null;
+    }
+
+    cachePathFor(workingDir) {
+        const hash = crypto.createHash('sha1').update(path.resolve(workingDir)).digest('hex');
+        return path.join(this.cacheDir, `${hash.slice(0, 16)}.json`);
+    }
+
+    async loadCache(workingDir) {
+        this.entries = new Map();
+        try {
+            const cached = JSON.parse(await fs.readFile(this.cachePathFor(workingDir), 'utf8'));
+            if (cached.version === INDEX_VERSION && cached.workingDir === path.resolve(workingDir)) {
+                for (const entry of cached.rooms) {
+                    this.entries.set(entry.file, entry);
+                }
+            }
+        } catch {
+            // No usable cache yet
+        }
+    }
+
+    async saveCache() {
+        try {
+            await fs.mkdir(this.cacheDir, { recursive: true });
+            await fs.writeFile(this.cachePathFor(this.workingDir), JSON.stringify({
+                version: INDEX_VERSION,
+                workingDir: path.resolve(this.workingDir),
+                rooms: [...this.entries.values()]
+            }));
+        } catch (err) {
+            console.warn('Failed to write workspace index cache:', err.message);
+        }
+    }
+
+    /**
+     * Bring the index up to date with the files on disk
+     * @param {string} workingDir
+     * @param {string[]} [areas] - Area folders to index (all folders if empty)
+     * @returns {Promise<Object[]>} Room entries
+     */
+    async refresh(workingDir, areas = []) {
+        // Concurrent callers share one walk
+        while (this.refreshing) {
+            await this.refreshing;
+        }
+        this.refreshing = this.doRefresh(workingDir, areas);
+        try {
+            return await this.refreshing;
+        } finally {
+            this.refreshing = null;
+        }
+    }
+
+    async doRefresh(workingDir, areas) {
+        if (this.workingDir !== workingDir) {
+            this.workingDir = workingDir;
+            await this.loadCache(workingDir);
+        }
+
+        const regionPath = path.join(workingDir, 'region');
+        const areaNames = areas.length > 0 ? areas : await listDirectories(regionPath);
+        const seen = new Set();
+        let parsed = 0;
+
+        for (const area of areaNames) {
+            const areaPath = path.join(regionPath, area);
+            for (const subarea of await listDirectories(areaPath)) {
+                const subareaPath = path.join(areaPath, subarea);
+                let files;
+                try {
+                    files = await fs.readdir(subareaPath);
+                } catch {
+                    continue;
+                }
+                for (const fileName of files) {
+                    if (!fileName.endsWith('.json') || fileName.startsWith('.')) continue;
+                    const file = `region/${area}/${subarea}/${fileName}`;
+                    const fullPath = path.join(subareaPath, fileName);
+                    let stats;
+                    try {
+                        stats = await fs.stat(fullPath);
+                    } catch {
+                        continue;
+                    }
+                    if (!stats.isFile()) continue;
+                    seen.add(file);
+
+                    const cached = this.entries.get(file);
+                    if (cached && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) continue;
+
+                    const entry = await readRoomEntry(fullPath, { file, area, subarea, stats });
+                    parsed++;
+                    if (entry) {
+                        this.entries.set(file, entry);
+                    } else {
+                        this.entries.delete(file);
+                    }
+                }
+            }
+        }
+
+        let removed = 0;
+        for (const file of [...this.entries.keys()]) {
+            if (!seen.has(file)) {
+                this.entries.delete(file);
+                removed++;
+            }
+        }
+
+        if (parsed > 0 || removed > 0) {
+            await this.saveCache();
+        }
+        console.log(`Workspace index: ${this.entries.size} rooms (${parsed} re-read, ${removed} removed)`);
+        return this.getRooms();
+    }
+
+    getRooms() {
+        return [...this.entries.values()];
+    }
+}
+
+async function listDirectories(dirPath) {
+    try {
+        const items = await fs.readdir(dirPath, { withFileTypes: true });
+        return items
+            .filter(item => item.isDirectory() && !item.name.startsWith('.'))
+            .map(item => item.name)
+            .sort();
+    } catch {
+        return [];
+    }
+}
+
+// How far a tile lies in each door orientation
+const ORIENTATION_SCORES = {
+    left: ([x]) => -x,
+    right: ([x]) => x,
+    up: ([, y]) => -y,
+    down: ([, y]) => y
+};
+
+/**
+ * Map tile of a door: the tile marked 2 in its mapTileMask that lies furthest
+ * in the door's direction
+ * @returns {number[]|null} [x, y]
+ */
+function doorTile(door) {
+    if (!Array.isArray(door.mapTileMask)) return null;
+    const tiles = [];
+    door.mapTileMask.forEach((row, y) => {
+        (row || []).forEach((value, x) => {
+            if (value === 2) tiles.push([x, y]);
+        });
+    });
+    if (tiles.length === 0) return null;
+
+    const score = ORIENTATION_SCORES[door.doorOrientation] || (() => 0);
+    return tiles.reduce((best, tile) => score(tile) > score(best) ? tile : best);
+}
+
+async function readRoomEntry(fullPath, { file, area, subarea, stats }) {
+    try {
+        const room = JSON.parse(await fs.readFile(fullPath, 'utf8'));
+        if (!room || !room.nodes) return null;
+        return {
+            file,
+            fileName: path.basename(file),
+            mtimeMs: stats.mtimeMs,
+            size: stats.size,
+            name: room.name,
+            id: room.id,
+            area,
+            subarea,
+            address: room.roomAddress,
+            mapTileMask: room.mapTileMask || null,
+            doors: room.nodes
+                .filter(n => n.nodeType === 'door')
+                .map(door => ({
+                    id: door.id,
+                    address: door.nodeAddress,
+                    orientation: door.doorOrientation,
+                    name: door.name,
+                    tile: doorTile(door)
+                }))
+        };
+    } catch (err) {
+        console.warn(`Failed to index room file ${fullPath}:`, err.message);
+        return null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WorkspaceIndex };
+}
@@ -0,0 +1,69 @@
+/* =============================================================================
+   Workspace Search - Case-insensitive text search over the descriptive fields
+   of room files: strat, node, notable and enemy group names, notes, devNotes
+   and room addresses
+   ============================================================================= */
+
+// Searchable fields of each entry type; notes may be a string or an array of lines
+const ENTRY_FIELDS = {
+    strats: { type: 'strat', fields: ['name', 'note', 'devNote'] },
+    nodes: { type: 'node', fields: ['name', 'note', 'devNote'] },
+    notables: { type: 'notable', fields: ['name', 'note', 'devNote'] },
+    enemies: { type: 'enemy', fields: ['groupName', 'note', 'devNote'] }
+};
+
+const ROOM_FIELDS = ['roomAddress', 'note', 'devNote'];
+
+const SNIPPET_RADIUS = 40;
+
+function fieldText(value) {
+    if (typeof value === 'string') return value;
+    if (Array.isArray(value)) return value.filter(line => typeof line === 'string').join(' ');
+    return null;
+}
+
+/**
+ * Short excerpt of a text around the first match
+ */
+function snippet(text, matchIndex, length) {
+    const start = Math.max(0, matchIndex - SNIPPET_RADIUS);
+    const end = Math.min(text.length, matchIndex + length + SNIPPET_RADIUS);
+    return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * Find every searchable field of a room containing the query
+ * @param {Object} room - Room data
+ * @param {string} query
+ * @returns {Array<{type: string, index: number|null, id: *, name: string, field: string, snippet: string}>}
+ */
+function searchRoom(room, query) {
+    const needle = query.toLowerCase();
+    const matches = [];
+
+    const check = (value, field, entry) => {
+        const text = fieldText(value);
+        if (!text) return;
+        const matchIndex = text.toLowerCase().indexOf(needle);
+        if (matchIndex < 0) return;
+        matches.push({ ...entry, field, snippet: snippet(text, matchIndex, needle.length) });
+    };
+
+    ROOM_FIELDS.forEach(field => {
+        check(room[field], field, { type: 'room', index: null, id: room.id, name: room.name });
+    });
+
+    for (const [key, { type, fields }] of Object.entries(ENTRY_FIELDS)) {
+        (room[key] || []).forEach((item, index) => {
+            const entry = { type, index, id: item.id, name: item.name || item.groupName };
+            fields.forEach(field => check(item[field], field, entry));
+        });
+    }
+
+    return matches;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { searchRoom };
+}
@@ -9,7 +9,7 @@
    - Use implicit flags for standard strat generation
    - Map tile associations (using TileMap editor)
    - Viewable nodes configuration
-   - Read-only connection info display
+   - Connection editing (create, retarget, change type/direction, delete)
    ============================================================================= */
 
 const {
@@ -59,7 +59,7 @@ function handleDoorDataReceived(event, data, enemyList, itemList, eventList, wea
 	doorData = data || {};
 	doorNode = doorData.doorNode || {};
 	connectionInfo = doorData.connection || null;
-	allRoomsMetadata = doorData.allRoomsMetadata;
+	allRoomsMetadata = doorData.allRoomsMetadata || [];
 
 	// Store for global access by condition editors
 	window.doorEditorData = {
@@ -111,6 +111,9 @@ function handleAllRoomsData(event, rooms) {
 	if (container && container.children.length > 0) {
 		populateTwinDoorAddresses();
 	}
+	if (doorNode) {
+		populateConnectionInfo();
+	}
 }
 
 function updateHeaderInfo() {
@@ -968,72 +971,218 @@ function populateOtherProperties() {
 	container.appendChild(immediateLabel);
 }
 // ----------------------------------------------------------------------------
-// Connection Info (Read-Only)
+// Connection
 // ----------------------------------------------------------------------------
 function populateConnectionInfo() {
 	const container = document.getElementById('connectionInfoContainer');
 	if (!container) return;
 	container.innerHTML = '';
 
+	// Endpoint of the connection on the other side of this door
+	const originalTarget = connectionInfo?.nodes?.find(n =>
+		!(n.roomid === doorData.roomId && n.nodeid === doorNode.id)
+	) || null;
+
+	const row = (labelText, control) => {
+		const div = document.createElement('div');
+		div.style.display = 'flex';
+		div.style.gap = '8px';
+		div.style.marginBottom = '8px';
+		div.style.alignItems = 'center';
+
+		const label = document.createElement('strong');
+		label.textContent = labelText;
+		label.style.minWidth = '110px';
+
+		div.appendChild(label);
+		div.appendChild(control);
+		container.appendChild(div);
+		return div;
+	};
+
 	if (!connectionInfo) {
-		container.innerHTML = '<em style="color: #999;">No connection information available</em>';
-		return;
+		const hint = document.createElement('em');
+		hint.style.color = '#999';
+		hint.style.display = 'block';
+		hint.style.marginBottom = '8px';
+		hint.textContent = 'This door has no connection. Select a target door to create one.';
+		container.appendChild(hint);
 	}
 
-	const infoCard = document.createElement('div');
-	infoCard.style.backgroundColor = '#f8f9fa';
-	infoCard.style.border = '1px solid #dee2e6';
-	infoCard.style.borderRadius = '6px';
-	infoCard.style.padding = '12px';
+	// Target room / door selectors (same layout as the twin door picker)
+	const roomSelect = document.createElement('select');
+	roomSelect.style.flex = '1';
+	const roomEmpty = document.createElement('option');
+	roomEmpty.value = '';
+	roomEmpty.textContent = '(select target room)';
+	roomSelect.appendChild(roomEmpty);
 
-	const targetRoomDisplay = connectionInfo.targetSubroom ?
-		`[Sub-Room] ${connectionInfo.targetSubroom}` :
-		connectionInfo.targetRoom;
+	allRoomsMetadata.forEach(room => {
+		const option = document.createElement('option');
+		option.value = room.id;
+		option.textContent = `${room.name} - (${room.area}/${room.subarea})`;
+		roomSelect.appendChild(option);
+	});
 
-	const infoItems = [{
-			label: 'Target Room',
-			value: targetRoomDisplay
-		},
-		{
-			label: 'Target Area',
-			value: connectionInfo.targetArea
-		},
-		{
-			label: 'Target Subarea',
-			value: connectionInfo.targetSubarea
-		},
-		{
-			label: 'Connection Type',
-			value: connectionInfo.connectionType
-		},
-		{
-			label: 'Direction',
-			value: connectionInfo.direction
+	const doorSelect = document.createElement('select');
+	doorSelect.style.flex = '1';
+
+	const selectedRoom = () => allRoomsMetadata.find(room => String(room.id) === roomSelect.value) || null;
+
+	const populateDoors = () => {
+		doorSelect.innerHTML = '';
+		const doorEmpty = document.createElement('option');
+		doorEmpty.value = '';
+		doorEmpty.textContent = '(select door)';
+		doorSelect.appendChild(doorEmpty);
+
+		const room = selectedRoom();
+		doorSelect.disabled = !room;
+		(room?.doors || []).forEach(door => {
+			const option = document.createElement('option');
+			option.value = door.id;
+			option.textContent = door.name;
+			doorSelect.appendChild(option);
+		});
+	};
+	roomSelect.addEventListener('change', populateDoors);
+
+	if (originalTarget) {
+		roomSelect.value = originalTarget.roomid;
+	}
+	populateDoors();
+	if (originalTarget) {
+		doorSelect.value = originalTarget.nodeid;
+	}
+
+	const typeSelect = document.createElement('select');
+	const types = [...CONNECTION_TYPES];
+	if (connectionInfo?.connectionType && !types.includes(connectionInfo.connectionType)) {
+		types.push(connectionInfo.connectionType);
+	}
+	types.forEach(type => {
+		const option = document.createElement('option');
+		option.value = type;
+		option.textContent = type;
+		typeSelect.appendChild(option);
+	});
+	typeSelect.value = connectionInfo?.connectionType ||
+		(doorNode.doorOrientation === 'up' || doorNode.doorOrientation === 'down' ? 'VerticalDoor' : 'HorizontalDoor');
+
+	const directionSelect = document.createElement('select');
+	[{
+			value: 'Bidirectional',
+			label: 'Bidirectional'
 		},
 		{
-			label: 'Position',
-			value: connectionInfo.position
+			value: 'Forward',
+			label: 'Forward (one-way, out of this door)'
 		}
+	].forEach(({ value, label }) => {
+		const option = document.createElement('option');
+		option.value = value;
+		option.textContent = label;
+		directionSelect.appendChild(option);
+	});
+	directionSelect.value = connectionInfo?.direction || 'Bidirectional';
+
+	// The endpoint order is kept while the target stays the same, so a connection
+	// stored with this door second runs into it; a new target starts at this door
+	const forwardOption = directionSelect.querySelector('option[value="Forward"]');
+	const secondEndpoint = connectionInfo?.nodes?.[1];
+	const isSecondEndpoint = secondEndpoint?.roomid === doorData.roomId && secondEndpoint?.nodeid === doorNode.id;
+	const updateForwardLabel = () => {
+		const sameTarget = originalTarget &&
+			String(originalTarget.roomid) === roomSelect.value &&
+			String(originalTarget.nodeid) === doorSelect.value;
+		forwardOption.textContent = sameTarget && isSecondEndpoint ?
+			'Forward (one-way, into this door)' :
+			'Forward (one-way, out of this door)';
+	};
+	roomSelect.addEventListener('change', updateForwardLabel);
+	doorSelect.addEventListener('change', updateForwardLabel);
+	updateForwardLabel();
+
+	const targetRow = document.createElement('div');
+	targetRow.style.display = 'flex';
+	targetRow.style.gap = '8px';
+	targetRow.style.flex = '1';
+	targetRow.appendChild(roomSelect);
+	targetRow.appendChild(doorSelect);
+
+	const editRows = [
+		row('Target', targetRow),
+		row('Type', typeSelect),
+		row('Direction', directionSelect)
 	];
 
-	infoItems.forEach(item => {
-		const row = document.createElement('div');
-		row.style.marginBottom = '6px';
+	let deleteCheckbox = null;
+	if (connectionInfo) {
+		const deleteLabel = document.createElement('label');
+		deleteLabel.style.display = 'flex';
+		deleteLabel.style.alignItems = 'center';
+		deleteLabel.style.gap = '8px';
+		deleteLabel.style.cursor = 'pointer';
+		deleteLabel.style.color = '#c33';
+
+		deleteCheckbox = document.createElement('input');
+		deleteCheckbox.type = 'checkbox';
+		deleteCheckbox.addEventListener('change', () => {
+			editRows.forEach(div => div.style.opacity = deleteCheckbox.checked ? '0.4' : '1');
+			[roomSelect, doorSelect, typeSelect, directionSelect].forEach(control => {
+				control.disabled = deleteCheckbox.checked || (control === doorSelect && !selectedRoom());
+			});
+		});
 
-		const label = document.createElement('strong');
-		label.textContent = item.label + ': ';
-		label.style.marginRight = '8px';
+		deleteLabel.appendChild(deleteCheckbox);
+		deleteLabel.appendChild(document.createTextNode(`Delete connection (stored in ${connectionInfo.file})`));
+		container.appendChild(deleteLabel);
+	}
 
-		const value = document.createElement('span');
-		value.textContent = item.value || '(none)';
-		value.style.color = item.value ? '#000' : '#999';
+	// Connection change to apply on save, or null when nothing changed
+	container.getValue = () => {
+		const original = connectionInfo ? {
+			file: connectionInfo.file,
+			nodes: connectionInfo.nodes
+		} : null;
 
-		row.appendChild(label);
-		row.appendChild(value);
-		infoCard.appendChild(row);
-	});
+		if (deleteCheckbox?.checked) {
+			return {
+				original,
+				deleted: true
+			};
+		}
+
+		const room = selectedRoom();
+		const door = room?.doors.find(d => String(d.id) === doorSelect.value);
+		if (!door) {
+			if (!connectionInfo) return null;
+			throw new Error('Select a target door for the connection, or tick "Delete connection"');
+		}
+
+		if (originalTarget &&
+			originalTarget.roomid === room.id &&
+			originalTarget.nodeid === door.id &&
+			connectionInfo.connectionType === typeSelect.value &&
+			connectionInfo.direction === directionSelect.value) {
+			return null;
+		}
 
-	container.appendChild(infoCard);
+		return {
+			original,
+			connectionType: typeSelect.value,
+			direction: directionSelect.value,
+			target: {
+				area: room.area,
+				subarea: room.subarea,
+				roomid: room.id,
+				roomName: room.name,
+				nodeid: door.id,
+				nodeName: door.name,
+				position: ORIENTATION_POSITIONS[door.orientation] || null
+			}
+		};
+	};
 }
 // ============================================================================
 // Save/Load Operations
@@ -1043,7 +1192,8 @@ function handleSave() {
 		const updatedNode = collectDoorNodeData();
 		const payload = {
 			nodeId: doorNode.id,
-			updatedNode: updatedNode
+			updatedNode: updatedNode,
+			connectionChange: document.getElementById('connectionInfoContainer')?.getValue?.() || null
 		};
 
 		console.log('Saving door node data:', payload);
@@ -137,4 +137,20 @@ const IMPLICIT_FLAGS = [{
         description: 'Generate standard unlock strats',
         default: true
     }
-];
\ No newline at end of file
+];
+// Connection types offered by the connection editor
+const CONNECTION_TYPES = [
+    'HorizontalDoor',
+    'VerticalDoor',
+    'Elevator',
+    'Toilet',
+    'ConnectionBridge'
+];
+
+// Connection "position" of a door endpoint for each door orientation
+const ORIENTATION_POSITIONS = {
+    left: 'left',
+    right: 'right',
+    up: 'top',
+    down: 'bottom'
+};
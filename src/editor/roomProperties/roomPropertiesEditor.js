@@ -36,6 +36,8 @@ class RoomPropertiesEditor {
 		this.techMap = {};
 		this.helperMap = {};
 		this.stratPresets = [];
+		this.formatOptions = {}; // formatJson options: room schema and editor-config.json jsonFormat
+		this.virtualScrollers = {};
 		this.editorInstances = {
 			obstacles: new Map(),
 			enemies: new Map(),
@@ -312,8 +314,12 @@ class RoomPropertiesEditor {
 
 	setupIPCListeners() {
 		console.log('Setting up IPC listeners');
-		ipcRenderer.on('init-room-properties-data', (event, data, enemyList, itemList, eventList, weaponList, techMap, helperMap, stratPresets) => {
+		ipcRenderer.on('init-room-properties-data', (event, data, enemyList, itemList, eventList, weaponList, techMap, helperMap, stratPresets, focusTarget, formatOptions) => {
+			this.formatOptions = formatOptions || {};
 			this.handleRoomDataReceived(data, enemyList, itemList, eventList, weaponList, techMap, helperMap, stratPresets);
+			if (focusTarget) {
+				this.focusEditor(focusTarget.type, focusTarget.index);
+			}
 		});
 		// Tell main process we're ready to receive data
 		console.log('Sending room-properties-editor-ready signal');
@@ -594,6 +600,7 @@ class RoomPropertiesEditor {
 			if (container) container.innerHTML = '';
 		});
 		Object.values(this.editorInstances).forEach(map => map.clear());
+		this.virtualScrollers = {};
 
 		// Populate each editor type
 		Object.keys(this.editorConfigs).forEach(type => {
@@ -609,7 +616,8 @@ class RoomPropertiesEditor {
 				this.setupVirtualScrollContainer(type, dataArray);
 			} else {
 				dataArray.forEach(itemData => {
-					this.createEditor(type, itemData);
+					const editor = this.createEditor(type, itemData);
+					if (editor) editor.sourceData = itemData;
 				});
 			}
 		});
@@ -685,12 +693,15 @@ class RoomPropertiesEditor {
 			for (let i = renderStart; i < renderEnd; i++) {
 				const editor = this.createEditor(type, dataArray[i], true);
 				if (editor) {
+					editor.sourceData = dataArray[i];
 					// Start collapsed for performance
 					editor.collapse();
 				}
 			}
 		};
 
+		this.virtualScrollers[type] = { wrapper, itemHeight, dataArray, render: renderVisibleItems };
+
 		// Debounced scroll handler
 		let scrollTimeout;
 		wrapper.addEventListener('scroll', () => {
@@ -702,6 +713,38 @@ class RoomPropertiesEditor {
 		renderVisibleItems();
 	}
 
+	/**
+	 * Expand and scroll to the editor of one room entry (e.g. a strat opened from Find References)
+	 * @param {string} type - Editor type (strats, enemies, ...)
+	 * @param {number} index - Index of the entry in the room data array
+	 */
+	focusEditor(type, index) {
+		const itemData = (this.currentRoomData[type] || [])[index];
+		if (!itemData) return;
+
+		// Bring the entry into the rendered range first
+		const scroller = this.virtualScrollers[type];
+		if (scroller) {
+			const position = scroller.dataArray.indexOf(itemData);
+			if (position >= 0) {
+				scroller.wrapper.scrollTop = position * scroller.itemHeight;
+				scroller.render();
+			}
+		}
+
+		const editor = [...this.editorInstances[type].values()]
+			.reverse()
+			.find(instance => instance.sourceData === itemData);
+		if (!editor) return;
+
+		if (editor.expand) editor.expand();
+		editor.root.classList.add('focused');
+		setTimeout(() => {
+			editor.root.scrollIntoView({ behavior: 'smooth', block: 'center' });
+		}, 100);
+		setTimeout(() => editor.root.classList.remove('focused'), 3000);
+	}
+
 	setupMapTileMaskEditor() {
 		const container = document.getElementById('mapTileMaskContainer');
 		if (!container) return;
@@ -1115,95 +1158,11 @@ class RoomPropertiesEditor {
 	}
 
 	/**
-	 * Custom JSON formatter for compact array display
+	 * Format JSON the same way saved files are (see core/jsonFormatter.js), with the
+	 * room schema and dataset options sent by the main window
 	 */
-	formatJSON(obj, indent = 2) {
-		const space = ' '.repeat(indent);
-
-		const stringify = (value, currentIndent = 0) => {
-			const currentSpace = ' '.repeat(currentIndent);
-			const nextSpace = ' '.repeat(currentIndent + indent);
-
-			if (value === null) return 'null';
-			if (value === undefined) return undefined;
-			if (typeof value === 'boolean') return value.toString();
-			if (typeof value === 'number') return value.toString();
-			if (typeof value === 'string') return JSON.stringify(value);
-
-			if (Array.isArray(value)) {
-				if (value.length === 0) return '[]';
-
-				// Check if this is a simple array (all primitives)
-				const allPrimitives = value.every(item =>
-					item === null ||
-					typeof item === 'string' ||
-					typeof item === 'number' ||
-					typeof item === 'boolean'
-				);
-
-				// Check if this is a 2D number array (like mapTileMask)
-				const is2DNumberArray = value.every(item =>
-					Array.isArray(item) && item.every(subItem => typeof subItem === 'number')
-				);
-
-				if (allPrimitives && value.length <= 10) {
-					// Compact format for simple short arrays
-					return '[' + value.map(v => stringify(v, 0)).join(', ') + ']';
-				} else if (is2DNumberArray) {
-					// Special compact format for 2D arrays - NO SPACES after commas
-					return '[\n' + nextSpace + value.map(row =>
-						'[' + row.join(',') + ']'
-					).join(',\n' + nextSpace) + '\n' + currentSpace + ']';
-				} else if (value.length === 1 && typeof value[0] === 'object' && value[0] !== null) {
-					// Check if single object has nested and/or with multiple items
-					const obj = value[0];
-					const hasComplexLogic = (obj.and && obj.and.length > 1) || (obj.or && obj.or.length > 1);
-
-					if (hasComplexLogic) {
-						// Multi-line for complex logic
-						return '[\n' + nextSpace + stringify(value[0], currentIndent + indent) + '\n' + currentSpace + ']';
-					} else {
-						// Try compact format
-						const inner = stringify(value[0], 0);
-						if (inner.length < 80) {
-							return '[' + inner + ']';
-						}
-					}
-				}
-
-				// Default: multi-line format
-				return '[\n' + nextSpace +
-					value.map(v => stringify(v, currentIndent + indent)).join(',\n' + nextSpace) +
-					'\n' + currentSpace + ']';
-			}
-
-			if (typeof value === 'object') {
-				const keys = Object.keys(value);
-				if (keys.length === 0) return '{}';
-
-				// Check if this is a small object that can be inlined
-				const entries = keys.map(k => {
-					const v = stringify(value[k], currentIndent + indent);
-					return v !== undefined ? `${JSON.stringify(k)}: ${v}` : null;
-				}).filter(e => e !== null);
-
-				const singleLine = '{' + entries.join(', ') + '}';
-
-				// Inline if small and no nested objects
-				if (singleLine.length < 80 && !entries.some(e => e.includes('{'))) {
-					return singleLine;
-				}
-
-				// Multi-line format
-				return '{\n' + nextSpace +
-					entries.join(',\n' + nextSpace) +
-					'\n' + currentSpace + '}';
-			}
-
-			return JSON.stringify(value);
-		};
-
-		return stringify(obj, 0);
+	formatJSON(obj) {
+		return formatJson(obj, this.formatOptions);
 	}
 
 	validateConditionOutput(condition, path = 'root') {
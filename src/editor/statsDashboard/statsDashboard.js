@@ -0,0 +1,262 @@
+/* =============================================================================
+   Dataset Statistics Dashboard
+
+   Summary of the working directory computed by core/datasetStats.js:
+   - rooms, strats, notables and obstacles per area and subarea
+   - most- and least-used techs and helpers
+   - strats-per-room distribution
+   - rooms without a note and rooms with devNote TODOs
+   Clicking a figure lists its rooms; clicking a room opens it in the main window.
+   ============================================================================= */
+
+const {
+	ipcRenderer
+} = require('electron');
+
+// Techs/helpers shown in each of the most- and least-used columns
+const USAGE_LIST_LENGTH = 15;
+
+// ============================================================================
+// Initialization
+// ============================================================================
+
+window.addEventListener('DOMContentLoaded', initializeDashboard);
+
+function initializeDashboard() {
+	ipcRenderer.on('init-stats-data', handleStatsReceived);
+	ipcRenderer.on('stats-data-error', (event, message) => {
+		document.getElementById('statsTitle').textContent = `⚠ Could not compute statistics: ${message}`;
+	});
+
+	document.getElementById('refreshBtn')?.addEventListener('click', () => {
+		document.getElementById('statsTitle').textContent = 'Refreshing...';
+		ipcRenderer.send('refresh-stats-dashboard');
+	});
+	document.getElementById('closeBtn')?.addEventListener('click', () => window.close());
+
+	document.addEventListener('keydown', (e) => {
+		if (e.key === 'Escape') window.close();
+	});
+	console.log('Statistics dashboard initialized');
+}
+
+function handleStatsReceived(event, stats, workingDir) {
+	const { totals } = stats;
+	document.getElementById('statsTitle').textContent =
+		`📊 ${workingDir} — ${totals.rooms} rooms, ${totals.strats} strats, ` +
+		`${totals.notables} notables, ${totals.obstacles} obstacles`;
+
+	renderAreaStats(stats.subareas);
+	renderUsage('techUsageContainer', stats.techUsage);
+	renderUsage('helperUsageContainer', stats.helperUsage);
+	renderStratDistribution(stats.stratBuckets, totals.rooms);
+	renderDocumentation(stats);
+}
+
+// ============================================================================
+// Room Links
+// ============================================================================
+
+/**
+ * A figure that lists its rooms in the side panel when clicked
+ * @param {string|number} text
+ * @param {string} title - Heading of the room list
+ * @param {Object[]} rooms - Room references ({name, area, subarea, fileName, todos?})
+ */
+function createRoomLink(text, title, rooms) {
+	const link = document.createElement('span');
+	link.className = 'stat-link';
+	link.textContent = text;
+	link.addEventListener('click', () => showRoomList(title, rooms));
+	return link;
+}
+
+function showRoomList(title, rooms) {
+	document.getElementById('roomListTitle').textContent = `${title} (${rooms.length})`;
+	const list = document.getElementById('roomList');
+	list.innerHTML = '';
+
+	[...rooms]
+		.sort((a, b) => a.name.localeCompare(b.name))
+		.forEach(room => {
+			const entry = document.createElement('div');
+			entry.className = 'room-entry';
+			entry.textContent = room.name;
+			entry.title = 'Open in the editor';
+
+			const detail = document.createElement('div');
+			detail.className = 'room-detail';
+			detail.textContent = `${room.area} / ${room.subarea}`;
+			entry.appendChild(detail);
+
+			(room.todos || []).forEach(todo => {
+				const todoDiv = document.createElement('div');
+				todoDiv.className = 'room-detail';
+				todoDiv.textContent = `• ${todo}`;
+				entry.appendChild(todoDiv);
+			});
+
+			entry.addEventListener('click', () => ipcRenderer.send('stats-open-room', room));
+			list.appendChild(entry);
+		});
+}
+
+// ============================================================================
+// Sections
+// ============================================================================
+
+function renderAreaStats(subareas) {
+	const container = document.getElementById('areaStatsContainer');
+	container.innerHTML = '';
+
+	const table = document.createElement('table');
+	table.className = 'stats-table';
+	table.innerHTML = '<tr><th>Area / Subarea</th><th>Rooms</th><th>Strats</th><th>Notables</th><th>Obstacles</th><th>Strats / Room</th></tr>';
+
+	const addRow = (label, group, className) => {
+		const row = document.createElement('tr');
+		if (className) row.className = className;
+
+		const labelCell = document.createElement('td');
+		labelCell.textContent = label;
+		row.appendChild(labelCell);
+
+		const roomsCell = document.createElement('td');
+		roomsCell.appendChild(createRoomLink(group.rooms.length, label, group.rooms));
+		row.appendChild(roomsCell);
+
+		[group.strats, group.notables, group.obstacles,
+			group.rooms.length ? (group.strats / group.rooms.length).toFixed(1) : '–'
+		].forEach(value => {
+			const cell = document.createElement('td');
+			cell.textContent = value;
+			row.appendChild(cell);
+		});
+		table.appendChild(row);
+	};
+
+	const areas = [...new Set(subareas.map(group => group.area))];
+	areas.forEach(area => {
+		const areaSubareas = subareas.filter(group => group.area === area);
+		const areaTotal = areaSubareas.reduce((total, group) => ({
+			rooms: total.rooms.concat(group.rooms),
+			strats: total.strats + group.strats,
+			notables: total.notables + group.notables,
+			obstacles: total.obstacles + group.obstacles
+		}), { rooms: [], strats: 0, notables: 0, obstacles: 0 });
+
+		addRow(area, areaTotal, 'area-row');
+		areaSubareas.forEach(group => addRow(`${area} / ${group.subarea}`, group));
+	});
+
+	container.appendChild(table);
+}
+
+/**
+ * Most-used and least-used columns of tech or helper usage
+ * @param {string} containerId
+ * @param {Array<{name: string, count: number, rooms: Object[]}>} usage - Sorted by count, most used first
+ */
+function renderUsage(containerId, usage) {
+	const container = document.getElementById(containerId);
+	container.innerHTML = '';
+
+	const columns = [{
+			title: 'Most used',
+			entries: usage.slice(0, USAGE_LIST_LENGTH)
+		},
+		{
+			title: 'Least used',
+			entries: usage.slice(-USAGE_LIST_LENGTH).reverse()
+		}
+	];
+
+	columns.forEach(({ title, entries }) => {
+		const table = document.createElement('table');
+		table.className = 'stats-table';
+		table.innerHTML = `<tr><th>${title}</th><th>Uses</th><th>Rooms</th></tr>`;
+
+		entries.forEach(entry => {
+			const row = document.createElement('tr');
+
+			const nameCell = document.createElement('td');
+			nameCell.className = 'name';
+			nameCell.textContent = entry.name;
+			row.appendChild(nameCell);
+
+			const countCell = document.createElement('td');
+			countCell.textContent = entry.count;
+			row.appendChild(countCell);
+
+			const roomsCell = document.createElement('td');
+			roomsCell.appendChild(createRoomLink(entry.rooms.length, `Rooms using ${entry.name}`, entry.rooms));
+			row.appendChild(roomsCell);
+
+			table.appendChild(row);
+		});
+
+		if (entries.length === 0) {
+			table.insertAdjacentHTML('beforeend', '<tr><td colspan="3" style="color: #999;">None defined</td></tr>');
+		}
+		container.appendChild(table);
+	});
+}
+
+function renderStratDistribution(buckets, roomCount) {
+	const container = document.getElementById('stratDistributionContainer');
+	container.innerHTML = '';
+
+	const table = document.createElement('table');
+	table.className = 'stats-table';
+	table.innerHTML = '<tr><th>Strats</th><th>Rooms</th><th style="width: 60%;"></th></tr>';
+
+	const largest = Math.max(1, ...buckets.map(bucket => bucket.rooms.length));
+	buckets.forEach(bucket => {
+		const row = document.createElement('tr');
+
+		const labelCell = document.createElement('td');
+		labelCell.textContent = bucket.label;
+		row.appendChild(labelCell);
+
+		const roomsCell = document.createElement('td');
+		roomsCell.appendChild(createRoomLink(bucket.rooms.length, `Rooms with ${bucket.label} strats`, bucket.rooms));
+		row.appendChild(roomsCell);
+
+		const barCell = document.createElement('td');
+		barCell.style.textAlign = 'left';
+		const bar = document.createElement('span');
+		bar.className = 'stat-bar';
+		bar.style.width = `${(bucket.rooms.length / largest) * 100}%`;
+		bar.title = roomCount ? `${((bucket.rooms.length / roomCount) * 100).toFixed(1)}% of rooms` : '';
+		barCell.appendChild(bar);
+		row.appendChild(barCell);
+
+		table.appendChild(row);
+	});
+
+	container.appendChild(table);
+}
+
+function renderDocumentation(stats) {
+	const container = document.getElementById('documentationContainer');
+	container.innerHTML = '';
+
+	const todoCount = stats.roomsWithTodos.reduce((sum, room) => sum + room.todos.length, 0);
+	const lines = [{
+			label: 'Rooms without a note: ',
+			link: createRoomLink(stats.roomsWithoutNote.length, 'Rooms without a note', stats.roomsWithoutNote)
+		},
+		{
+			label: `Rooms with devNote TODOs (${todoCount} TODOs): `,
+			link: createRoomLink(stats.roomsWithTodos.length, 'Rooms with devNote TODOs', stats.roomsWithTodos)
+		}
+	];
+
+	lines.forEach(({ label, link }) => {
+		const line = document.createElement('div');
+		line.style.cssText = 'font-size: 14px; margin-bottom: 6px;';
+		line.appendChild(document.createTextNode(label));
+		line.appendChild(link);
+		container.appendChild(line);
+	});
+}
@@ -3,8 +3,35 @@ const { app, BrowserWindow, dialog, ipcMain } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const { loadStratPresets } = require('./core/stratPresetLoader.js');
+const { validateAgainstSchema, clearSchemaCache } = require('./core/schemaValidator.js');
+const { formatJson } = require('./core/jsonFormatter.js');
+const { WorkingDirWatcher } = require('./core/workingDirWatcher.js');
+const { loadProjectConfig } = require('./core/projectConfig.js');
+const { WorkspaceIndex } = require('./core/workspaceIndex.js');
+const { findReferencesInRoom, renameReferencesInRoom } = require('./core/requirementWalker.js');
+const datasetRename = require('./core/datasetRename.js');
+const { searchRoom } = require('./core/workspaceSearch.js');
+const { loadConnectionFiles, auditConnections } = require('./core/connectionAudit.js');
+const { layoutAreaMap } = require('./core/areaMap.js');
+const { loadLogicDefinitions, solveReachability } = require('./core/logicSolver.js');
+const { computeDatasetStats } = require('./core/datasetStats.js');
 
 let mainWindow;
+let allowMainWindowClose = false;
+
+// jsonFormat of the working directory's editor-config.json, applied to every file written
+let jsonFormatOptions = {};
+
+// Notifies the renderer about data files changed outside the editor
+const workingDirWatcher = new WorkingDirWatcher((files) => {
+    // Compiled schemas would otherwise keep validating against the old version
+    if (files.some(file => file.endsWith('.schema.json'))) {
+        clearSchemaCache();
+    }
+    if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('working-dir-changed', files);
+    }
+});
 
 // Enable remote debugging
 app.commandLine.appendSwitch('remote-debugging-port', '9223');
@@ -21,10 +48,26 @@ function createWindow() {
     });
     
     mainWindow.loadFile(path.join(__dirname, 'ui', 'index.html'));
+
+    // Let the renderer prompt about unsaved changes before closing
+    mainWindow.on('close', (event) => {
+        if (allowMainWindowClose || mainWindow.webContents.isCrashed()) return;
+        event.preventDefault();
+        mainWindow.webContents.send('close-requested');
+    });
 }
 
+ipcMain.on('confirm-close', () => {
+    allowMainWindowClose = true;
+    if (mainWindow) mainWindow.close();
+});
+
 app.whenReady().then(createWindow);
 
+app.on('will-quit', () => {
+    workingDirWatcher.close();
+});
+
 // IPC Handlers
 ipcMain.handle('select-working-directory', async () => {
     const result = await dialog.showOpenDialog({
@@ -34,6 +77,205 @@ ipcMain.handle('select-working-directory', async () => {
     return result.filePaths[0];
 });
 
+ipcMain.handle('watch-working-directory', async (event, dirPath) => {
+    workingDirWatcher.watch(dirPath);
+});
+
+ipcMain.handle('load-project-config', async (event, workingDir) => {
+    const result = loadProjectConfig(workingDir);
+    if (result.error) {
+        console.error(`Invalid editor-config.json: ${result.error}`);
+    }
+    jsonFormatOptions = result.config.jsonFormat || {};
+    return result;
+});
+
+// Room metadata index, cached under the user data folder
+let workspaceIndex = null;
+
+function getWorkspaceIndex() {
+    if (!workspaceIndex) {
+        workspaceIndex = new WorkspaceIndex(path.join(app.getPath('userData'), 'workspace-index'));
+    }
+    return workspaceIndex;
+}
+
+ipcMain.handle('get-workspace-index', async (event, workingDir, areas) => {
+    return getWorkspaceIndex().refresh(workingDir, areas || []);
+});
+
+/**
+ * Index entries of every room together with its parsed data; unreadable files are skipped
+ */
+async function readIndexedRooms(workingDir, areas) {
+    const entries = await getWorkspaceIndex().refresh(workingDir, areas || []);
+    const rooms = [];
+    for (const entry of entries) {
+        try {
+            rooms.push({ entry, data: JSON.parse(await fs.promises.readFile(path.join(workingDir, entry.file), 'utf8')) });
+        } catch (err) {
+            console.warn(`Skipping unreadable room file ${entry.file}:`, err.message);
+        }
+    }
+    return rooms;
+}
+
+// Scan every room for references to a tech, helper, item, event or notable
+ipcMain.handle('find-references', async (event, workingDir, areas, target) => {
+    const rooms = await getWorkspaceIndex().refresh(workingDir, areas || []);
+    const results = [];
+
+    for (const room of rooms) {
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(path.join(workingDir, room.file), 'utf8'));
+        } catch (err) {
+            console.warn(`Skipping unreadable room file ${room.file}:`, err.message);
+            continue;
+        }
+        const references = findReferencesInRoom(data, target);
+        if (references.length > 0) {
+            results.push({
+                roomName: room.name,
+                area: room.area,
+                subarea: room.subarea,
+                fileName: room.fileName,
+                references
+            });
+        }
+    }
+
+    console.log(`Found references to ${target.name} in ${results.length} rooms`);
+    return results;
+});
+
+// Full-text search over every room; stops after MAX_SEARCH_MATCHES matches
+const MAX_SEARCH_MATCHES = 500;
+
+ipcMain.handle('search-workspace', async (event, workingDir, areas, query) => {
+    const rooms = await getWorkspaceIndex().refresh(workingDir, areas || []);
+    const results = [];
+    let total = 0;
+
+    for (const room of rooms) {
+        if (total >= MAX_SEARCH_MATCHES) break;
+        let data;
+        try {
+            data = JSON.parse(await fs.promises.readFile(path.join(workingDir, room.file), 'utf8'));
+        } catch (err) {
+            continue;
+        }
+        const matches = searchRoom(data, query).slice(0, MAX_SEARCH_MATCHES - total);
+        if (matches.length > 0) {
+            total += matches.length;
+            results.push({
+                roomName: room.name,
+                area: room.area,
+                subarea: room.subarea,
+                fileName: room.fileName,
+                matches
+            });
+        }
+    }
+
+    return { rooms: results, truncated: total >= MAX_SEARCH_MATCHES };
+});
+
+ipcMain.handle('audit-connections', async (event, workingDir, areas) => {
+    const rooms = await getWorkspaceIndex().refresh(workingDir, areas || []);
+    const issues = auditConnections(await loadConnectionFiles(workingDir), rooms);
+    console.log(`Connection audit: ${issues.length} issues`);
+    return issues;
+});
+
+// Lay out the rooms of one area (or of every area when none is given) for the map view
+ipcMain.handle('get-area-map', async (event, workingDir, areas, area) => {
+    const rooms = await getWorkspaceIndex().refresh(workingDir, areas || []);
+    const mapRooms = area ? rooms.filter(room => room.area === area) : rooms;
+    return layoutAreaMap(mapRooms, await loadConnectionFiles(workingDir));
+});
+
+// Whole-game reachability from one node with a loadout. options.room ({path, data}) is
+// the room open in the editor, solved as edited so unsaved changes count
+ipcMain.handle('solve-reachability', async (event, workingDir, areas, { room, ...options }) => {
+    const rooms = await readIndexedRooms(workingDir, areas);
+    if (room) {
+        const current = rooms.find(({ entry }) => path.resolve(workingDir, entry.file) === path.resolve(room.path));
+        if (current) current.data = room.data;
+    }
+    const report = solveReachability(rooms, await loadConnectionFiles(workingDir), await loadLogicDefinitions(workingDir), options);
+    console.log(`Reachability: ${report.reachedNodes}/${report.totalNodes} nodes in ${report.rounds} round(s)`);
+    return report;
+});
+
+/**
+ * Work out a dataset-wide rename without writing anything. Returns the renamed
+ * data of every affected file and a diff of its saved form against the file on disk.
+ */
+ipcMain.handle('plan-rename', async (event, workingDir, areas, { kind, oldName, newName }) => {
+    const definitionFile = datasetRename.DEFINITION_FILES[kind];
+    if (!definitionFile) return { error: `Unknown kind: ${kind}` };
+
+    // The raw text is kept so the preview diffs against what is on disk
+    const readFile = async (file) => {
+        try {
+            const text = await fs.promises.readFile(path.join(workingDir, file), 'utf8');
+            return { text, data: JSON.parse(text) };
+        } catch (err) {
+            return null;
+        }
+    };
+
+    const definitions = await readFile(definitionFile);
+    if (!definitions) return { error: `Could not read ${definitionFile}` };
+
+    const error = datasetRename.checkRename(kind, definitions.data, oldName, newName);
+    if (error) return { error };
+
+    // file -> {text, data, count}; a file may be renamed in several passes
+    const plans = new Map();
+    const plan = (file, original, rename) => {
+        if (!plans.has(file)) {
+            plans.set(file, { text: original.text, data: JSON.parse(JSON.stringify(original.data)), count: 0 });
+        }
+        const entry = plans.get(file);
+        entry.count += rename(entry.data);
+    };
+
+    plan(definitionFile, definitions, data =>
+        datasetRename.renameDefinition(kind, data, oldName, newName)
+    );
+    for (const file of datasetRename.REQUIREMENT_FILES) {
+        const original = file === definitionFile ? definitions : await readFile(file);
+        if (!original) continue;
+        plan(file, original, data =>
+            datasetRename.renameReferencesInDefinitions(data, kind, oldName, newName)
+        );
+    }
+
+    const rooms = await getWorkspaceIndex().refresh(workingDir, areas || []);
+    for (const room of rooms) {
+        const original = await readFile(room.file);
+        if (!original) continue;
+        plan(room.file, original, data => renameReferencesInRoom(data, kind, oldName, newName));
+    }
+
+    const files = [...plans.entries()]
+        .filter(([, { count }]) => count > 0)
+        .map(([file, { text, data, count }]) => {
+            const filePath = path.join(workingDir, file);
+            const saved = formatJson(data, {
+                ...jsonFormatOptions,
+                schema: loadReferencedSchema(filePath, data),
+                finalNewline: true
+            });
+            return { file, count, data, hunks: datasetRename.diffLines(text, saved) };
+        });
+
+    console.log(`Rename ${oldName} -> ${newName}: ${files.length} files affected`);
+    return { files };
+});
+
 ipcMain.handle('load-json', async (event, filePath) => {
     try {
         const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
@@ -44,13 +286,23 @@ ipcMain.handle('load-json', async (event, filePath) => {
     }
 });
 
+// load-json returns null both for a missing file and one that doesn't parse
+ipcMain.handle('file-exists', async (event, filePath) => {
+    return fs.existsSync(filePath);
+});
+
 ipcMain.handle('save-json', async (event, filePath, data) => {
     try {
         const dir = path.dirname(filePath);
         if (!fs.existsSync(dir)) {
             fs.mkdirSync(dir, { recursive: true });
         }
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+        workingDirWatcher.ignoreWrite(filePath);
+        fs.writeFileSync(filePath, formatJson(data, {
+            ...jsonFormatOptions,
+            schema: loadReferencedSchema(filePath, data),
+            finalNewline: true
+        }));
         console.log(`Saved JSON: ${filePath}`);
         return true;
     } catch (err) {
@@ -59,6 +311,34 @@ ipcMain.handle('save-json', async (event, filePath, data) => {
     }
 });
 
+/**
+ * Load the schema a data file points to via "$schema" (relative to the file)
+ * so the formatter can order keys the same way upstream does
+ */
+function loadReferencedSchema(filePath, data) {
+    if (!data || typeof data.$schema !== 'string' || /^[a-z]+:\/\//i.test(data.$schema)) return null;
+    try {
+        const schemaPath = path.resolve(path.dirname(filePath), data.$schema);
+        return JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Save an exported room image; suggested next to the working directory rather than inside it
+ipcMain.handle('export-room-image', async (event, workingDir, fileName, data) => {
+    const isSvg = fileName.endsWith('.svg');
+    const result = await dialog.showSaveDialog(mainWindow, {
+        defaultPath: workingDir ? path.join(path.dirname(workingDir), fileName) : fileName,
+        filters: [isSvg ? { name: 'SVG Image', extensions: ['svg'] } : { name: 'PNG Image', extensions: ['png'] }]
+    });
+    if (result.canceled || !result.filePath) return null;
+
+    fs.writeFileSync(result.filePath, isSvg ? data : Buffer.from(data));
+    console.log(`Exported image: ${result.filePath}`);
+    return result.filePath;
+});
+
 ipcMain.handle('read-directory', async (event, dirPath) => {
     try {
         const items = fs.readdirSync(dirPath);
@@ -90,114 +370,12 @@ ipcMain.handle('get-strat-presets-path', () => {
 });
 
 // Schema validation
-let Ajv;
-let ajv;
-
-async function initAjv() {
-    if (!ajv) {
-        try {
-            Ajv = require('ajv');
-            ajv = new Ajv({ allErrors: true });
-        } catch (err) {
-            console.warn('AJV not available, falling back to basic validation');
-            return null;
-        }
-    }
-    return ajv;
-}
-
 ipcMain.handle('validate-json-schema', async (event, data, schemaPath) => {
-    try {
-        if (!fs.existsSync(schemaPath)) {
-            return {
-                valid: false,
-                errors: [`Schema file not found: ${schemaPath}`]
-            };
-        }
-        
-        const schema = JSON.parse(fs.readFileSync(schemaPath, 'utf8'));
-        const validator = await initAjv();
-        
-        if (validator) {
-            const validate = validator.compile(schema);
-            const valid = validate(data);
-            return {
-                valid,
-                errors: valid ? [] : validate.errors.map(err =>
-                    `${err.instancePath || 'root'}: ${err.message}`
-                )
-            };
-        } else {
-            const result = basicValidateSchema(data, schema);
-            return {
-                valid: result.valid,
-                errors: result.errors
-            };
-        }
-    } catch (err) {
-        console.error(`Schema validation error for ${schemaPath}:`, err);
-        return {
-            valid: false,
-            errors: [`Schema validation failed: ${err.message}`]
-        };
-    }
+    return validateAgainstSchema(data, schemaPath);
 });
 
-function basicValidateSchema(data, schema) {
-    const errors = [];
-    
-    if (schema.required && Array.isArray(schema.required)) {
-        for (const prop of schema.required) {
-            if (!(prop in data)) {
-                errors.push(`Missing required property: ${prop}`);
-            }
-        }
-    }
-    
-    if (schema.properties) {
-        for (const [prop, propSchema] of Object.entries(schema.properties)) {
-            if (prop in data) {
-                const propResult = validateProperty(data[prop], propSchema, prop);
-                errors.push(...propResult.errors);
-            }
-        }
-    }
-    
-    return {
-        valid: errors.length === 0,
-        errors
-    };
-}
-
-function validateProperty(value, schema, propName) {
-    const errors = [];
-    
-    if (schema.type) {
-        const actualType = Array.isArray(value) ? 'array' : typeof value;
-        if (actualType !== schema.type && !(value === null && schema.type === 'object')) {
-            errors.push(`Property ${propName} should be ${schema.type}, got ${actualType}`);
-        }
-    }
-    
-    if (schema.type === 'object' && value && typeof value === 'object') {
-        const nestedResult = basicValidateSchema(value, schema);
-        errors.push(...nestedResult.errors.map(err => `${propName}.${err}`));
-    }
-    
-    if (schema.type === 'array' && Array.isArray(value)) {
-        if (schema.items) {
-            value.forEach((item, index) => {
-                const itemResult = validateProperty(item, schema.items, `${propName}[${index}]`);
-                errors.push(...itemResult.errors);
-            });
-        }
-    }
-    
-    return { errors };
-}
-
 // Room Properties Editor IPCs
-ipcMain.on('open-room-properties-editor', (event, roomPropertiesData, enemyList, itemList, eventList, weaponList, techMap, helperMap, stratPresets) => {
+ipcMain.on('open-room-properties-editor', (event, roomPropertiesData, enemyList, itemList, eventList, weaponList, techMap, helperMap, stratPresets, focusTarget, formatOptions) => {
     console.log('Opening Room Properties Editor');
     
     const roomPropertiesWin = new BrowserWindow({
@@ -221,6 +399,8 @@ ipcMain.on('open-room-properties-editor', (event, roomPropertiesData, enemyList,
     roomPropertiesWin.techMap = techMap;
     roomPropertiesWin.helperMap = helperMap;
     roomPropertiesWin.stratPresets = stratPresets;
+    roomPropertiesWin.focusTarget = focusTarget;
+    roomPropertiesWin.formatOptions = formatOptions;
 
     roomPropertiesWin.webContents.once('did-finish-load', () => {
         console.log('Room Properties window finished loading');
@@ -240,7 +420,9 @@ ipcMain.on('room-properties-editor-ready', (event) => {
             win.weaponList, 
             win.techMap, 
             win.helperMap,
-            win.stratPresets
+            win.stratPresets,
+            win.focusTarget,
+            win.formatOptions
         );
         
         delete win.roomPropertiesData;
@@ -251,6 +433,8 @@ ipcMain.on('room-properties-editor-ready', (event) => {
         delete win.techMap;
         delete win.helperMap;
         delete win.stratPresets;
+        delete win.focusTarget;
+        delete win.formatOptions;
     }
 });
 
@@ -289,4 +473,69 @@ ipcMain.on('save-door-data', (event, payload) => {
     if (mainWindow && mainWindow.webContents) {
         mainWindow.webContents.send('update-door-node', payload);
     }
+});
+
+// Statistics Dashboard IPCs
+let statsDashboardWin = null;
+
+// Never rejects: a failure is sent to the dashboard instead, which would otherwise keep loading
+async function sendDatasetStats(win, workingDir, areas) {
+    try {
+        const rooms = await readIndexedRooms(workingDir, areas);
+        const stats = computeDatasetStats(rooms, await loadLogicDefinitions(workingDir));
+        if (!win.isDestroyed()) {
+            win.webContents.send('init-stats-data', stats, workingDir);
+        }
+    } catch (err) {
+        console.error('Failed to compute dataset statistics:', err);
+        if (!win.isDestroyed()) {
+            win.webContents.send('stats-data-error', err.message);
+        }
+    }
+}
+
+ipcMain.on('open-stats-dashboard', (event, workingDir, areas) => {
+    console.log('Opening Statistics Dashboard');
+
+    // A single dashboard; opening it again refreshes it
+    if (statsDashboardWin && !statsDashboardWin.isDestroyed()) {
+        statsDashboardWin.dashboardSource = { workingDir, areas };
+        statsDashboardWin.focus();
+        sendDatasetStats(statsDashboardWin, workingDir, areas);
+        return;
+    }
+
+    statsDashboardWin = new BrowserWindow({
+        width: 1000,
+        height: 800,
+        parent: mainWindow,
+        webPreferences: {
+            nodeIntegration: true,
+            contextIsolation: false
+        }
+    });
+
+    statsDashboardWin.loadFile(path.join(__dirname, 'editor/statsDashboard/statsDashboard.html'));
+    statsDashboardWin.dashboardSource = { workingDir, areas };
+
+    statsDashboardWin.webContents.once('did-finish-load', () => {
+        sendDatasetStats(statsDashboardWin, workingDir, areas);
+    });
+    statsDashboardWin.on('closed', () => {
+        statsDashboardWin = null;
+    });
+});
+
+ipcMain.on('refresh-stats-dashboard', (event) => {
+    const win = BrowserWindow.fromWebContents(event.sender);
+    if (win && win.dashboardSource) {
+        sendDatasetStats(win, win.dashboardSource.workingDir, win.dashboardSource.areas);
+    }
+});
+
+ipcMain.on('stats-open-room', (event, room) => {
+    if (mainWindow && mainWindow.webContents) {
+        mainWindow.webContents.send('open-room', room);
+        mainWindow.focus();
+    }
 });
\ No newline at end of file
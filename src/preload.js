@@ -6,9 +6,23 @@ contextBridge.exposeInMainWorld('api', {
     selectWorkingDirectory: () => ipcRenderer.invoke('select-working-directory'),
     loadJson: (filePath) => ipcRenderer.invoke('load-json', filePath),
     saveJson: (filePath, data) => ipcRenderer.invoke('save-json', filePath, data),
+    fileExists: (filePath) => ipcRenderer.invoke('file-exists', filePath),
     readDirectory: (dirPath) => ipcRenderer.invoke('read-directory', dirPath),
+    exportRoomImage: (workingDir, fileName, data) => ipcRenderer.invoke('export-room-image', workingDir, fileName, data),
     getStratPresetsPath: () => ipcRenderer.invoke('get-strat-presets-path'),
     loadStratPresets: () => ipcRenderer.invoke('load-strat-presets'),
+    loadProjectConfig: (workingDir) => ipcRenderer.invoke('load-project-config', workingDir),
+    getWorkspaceIndex: (workingDir, areas) => ipcRenderer.invoke('get-workspace-index', workingDir, areas),
+    findReferences: (workingDir, areas, target) => ipcRenderer.invoke('find-references', workingDir, areas, target),
+    planRename: (workingDir, areas, rename) => ipcRenderer.invoke('plan-rename', workingDir, areas, rename),
+    searchWorkspace: (workingDir, areas, query) => ipcRenderer.invoke('search-workspace', workingDir, areas, query),
+    auditConnections: (workingDir, areas) => ipcRenderer.invoke('audit-connections', workingDir, areas),
+    getAreaMap: (workingDir, areas, area) => ipcRenderer.invoke('get-area-map', workingDir, areas, area),
+    solveReachability: (workingDir, areas, options) => ipcRenderer.invoke('solve-reachability', workingDir, areas, options),
+    watchWorkingDirectory: (dirPath) => ipcRenderer.invoke('watch-working-directory', dirPath),
+    onWorkingDirChanged: (callback) => {
+        ipcRenderer.on('working-dir-changed', (event, files) => callback(files));
+    },
         
     // Schema validation helper
     validateJsonSchema: (data, schemaPath) => ipcRenderer.invoke('validate-json-schema', data, schemaPath),
@@ -22,10 +36,22 @@ contextBridge.exposeInMainWorld('api', {
     },
     
     // Room Properties editor API
-    openRoomPropertiesEditor: (roomData, enemyList, itemList, eventList, weaponList, techMap, helperMap, stratPresets) => {
-        ipcRenderer.send('open-room-properties-editor', roomData, enemyList, itemList, eventList, weaponList, techMap, helperMap, stratPresets);
+    openRoomPropertiesEditor: (roomData, enemyList, itemList, eventList, weaponList, techMap, helperMap, stratPresets, focusTarget, formatOptions) => {
+        ipcRenderer.send('open-room-properties-editor', roomData, enemyList, itemList, eventList, weaponList, techMap, helperMap, stratPresets, focusTarget, formatOptions);
     },
     onUpdateRoomProperties: (callback) => {
         ipcRenderer.on('update-room-properties', (event, payload) => callback(payload));
-    }
+    },
+
+    // Statistics dashboard API
+    openStatsDashboard: (workingDir, areas) => ipcRenderer.send('open-stats-dashboard', workingDir, areas),
+    onOpenRoom: (callback) => {
+        ipcRenderer.on('open-room', (event, room) => callback(room));
+    },
+
+    // Window close guard (unsaved changes)
+    onCloseRequested: (callback) => {
+        ipcRenderer.on('close-requested', () => callback());
+    },
+    confirmClose: () => ipcRenderer.send('confirm-close')
 });
\ No newline at end of file
@@ -0,0 +1,385 @@
+/**
+ * Area Map Handler - Map of the rooms of an area (or of the whole station),
+ * placed from their mapTileMask footprints and connections. Rooms are coloured
+ * by subarea; clicking one loads it. A whole-game reachability report can be
+ * laid over the map.
+ */
+const TILE_SIZE = 16; // Pixels per map tile at zoom 1
+const MIN_ZOOM = 0.1;
+const MAX_ZOOM = 6;
+const WHOLE_STATION = '';
+const UNREACHED_COLOR = '#d0d0d0';
+const UNREACHABLE_ITEM_COLOR = '#e74c3c';
+
+export class AreaMapHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 */
+	constructor(state, roomManager, uiManager) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+
+		this.map = null;
+		this.view = { x: 0, y: 0, zoom: 1 };
+		this.drag = null;
+		this.hoveredRoom = null;
+		this.requestId = 0; // Ignores layouts superseded while loading
+		this.overlay = null; // overlayKey(room) -> room entry of a solver report
+
+		this.setupModal();
+	}
+
+	setupModal() {
+		const modal = document.getElementById('areaMapModal');
+		const btn = document.getElementById('areaMapBtn');
+		const areaSelect = document.getElementById('areaMapArea');
+		const fitBtn = document.getElementById('areaMapFitBtn');
+		const clearOverlayBtn = document.getElementById('areaMapClearOverlayBtn');
+		const cancelBtn = document.getElementById('areaMapCancelBtn');
+		const canvas = document.getElementById('areaMapCanvas');
+
+		if (!modal || !btn || !areaSelect || !fitBtn || !clearOverlayBtn || !cancelBtn || !canvas) {
+			console.error('Area map modal elements not found');
+			return;
+		}
+
+		btn.addEventListener('click', () => this.openModal());
+		areaSelect.addEventListener('change', () => this.loadMap(areaSelect.value));
+		fitBtn.addEventListener('click', () => {
+			this.fitToView();
+			this.draw();
+		});
+		clearOverlayBtn.addEventListener('click', () => {
+			this.setOverlay(null);
+			this.draw();
+		});
+		cancelBtn.addEventListener('click', () => this.closeModal());
+
+		// Close on background click
+		modal.addEventListener('click', (e) => {
+			if (e.target === modal) {
+				this.closeModal();
+			}
+		});
+
+		document.addEventListener('keydown', (e) => {
+			if (modal.style.display === 'flex' && e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+		});
+
+		canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+		canvas.addEventListener('mousedown', (e) => {
+			this.drag = { startX: e.clientX, startY: e.clientY, viewX: this.view.x, viewY: this.view.y, moved: false };
+		});
+		canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+		canvas.addEventListener('mouseup', (e) => {
+			const wasClick = this.drag && !this.drag.moved;
+			this.drag = null;
+			if (wasClick) {
+				const room = this.roomAt(e);
+				if (room) this.openRoom(room);
+			}
+		});
+		canvas.addEventListener('mouseleave', () => {
+			this.drag = null;
+			this.hoveredRoom = null;
+			this.draw();
+		});
+	}
+
+	openModal() {
+		if (!this.state.workingDir) {
+			this.uiManager.showAlert('Set working directory first!');
+			return;
+		}
+
+		const areaSelect = document.getElementById('areaMapArea');
+		areaSelect.innerHTML = '';
+		const stationOption = document.createElement('option');
+		stationOption.value = WHOLE_STATION;
+		stationOption.textContent = 'Whole station';
+		areaSelect.appendChild(stationOption);
+
+		const areas = [...new Set(this.state.allRoomsMetadata.map(room => room.area))].sort();
+		areas.forEach(area => {
+			const option = document.createElement('option');
+			option.value = area;
+			option.textContent = area;
+			areaSelect.appendChild(option);
+		});
+		areaSelect.value = areas.includes(this.state.currentArea) ? this.state.currentArea : WHOLE_STATION;
+
+		document.getElementById('areaMapModal').style.display = 'flex';
+		this.loadMap(areaSelect.value);
+	}
+
+	/**
+	 * Grey out unreached rooms and outline rooms with unreachable items
+	 * @param {Object|null} report - Report of the whole-game solver (null removes the overlay)
+	 */
+	setOverlay(report) {
+		this.overlay = report ? new Map(report.rooms.map(room => [overlayKey(room), room])) : null;
+		document.getElementById('areaMapClearOverlayBtn').style.display = report ? 'inline-block' : 'none';
+	}
+
+	closeModal() {
+		const modal = document.getElementById('areaMapModal');
+		if (modal) {
+			modal.style.display = 'none';
+		}
+	}
+
+	async loadMap(area) {
+		const summary = document.getElementById('areaMapSummary');
+		const requestId = ++this.requestId;
+		summary.textContent = 'Building map...';
+
+		let map;
+		try {
+			map = await window.api.getAreaMap(this.state.workingDir, this.state.getAreaCodes(), area || null);
+		} catch (err) {
+			console.error('Area map failed:', err);
+			summary.textContent = `Map failed: ${err.message}`;
+			return;
+		}
+		if (requestId !== this.requestId) return;
+
+		this.map = map;
+		this.hoveredRoom = null;
+		summary.textContent = `${map.rooms.length} room(s), ${map.links.length} connection(s)` +
+			(this.overlay ? ' — reachability overlay: grey rooms are unreached, red outlines have unreachable items' : '');
+
+		this.renderLegend();
+		this.resizeCanvas();
+		this.fitToView();
+		this.centerOnCurrentRoom();
+		this.draw();
+	}
+
+	renderLegend() {
+		const legend = document.getElementById('areaMapLegend');
+		if (!legend) return;
+		legend.innerHTML = '';
+
+		const subareas = [...new Set(this.map.rooms.map(room => `${room.area}/${room.subarea}`))].sort();
+		subareas.forEach(key => {
+			const entry = document.createElement('span');
+			entry.style.cssText = 'display: inline-flex; align-items: center; gap: 4px; margin-right: 12px; font-size: 12px;';
+
+			const swatch = document.createElement('span');
+			swatch.style.cssText = `display: inline-block; width: 12px; height: 12px; border: 1px solid #555; background: ${subareaColor(key)};`;
+
+			entry.appendChild(swatch);
+			entry.appendChild(document.createTextNode(key));
+			legend.appendChild(entry);
+		});
+	}
+
+	resizeCanvas() {
+		const canvas = document.getElementById('areaMapCanvas');
+		canvas.width = canvas.clientWidth;
+		canvas.height = canvas.clientHeight;
+	}
+
+	fitToView() {
+		const canvas = document.getElementById('areaMapCanvas');
+		if (!this.map || this.map.rooms.length === 0) return;
+
+		const maxX = Math.max(...this.map.rooms.map(room => room.x + room.width));
+		const maxY = Math.max(...this.map.rooms.map(room => room.y + room.height));
+		const zoom = Math.min(canvas.width / ((maxX + 2) * TILE_SIZE), canvas.height / ((maxY + 2) * TILE_SIZE));
+		this.view.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+		this.view.x = TILE_SIZE * this.view.zoom;
+		this.view.y = TILE_SIZE * this.view.zoom;
+	}
+
+	/**
+	 * Zoom in on the loaded room when it is on the map
+	 */
+	centerOnCurrentRoom() {
+		const current = this.findCurrentRoom();
+		if (!current) return;
+
+		const canvas = document.getElementById('areaMapCanvas');
+		this.view.zoom = Math.max(this.view.zoom, 1);
+		const scale = TILE_SIZE * this.view.zoom;
+		this.view.x = canvas.width / 2 - (current.x + current.width / 2) * scale;
+		this.view.y = canvas.height / 2 - (current.y + current.height / 2) * scale;
+	}
+
+	findCurrentRoom() {
+		const roomData = this.state.currentRoomData;
+		if (!this.map || !roomData) return null;
+		return this.map.rooms.find(room =>
+			room.id === roomData.id &&
+			room.area === this.state.currentArea &&
+			room.subarea === this.state.currentSubarea
+		) || null;
+	}
+
+	handleWheel(e) {
+		e.preventDefault();
+		const canvas = e.target;
+		const rect = canvas.getBoundingClientRect();
+		const mouseX = e.clientX - rect.left;
+		const mouseY = e.clientY - rect.top;
+
+		// Zoom around the mouse position
+		const factor = e.deltaY < 0 ? 1.15 : 1 / 1.15;
+		const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, this.view.zoom * factor));
+		const ratio = zoom / this.view.zoom;
+		this.view.x = mouseX - (mouseX - this.view.x) * ratio;
+		this.view.y = mouseY - (mouseY - this.view.y) * ratio;
+		this.view.zoom = zoom;
+		this.draw();
+	}
+
+	handleMouseMove(e) {
+		if (this.drag) {
+			const dx = e.clientX - this.drag.startX;
+			const dy = e.clientY - this.drag.startY;
+			if (Math.abs(dx) + Math.abs(dy) > 3) this.drag.moved = true;
+			this.view.x = this.drag.viewX + dx;
+			this.view.y = this.drag.viewY + dy;
+			this.draw();
+			return;
+		}
+
+		const room = this.roomAt(e);
+		if (room !== this.hoveredRoom) {
+			this.hoveredRoom = room;
+			e.target.style.cursor = room ? 'pointer' : 'grab';
+			const reach = room && this.overlay?.get(overlayKey(room));
+			e.target.title = room ? `${room.name} (${room.area} / ${room.subarea})` +
+				(reach ? `\n${reach.reachedNodes}/${reach.totalNodes} node(s) reachable, ${reach.unreachableItems.length} unreachable item(s)` : '') : '';
+			this.draw();
+		}
+	}
+
+	/**
+	 * Room under the mouse; only tiles that belong to the room's footprint count
+	 */
+	roomAt(e) {
+		if (!this.map) return null;
+		const rect = e.target.getBoundingClientRect();
+		const scale = TILE_SIZE * this.view.zoom;
+		const tileX = (e.clientX - rect.left - this.view.x) / scale;
+		const tileY = (e.clientY - rect.top - this.view.y) / scale;
+
+		for (let i = this.map.rooms.length - 1; i >= 0; i--) {
+			const room = this.map.rooms[i];
+			const x = Math.floor(tileX - room.x);
+			const y = Math.floor(tileY - room.y);
+			if (x < 0 || y < 0 || x >= room.width || y >= room.height) continue;
+			if (!room.mapTileMask || room.mapTileMask[y]?.[x] > 0) return room;
+		}
+		return null;
+	}
+
+	async openRoom(room) {
+		this.closeModal();
+		await this.roomManager.loadRoom(room.area, room.subarea, room.fileName.replace(/\.json$/, ''));
+	}
+
+	draw() {
+		const canvas = document.getElementById('areaMapCanvas');
+		const ctx = canvas.getContext('2d');
+		ctx.clearRect(0, 0, canvas.width, canvas.height);
+		if (!this.map) return;
+
+		const scale = TILE_SIZE * this.view.zoom;
+		const current = this.findCurrentRoom();
+
+		ctx.save();
+		ctx.translate(this.view.x, this.view.y);
+
+		this.map.rooms.forEach(room => {
+			const reach = this.overlay?.get(overlayKey(room));
+			ctx.fillStyle = reach && reach.reachedNodes === 0 ? UNREACHED_COLOR : subareaColor(`${room.area}/${room.subarea}`);
+			forEachRoomTile(room, (x, y) => {
+				ctx.fillRect((room.x + x) * scale, (room.y + y) * scale, scale, scale);
+			});
+
+			const emphasized = room === current || room === this.hoveredRoom;
+			const hasUnreachableItems = reach?.unreachableItems.length > 0;
+			ctx.strokeStyle = room === current ? '#ff6600' :
+				(hasUnreachableItems ? UNREACHABLE_ITEM_COLOR : (emphasized ? '#000' : '#555'));
+			ctx.lineWidth = room === current || hasUnreachableItems ? 3 : (emphasized ? 2 : 1);
+			ctx.strokeRect(room.x * scale, room.y * scale, room.width * scale, room.height * scale);
+		});
+
+		// Connections: a dot where doors meet, a line where they don't
+		this.map.links.forEach(link => {
+			const oneWay = link.direction === 'Forward';
+			ctx.strokeStyle = oneWay ? '#e67e22' : '#2c3e50';
+			ctx.fillStyle = ctx.strokeStyle;
+			ctx.lineWidth = 1.5;
+
+			const fromX = link.from.x * scale;
+			const fromY = link.from.y * scale;
+			const toX = link.to.x * scale;
+			const toY = link.to.y * scale;
+			if (Math.hypot(toX - fromX, toY - fromY) > 1) {
+				ctx.setLineDash(oneWay ? [4, 3] : []);
+				ctx.beginPath();
+				ctx.moveTo(fromX, fromY);
+				ctx.lineTo(toX, toY);
+				ctx.stroke();
+				ctx.setLineDash([]);
+			}
+			ctx.beginPath();
+			ctx.arc(toX, toY, Math.max(2, scale * 0.12), 0, Math.PI * 2);
+			ctx.fill();
+		});
+
+		// Room names once they fit
+		if (scale >= 12) {
+			ctx.fillStyle = '#000';
+			ctx.font = `${Math.min(12, scale * 0.6)}px sans-serif`;
+			ctx.textAlign = 'center';
+			ctx.textBaseline = 'middle';
+			this.map.rooms.forEach(room => {
+				const width = room.width * scale;
+				if (width < 30) return;
+				ctx.fillText(room.name, (room.x + room.width / 2) * scale, (room.y + room.height / 2) * scale, width - 4);
+			});
+		}
+
+		ctx.restore();
+	}
+}
+
+/**
+ * Call back for every tile of a room footprint (every tile of its bounding box
+ * when the room has no mapTileMask)
+ */
+function forEachRoomTile(room, callback) {
+	for (let y = 0; y < room.height; y++) {
+		for (let x = 0; x < room.width; x++) {
+			if (!room.mapTileMask || room.mapTileMask[y]?.[x] > 0) callback(x, y);
+		}
+	}
+}
+
+/**
+ * Stable pastel colour for an "area/subarea" key
+ */
+function subareaColor(key) {
+	let hash = 0;
+	for (const char of key) {
+		hash = (hash * 31 + char.charCodeAt(0)) | 0;
+	}
+	return `hsl(${Math.abs(hash) % 360}, 55%, 72%)`;
+}
+
+/**
+ * Key shared by map rooms and the rooms of a solver report
+ */
+function overlayKey(room) {
+	return `${room.area}/${room.subarea}/${room.fileName}`;
+}
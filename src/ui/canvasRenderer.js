@@ -2,14 +2,179 @@
  * Canvas Renderer - Handles all canvas drawing operations with geometry support
  */
 import {
-	getNodeBounds
+	getNodeBounds,
+	isPointInNode
 } from '../core/geometryUtils.js';
+import {
+	analyzeStratGraph
+} from '../core/stratGraphHealth.js';
+import {
+	SpatialGrid
+} from '../core/spatialGrid.js';
+
+// Strat curves are hit-tested as polylines of this many segments, within this WORLD SPACE distance
+const CURVE_HIT_SEGMENTS = 24;
+const CURVE_HOVER_THRESHOLD = 12;
+
+// Overlay styles of enemy groups and obstacles
+export const ENTITY_STYLES = {
+	enemy: {
+		color: '#e74c3c',
+		icon: '👾'
+	},
+	obstacle: {
+		color: '#8e44ad',
+		icon: '🧱'
+	}
+};
+
+// Strat arrow colours, checked in priority order; a strat takes the colour of
+// the first frame type found anywhere in it (Base strats and the rest have their own)
+export const STRAT_COLOR_CATEGORIES = [{
+		key: 'lava',
+		label: 'Lava',
+		frameType: 'lavaFrames',
+		colors: {
+			base: 'rgba(160, 0, 200, 0.7)',
+			hover: 'rgba(180, 20, 220, 1)',
+			dim: 'rgba(160, 0, 200, 0.15)'
+		}
+	},
+	{
+		key: 'acid',
+		label: 'Acid',
+		frameType: 'acidFrames',
+		colors: {
+			base: 'rgba(220, 20, 20, 0.7)',
+			hover: 'rgba(255, 40, 40, 1)',
+			dim: 'rgba(220, 20, 20, 0.15)'
+		}
+	},
+	{
+		key: 'electricity',
+		label: 'Electricity',
+		frameType: 'electricityFrames',
+		colors: {
+			base: 'rgba(255, 220, 0, 0.7)',
+			hover: 'rgba(255, 240, 40, 1)',
+			dim: 'rgba(255, 220, 0, 0.15)'
+		}
+	},
+	{
+		key: 'waterLevel',
+		label: 'Water level',
+		frameType: 'aqaWaterLevel',
+		colors: {
+			base: 'rgba(14, 17, 103, 0.7)',
+			hover: 'rgba(51, 55, 189, 0.7)',
+			dim: 'rgb(32, 32, 50)'
+		}
+	},
+	{
+		key: 'heat',
+		label: 'Heat',
+		frameType: 'heatFrames',
+		colors: {
+			base: 'rgba(255, 100, 150, 0.7)',
+			hover: 'rgba(255, 130, 180, 1)',
+			dim: 'rgba(255, 100, 150, 0.15)'
+		}
+	},
+	{
+		key: 'cold',
+		label: 'Cold',
+		frameType: 'coldFrames',
+		colors: {
+			base: 'rgba(80, 160, 255, 0.7)',
+			hover: 'rgba(100, 180, 255, 1)',
+			dim: 'rgba(80, 160, 255, 0.15)'
+		}
+	},
+	{
+		key: 'default',
+		label: 'Other',
+		frameType: null,
+		colors: {
+			base: 'rgba(255, 150, 40, 0.7)',
+			hover: 'rgba(255, 180, 80, 1)',
+			dim: 'rgba(255, 150, 40, 0.15)'
+		}
+	}
+];
+
+export const BASE_STRAT_COLORS = {
+	base: 'rgba(180, 180, 180, 0.5)',
+	hover: 'rgba(200, 200, 200, 1)',
+	dim: 'rgba(180, 180, 180, 0.1)'
+};
+
+// Node tints from the entrance/exit conditions of their strats
+export const NODE_TINT_COLORS = {
+	entrance: 'rgba(100, 255, 100, 0.4)', // Green
+	exit: 'rgba(255, 200, 100, 0.4)', // Orange
+	both: 'rgba(200, 100, 255, 0.4)' // Purple
+};
 
 export class CanvasRenderer {
 	constructor(canvas, mapContainer) {
 		this.canvas = canvas;
 		this.ctx = canvas.getContext("2d");
 		this.mapContainer = mapContainer;
+		this.highlightedStrats = new Set(); // 0-based strat indices drawn emphasized
+		this.reachability = null; // {nodes, strats} from the reachability panel
+		this.linkPreview = null; // Arrow of a strat being dragged in link mode
+		this.hiddenLayers = new Set(); // See setHiddenLayers
+		this.visibleStrats = null; // 0-based strat indices; null draws every strat
+
+		// Cached layers (see redraw); off for one-off renders such as image exports
+		this.cacheLayers = true;
+		this.layers = new Map(); // name -> offscreen canvas
+		this.invalidLayers = new Set();
+		this.scene = null;
+	}
+
+	/**
+	 * Draw only some strat arrows (e.g. for an image export)
+	 * @param {number[]|null} indices - 0-based indices into the room's strats, or null for all
+	 */
+	setVisibleStrats(indices) {
+		this.visibleStrats = indices ? new Set(indices) : null;
+	}
+
+	/**
+	 * Hide parts of the drawing
+	 * @param {Set<string>} layers - 'node:<nodeType>', 'strat:<category key>', 'selfLinks', 'tints' and/or 'labels'
+	 */
+	setHiddenLayers(layers) {
+		this.hiddenLayers = layers;
+	}
+
+	isNodeVisible(node) {
+		return !this.hiddenLayers.has(`node:${node.nodeType}`);
+	}
+
+	/**
+	 * Emphasize strat connections (e.g. a search result) until cleared
+	 * @param {number[]} indices - 0-based indices into the room's strats
+	 */
+	setHighlightedStrats(indices) {
+		this.highlightedStrats = new Set(indices);
+	}
+
+	/**
+	 * Show reachable nodes and usable strats; everything else is dimmed
+	 * @param {{nodes: Set<number>, strats: Set<number>}|null} reachability - Node ids and 0-based strat indices
+	 */
+	setReachability(reachability) {
+		this.reachability = reachability;
+	}
+
+	/**
+	 * Show the dashed arrow of a strat being created in link mode
+	 * @param {{fromX: number, fromY: number, toX: number, toY: number}|null} preview - World coordinates
+	 */
+	setLinkPreview(preview) {
+		this.linkPreview = preview;
 	}
 
 	withAlpha(color, alpha) {
@@ -51,8 +216,9 @@ export class CanvasRenderer {
 
 	/**
 	 * Render a node with all its geometry shapes as a unified polygon
+	 * @param {Object[]} [warnings] - Strat graph health issues of the node, shown as a badge
 	 */
-	renderNode(node, isSelected, scale, strats, isDimmed) {
+	renderNode(node, isSelected, scale, strats, isDimmed, warnings = []) {
 		if (!node?.geometry || node.geometry.length === 0) return;
 
 		const color = node.color || '#0000FF';
@@ -88,7 +254,7 @@ export class CanvasRenderer {
 		}
 
 		// Apply tint overlay if node has entrance/exit conditions
-		const tintColor = this.getNodeTintColor(node.id, strats);
+		const tintColor = this.hiddenLayers.has('tints') ? null : this.getNodeTintColor(node.id, strats);
 		if (tintColor && !isDimmed) {
 			this.ctx.fillStyle = tintColor;
 			for (const shape of node.geometry) {
@@ -124,6 +290,117 @@ export class CanvasRenderer {
 
 		this.ctx.restore();
 		this.renderNodeLabel(node, scale, strats, isDimmed);
+		if (warnings.length > 0) {
+			this.renderWarningBadge(node, scale, warnings.length, isDimmed);
+		}
+	}
+
+	/**
+	 * Draw a warning triangle at the top-right corner of a node, with the
+	 * number of issues when there is more than one
+	 */
+	renderWarningBadge(node, scale, count, isDimmed) {
+		const bounds = getNodeBounds(node);
+		const size = 14;
+		const x = (bounds.x + bounds.w) * scale - size / 2;
+		const y = bounds.y * scale - size / 2;
+
+		this.ctx.save();
+		this.ctx.globalAlpha = isDimmed ? 0.35 : 1;
+		this.ctx.beginPath();
+		this.ctx.moveTo(x, y - size / 2);
+		this.ctx.lineTo(x + size / 2, y + size / 2);
+		this.ctx.lineTo(x - size / 2, y + size / 2);
+		this.ctx.closePath();
+		this.ctx.fillStyle = '#f39c12';
+		this.ctx.fill();
+		this.ctx.strokeStyle = '#7e5109';
+		this.ctx.lineWidth = 1;
+		this.ctx.stroke();
+
+		this.ctx.fillStyle = '#000';
+		this.ctx.font = 'bold 10px Arial';
+		this.ctx.textAlign = 'center';
+		this.ctx.textBaseline = 'middle';
+		this.ctx.fillText(count > 1 ? String(count) : '!', x, y + 2);
+		this.ctx.restore();
+	}
+
+	/**
+	 * Render an enemy group or obstacle as a dashed overlay with an icon and its name
+	 * @param {{kind: string, entity: Object}} item - See State.getCanvasEntities
+	 */
+	renderEntity(item, isSelected, isHovered, scale, isDimmed) {
+		const { entity, kind } = item;
+		const style = ENTITY_STYLES[kind];
+		const alpha = isDimmed ? 0.3 : 1;
+
+		this.ctx.save();
+		this.ctx.globalAlpha = alpha;
+		this.ctx.fillStyle = this.withAlpha(isSelected ? '#ffff00' : style.color, isHovered ? 0.35 : 0.2);
+		this.ctx.strokeStyle = isSelected ? 'yellow' : style.color;
+		this.ctx.lineWidth = isSelected || isHovered ? 3 : 2;
+		this.ctx.setLineDash([6, 4]);
+		for (const shape of entity.geometry) {
+			this.ctx.beginPath();
+			if (shape.shape === 'rect') {
+				this.ctx.rect(shape.x * scale, shape.y * scale, shape.w * scale, shape.h * scale);
+			} else if (shape.shape === 'tri' && shape.points && shape.points.length === 3) {
+				this.ctx.moveTo(shape.points[0].x * scale, shape.points[0].y * scale);
+				this.ctx.lineTo(shape.points[1].x * scale, shape.points[1].y * scale);
+				this.ctx.lineTo(shape.points[2].x * scale, shape.points[2].y * scale);
+				this.ctx.closePath();
+			}
+			this.ctx.fill();
+			this.ctx.stroke();
+		}
+		this.ctx.restore();
+
+		if (this.hiddenLayers.has('labels')) return;
+
+		const bounds = getNodeBounds(entity);
+		const label = kind === 'enemy' ?
+			(entity.groupName || entity.enemyName || entity.id) :
+			(entity.name || entity.id);
+		const x = bounds.x * scale + 2;
+		const y = bounds.y * scale + 2;
+
+		this.ctx.save();
+		this.ctx.globalAlpha = alpha;
+		this.ctx.font = 'bold 11px Arial';
+		this.ctx.textAlign = 'left';
+		this.ctx.textBaseline = 'top';
+		const text = `${style.icon} ${label}`;
+		const width = this.ctx.measureText(text).width;
+		this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+		this.ctx.fillRect(x, y, width + 6, 15);
+		this.ctx.fillStyle = '#fff';
+		this.ctx.fillText(text, x + 3, y + 2);
+		this.ctx.restore();
+	}
+
+	/**
+	 * Dashed lines from a hovered enemy group to its home and between nodes
+	 */
+	renderEnemyNodeLinks(enemy, nodes, scale) {
+		const linkedIds = new Set([...(enemy.homeNodes || []), ...(enemy.betweenNodes || [])]);
+		const from = getNodeBounds(enemy);
+		const fromX = (from.x + from.w / 2) * scale;
+		const fromY = (from.y + from.h / 2) * scale;
+
+		this.ctx.save();
+		this.ctx.strokeStyle = ENTITY_STYLES.enemy.color;
+		this.ctx.lineWidth = 2;
+		this.ctx.setLineDash([4, 4]);
+		for (const node of nodes) {
+			if (!linkedIds.has(node.id)) continue;
+			const to = getNodeBounds(node);
+			this.ctx.beginPath();
+			this.ctx.moveTo(fromX, fromY);
+			this.ctx.lineTo((to.x + to.w / 2) * scale, (to.y + to.h / 2) * scale);
+			this.ctx.stroke();
+		}
+		this.ctx.restore();
 	}
 
 	/**
@@ -320,7 +597,7 @@ export class CanvasRenderer {
 		const padding = 4;
 
 		// Draw star as background if node has self-link strats
-		const hasSelfLink = this.hasSelfLinkStrats(node.id, strats);
+		const hasSelfLink = !this.hiddenLayers.has('selfLinks') && this.hasSelfLinkStrats(node.id, strats);
 		if (hasSelfLink && !isDimmed) {
 			const starSizeMultiplier = 3.5; // Easy to tweak
 			const starSize = fontSize * starSizeMultiplier;
@@ -335,6 +612,8 @@ export class CanvasRenderer {
 			this.ctx.restore();
 		}
 
+		if (this.hiddenLayers.has('labels')) return;
+
 		// Draw semi-transparent background for text
 		this.ctx.fillStyle = isDimmed ? 'rgba(0, 0, 0, 0.5)' : 'rgba(0, 0, 0, 0.8)';
 		this.ctx.fillRect(
@@ -356,29 +635,6 @@ export class CanvasRenderer {
 		this.ctx.fillStyle = isDimmed ? 'rgba(200, 200, 200, 0.4)' : '#FFD700'; // Gold color
 		this.ctx.fillText(label, centerX, centerY);
 	}
-	/**
-	 * Calculate offset for connection line to avoid overlaps
-	 */
-	getConnectionOffset(fromId, toId, allConnections) {
-		// Count how many connections exist between these two nodes
-		const connectionKey = `${Math.min(fromId, toId)}-${Math.max(fromId, toId)}`;
-		const parallelConnections = allConnections.filter(conn => {
-			const connKey = `${Math.min(conn.from, conn.to)}-${Math.max(conn.from, conn.to)}`;
-			return connKey === connectionKey;
-		});
-
-		if (parallelConnections.length <= 1) return 0;
-
-		// Find this connection's index
-		const thisIndex = parallelConnections.findIndex(conn =>
-			conn.from === fromId && conn.to === toId
-		);
-
-		// Offset perpendicular to the line
-		const offsetAmount = 8;
-		return (thisIndex - (parallelConnections.length - 1) / 2) * offsetAmount;
-	}
-
 	/**
 	 * Shorten line endpoints to prevent overlap with node labels
 	 */
@@ -450,65 +706,19 @@ export class CanvasRenderer {
 		ctx.restore();
 	}
 
-	/**
-	 * Get hovered strat connection info
-	 * worldX, worldY should be in WORLD SPACE coordinates
-	 * scale is used to convert to canvas space for comparison
-	 */
-	getHoveredStratConnection(worldX, worldY, scale) {
-		if (!this.stratConnections || worldX === undefined || worldY === undefined) return null;
-
-		// Convert world space to canvas space (stratConnections are stored in canvas space)
-		const canvasX = worldX * scale;
-		const canvasY = worldY * scale;
-
-		// Threshold in canvas space (remains constant regardless of zoom)
-		const threshold = 8;
-
-		for (const conn of this.stratConnections) {
-			// Connection coords are in canvas space, mouse coords now converted to canvas space
-			if (this.isPointNearLine(canvasX, canvasY, conn.fromX, conn.fromY, conn.toX, conn.toY, threshold)) {
-				return conn;
-			}
-		}
-		return null;
-	}
-
 	/**
 	 * Get all hovered strat connection info
 	 * worldX, worldY should be in WORLD SPACE coordinates
-	 * scale is used to convert to canvas space for comparison
+	 * @returns {Object[]} Entries of this.stratConnections (CANVAS space)
 	 */
 	getHoveredStratConnections(worldX, worldY, scale) {
 		if (!this.stratConnections || worldX === undefined || worldY === undefined) {
 			return [];
 		}
 
-		// Convert world space to canvas space (stratConnections are stored in canvas space)
-		const canvasX = worldX * scale;
-		const canvasY = worldY * scale;
-
-		// Threshold in canvas space (remains constant regardless of zoom)
-		const threshold = 8;
-
-		const hits = [];
-
-		for (const conn of this.stratConnections) {
-			// Connection coords are in canvas space, mouse coords now converted to canvas space
-			if (this.isPointNearLine(
-					canvasX,
-					canvasY,
-					conn.fromX,
-					conn.fromY,
-					conn.toX,
-					conn.toY,
-					threshold
-				)) {
-				hits.push(conn);
-			}
-		}
-
-		return hits;
+		// Curves are hit-tested in WORLD space through the scene's spatial index
+		const hitIndices = new Set(this.hitTestConnections(worldX, worldY).map(geometry => geometry.conn.index));
+		return this.stratConnections.filter(conn => hitIndices.has(conn.stratIndex));
 	}
 
 	/**
@@ -545,17 +755,13 @@ export class CanvasRenderer {
 	}
 
 	/**
-	 * Render strat connections between nodes
-	 * Handles layout offsets, hover detection, scaling, and arrowheads
+	 * Precompute the strat arrows of the scene: one quadratic curve per strat,
+	 * fanned out when several strats share a direction, with the points used
+	 * for hover hit-testing
+	 * @returns {Object[]} Connection geometry in WORLD space, in strat order
 	 */
-	renderStratConnections(strats, nodes, scale, mouseX, mouseY, hideBaseStrats = false) {
-		if (!strats || !nodes) return;
-
-		const ctx = this.ctx;
-
-		// Apply global scale once (all drawing in world space)
-		ctx.save();
-		ctx.scale(scale, scale);
+	buildConnectionGeometry(strats, nodes, hideBaseStrats) {
+		if (!strats || !nodes) return [];
 
 		// Build node position map (node centers, WORLD SPACE)
 		const nodePositions = new Map();
@@ -567,217 +773,161 @@ export class CanvasRenderer {
 			});
 		});
 
-		// Collect all valid connections with full strat data
-		const allConnections = [];
+		// Collect the drawn connections, grouped by direction pair
+		const connections = [];
+		const byDirection = new Map();
 		strats.forEach((strat, index) => {
 			if (!strat.link || strat.link.length !== 2) return;
 
 			// Skip base strats if hidden
 			if (hideBaseStrats && strat.name === 'Base') return;
+			if (this.hiddenLayers.has(`strat:${this.getStratCategory(strat)}`)) return;
+			if (this.visibleStrats && !this.visibleStrats.has(index)) return;
 
 			const [from, to] = strat.link;
-			allConnections.push({
+			// Self-links are shown as a star on their node
+			if (from === to || !nodePositions.has(from) || !nodePositions.has(to)) return;
+
+			const directionKey = `${from}->${to}`;
+			if (!byDirection.has(directionKey)) byDirection.set(directionKey, []);
+			const group = byDirection.get(directionKey);
+
+			const conn = {
 				from,
 				to,
 				name: strat.name,
 				index: index + 1, // 1-based index
 				hasEntranceCondition: !!strat.entranceCondition,
 				hasExitCondition: !!strat.exitCondition,
-				isSelfLink: from === to,
-				strat: strat // Keep full strat for color detection
-			});
+				isSelfLink: false,
+				strat: strat, // Keep full strat for color detection
+				colors: this.getStratColor(strat)
+			};
+			connections.push({ conn, group, groupIndex: group.length });
+			group.push(conn);
 		});
 
-		// Store rendered connections for external hover / selection logic
-		this.stratConnections = [];
-
-		// Determine what's being hovered
-		const worldMouseX = mouseX !== undefined ? mouseX / scale : undefined;
-		const worldMouseY = mouseY !== undefined ? mouseY / scale : undefined;
-
-		let hoveredNodeId = null;
-		const hoveredConnectionIndices = new Set();
-
-		// Check for hovered nodes first
-		if (worldMouseX !== undefined && worldMouseY !== undefined) {
-			for (const node of nodes) {
-				const bounds = getNodeBounds(node);
-				if (worldMouseX >= bounds.x && worldMouseX <= bounds.x + bounds.w &&
-					worldMouseY >= bounds.y && worldMouseY <= bounds.y + bounds.h) {
-					hoveredNodeId = node.id;
-					break;
-				}
-			}
-		}
-
-		// Pre-calculate all curve points and check for hover
-		const connectionData = [];
-
-		allConnections.forEach(conn => {
-			if (conn.isSelfLink) return; // Skip self-links for connection rendering
+		const nodePadding = 20;
+		const arrowHeadLength = 6;
 
+		return connections.map(({ conn, group, groupIndex }) => {
 			const fromPos = nodePositions.get(conn.from);
 			const toPos = nodePositions.get(conn.to);
-			if (!fromPos || !toPos) return;
-
-			// Group connections by direction pair
-			const sameDirectionConns = allConnections.filter(c =>
-				!c.isSelfLink && c.from === conn.from && c.to === conn.to
-			);
 
 			// Calculate curve offset for multiple connections in same direction
-			let curveOffset = 0;
-			if (sameDirectionConns.length > 1) {
-				const thisIndex = sameDirectionConns.findIndex(c => c.index === conn.index);
-				curveOffset = (thisIndex - (sameDirectionConns.length - 1) / 2) * 15;
-			}
+			const curveOffset = (groupIndex - (group.length - 1) / 2) * 15;
 
 			// Direction vector
 			const dx = toPos.x - fromPos.x;
 			const dy = toPos.y - fromPos.y;
-			const length = Math.hypot(dx, dy);
+			const length = Math.hypot(dx, dy) || 1;
 
-			// Perpendicular offset vector for curve
-			const perpX = -dy / length * curveOffset;
-			const perpY = dx / length * curveOffset;
+			// Control point of the quadratic curve, pushed sideways by the offset
+			const midX = (fromPos.x + toPos.x) / 2 - dy / length * curveOffset;
+			const midY = (fromPos.y + toPos.y) / 2 + dx / length * curveOffset;
 
-			// Calculate control point for quadratic curve
-			const midX = (fromPos.x + toPos.x) / 2 + perpX;
-			const midY = (fromPos.y + toPos.y) / 2 + perpY;
+			const pointAt = (t) => ({
+				x: (1 - t) * (1 - t) * fromPos.x + 2 * (1 - t) * t * midX + t * t * toPos.x,
+				y: (1 - t) * (1 - t) * fromPos.y + 2 * (1 - t) * t * midY + t * t * toPos.y
+			});
 
-			const nodePadding = 20;
-			const arrowHeadLength = 6;
+			// The line runs from past the start node's padding to the arrow head's base
+			const tStart = nodePadding / length;
+			const tTip = 1 - nodePadding / length;
+			const tEnd = 1 - (nodePadding + arrowHeadLength * 1.2) / length; // Adjust multiplier to account for curve
+
+			// Control point of the [tStart, tEnd] piece, so it is drawn as a single quadratic
+			const controlWeight = (1 - tStart) * tEnd + tStart * (1 - tEnd);
+			const control = {
+				x: (1 - tStart) * (1 - tEnd) * fromPos.x + controlWeight * midX + tStart * tEnd * toPos.x,
+				y: (1 - tStart) * (1 - tEnd) * fromPos.y + controlWeight * midY + tStart * tEnd * toPos.y
+			};
 
-			// Calculate curve points for collision detection (in WORLD space)
-			// Use finer granularity for better hover detection on curved lines
 			const curvePoints = [];
-			for (let t = 0; t <= 1; t += 0.02) {
-				const x = (1 - t) * (1 - t) * fromPos.x + 2 * (1 - t) * t * midX + t * t * toPos.x;
-				const y = (1 - t) * (1 - t) * fromPos.y + 2 * (1 - t) * t * midY + t * t * toPos.y;
-				curvePoints.push({
-					x,
-					y
-				});
+			for (let i = 0; i <= CURVE_HIT_SEGMENTS; i++) {
+				curvePoints.push(pointAt(i / CURVE_HIT_SEGMENTS));
 			}
 
-			// Check if mouse is near this curve (only if not hovering a node)
-			// Use expanded threshold for curved lines
-			let isHovered = false;
-			if (worldMouseX !== undefined && worldMouseY !== undefined && hoveredNodeId === null) {
-				const hoverThreshold = 12; // Increased threshold for curved lines
-				for (let i = 0; i < curvePoints.length - 1; i++) {
-					if (this.isPointNearLine(
-							worldMouseX, worldMouseY,
-							curvePoints[i].x, curvePoints[i].y,
-							curvePoints[i + 1].x, curvePoints[i + 1].y,
-							hoverThreshold
-						)) {
-						isHovered = true;
-						hoveredConnectionIndices.add(conn.index);
-						break;
-					}
+			return {
+				conn,
+				start: pointAt(tStart),
+				control,
+				end: pointAt(tEnd),
+				tip: pointAt(tTip),
+				curvePoints
+			};
+		});
+	}
+
+	/**
+	 * Strat arrows whose curve passes near a WORLD SPACE point
+	 * @returns {Object[]} Connection geometry (see buildConnectionGeometry)
+	 */
+	hitTestConnections(worldX, worldY) {
+		if (!this.scene || worldX === undefined || worldY === undefined) return [];
+
+		return this.scene.connectionGrid.query(worldX, worldY).filter(geometry => {
+			const points = geometry.curvePoints;
+			for (let i = 0; i < points.length - 1; i++) {
+				if (this.isPointNearLine(
+						worldX, worldY,
+						points[i].x, points[i].y,
+						points[i + 1].x, points[i + 1].y,
+						CURVE_HOVER_THRESHOLD
+					)) {
+					return true;
 				}
 			}
+			return false;
+		});
+	}
 
-			// Store all data for rendering
-			connectionData.push({
-				conn,
-				fromPos,
-				toPos,
-				midX,
-				midY,
-				length,
-				curvePoints,
-				isHovered,
-				nodePadding,
-				arrowHeadLength,
-				curveOffset
-			});
+	/**
+	 * Draw one strat arrow (the context is already scaled to WORLD space)
+	 */
+	renderConnection(geometry, isEmphasized, isDimmed) {
+		const ctx = this.ctx;
+		const { colors } = geometry.conn;
+		const color = isEmphasized ? colors.hover : (isDimmed ? colors.dim : colors.base);
 
-			// Store connection geometry for external access (in CANVAS space for mouse collision)
-			this.stratConnections.push({
-				fromX: fromPos.x * scale,
-				fromY: fromPos.y * scale,
-				toX: toPos.x * scale,
-				toY: toPos.y * scale,
-				connections: [conn],
-				curvePoints: curvePoints.map(p => ({
-					x: p.x * scale,
-					y: p.y * scale
-				})),
-				stratIndex: conn.index
-			});
-		});
+		// Draw curved connection line
+		ctx.strokeStyle = color;
+		ctx.lineWidth = isEmphasized ? 3 : 2;
+		ctx.beginPath();
+		ctx.moveTo(geometry.start.x, geometry.start.y);
+		ctx.quadraticCurveTo(geometry.control.x, geometry.control.y, geometry.end.x, geometry.end.y);
+		ctx.stroke();
 
-		// Store hovered indices for external access
-		this.hoveredConnectionIndices = hoveredConnectionIndices;
+		// Draw arrowhead
+		ctx.fillStyle = color;
+		this.drawArrowHead(ctx, geometry.end.x, geometry.end.y, geometry.tip.x, geometry.tip.y, 1, 3);
+	}
 
-		// Now render all connections
-		connectionData.forEach(data => {
-			const {
-				conn,
-				fromPos,
-				toPos,
-				midX,
-				midY,
-				length,
-				curvePoints,
-				isHovered,
-				nodePadding,
-				arrowHeadLength,
-				curveOffset
-			} = data;
-
-			// Get color based on strat type
-			const colors = this.getStratColor(conn.strat);
-
-			// Determine if this connection should be dimmed
-			const shouldDim = hoveredNodeId !== null ||
-				(hoveredConnectionIndices.size > 0 && !hoveredConnectionIndices.has(conn.index));
-
-			let strokeColor = isHovered ? colors.hover : (shouldDim ? colors.dim : colors.base);
-			let fillColor = isHovered ? colors.hover : (shouldDim ? colors.dim : colors.base);
-
-			// Calculate start point (after node padding)
-			const tStart = nodePadding / length;
-			const startX = (1 - tStart) * (1 - tStart) * fromPos.x + 2 * (1 - tStart) * tStart * midX + tStart * tStart * toPos.x;
-			const startY = (1 - tStart) * (1 - tStart) * fromPos.y + 2 * (1 - tStart) * tStart * midY + tStart * tStart * toPos.y;
+	/**
+	 * Render strat connections between nodes
+	 * @param {boolean} dimAll - Something is hovered, so every arrow not otherwise emphasized is dimmed
+	 */
+	renderStratLayer(dimAll) {
+		const { connections, scale } = this.scene;
 
-			// Calculate arrow tip position
-			const tTip = 1 - nodePadding / length;
-			const tipX = (1 - tTip) * (1 - tTip) * fromPos.x + 2 * (1 - tTip) * tTip * midX + tTip * tTip * toPos.x;
-			const tipY = (1 - tTip) * (1 - tTip) * fromPos.y + 2 * (1 - tTip) * tTip * midY + tTip * tTip * toPos.y;
-
-			// Calculate end point accounting for arrow head length along the curve
-			// We need to find the point that's exactly arrowHeadLength away from tip along the curve
-			const tEndApprox = 1 - (nodePadding + arrowHeadLength * 1.2) / length; // Adjust multiplier to account for curve
-			const endX = (1 - tEndApprox) * (1 - tEndApprox) * fromPos.x + 2 * (1 - tEndApprox) * tEndApprox * midX + tEndApprox * tEndApprox * toPos.x;
-			const endY = (1 - tEndApprox) * (1 - tEndApprox) * fromPos.y + 2 * (1 - tEndApprox) * tEndApprox * midY + tEndApprox * tEndApprox * toPos.y;
-
-			// Draw curved connection line
-			ctx.strokeStyle = strokeColor;
-			ctx.lineWidth = isHovered ? 3 : 2;
-
-			ctx.beginPath();
-			ctx.moveTo(startX, startY);
-
-			// Draw curve to end point (not tip)
-			const steps = 20;
-			for (let i = 1; i <= steps; i++) {
-				const t = tStart + (tEndApprox - tStart) * (i / steps);
-				const x = (1 - t) * (1 - t) * fromPos.x + 2 * (1 - t) * t * midX + t * t * toPos.x;
-				const y = (1 - t) * (1 - t) * fromPos.y + 2 * (1 - t) * t * midY + t * t * toPos.y;
-				ctx.lineTo(x, y);
-			}
-			ctx.stroke();
+		// Apply global scale once (all drawing in world space)
+		this.ctx.save();
+		this.ctx.scale(scale, scale);
 
-			// Draw arrowhead
-			ctx.fillStyle = fillColor;
-			this.drawArrowHead(ctx, endX, endY, tipX, tipY, 1, 3);
-		});
+		for (const geometry of connections) {
+			// Highlighted and usable strats are drawn like hovered ones
+			const stratIndex = geometry.conn.index - 1;
+			const isEmphasized = this.highlightedStrats.has(stratIndex) || !!this.reachability?.strats.has(stratIndex);
+			const isDimmed = dimAll ||
+				(this.highlightedStrats.size > 0 && !isEmphasized) ||
+				(this.reachability && !isEmphasized);
 
-		ctx.restore();
+			this.renderConnection(geometry, isEmphasized, isDimmed);
+		}
+
+		this.ctx.restore();
 	}
+
 	/**
 	 * Get node tint color based on entrance/exit conditions
 	 */
@@ -801,9 +951,9 @@ export class CanvasRenderer {
 			}
 		}
 
-		if (hasEntrance && hasExit) return 'rgba(200, 100, 255, 0.4)'; // Purple
-		if (hasEntrance) return 'rgba(100, 255, 100, 0.4)'; // Green
-		if (hasExit) return 'rgba(255, 200, 100, 0.4)'; // Orange
+		if (hasEntrance && hasExit) return NODE_TINT_COLORS.both;
+		if (hasEntrance) return NODE_TINT_COLORS.entrance;
+		if (hasExit) return NODE_TINT_COLORS.exit;
 
 		return null;
 	}
@@ -848,68 +998,24 @@ export class CanvasRenderer {
 	}
 
 	/**
-	 * Get strat color based on frame requirements
+	 * Colour category of a strat: 'base' or a STRAT_COLOR_CATEGORIES key
 	 */
-	getStratColor(strat) {
-		// Base strats get their own color
-		if (strat.name === 'Base') {
-			return {
-				base: 'rgba(180, 180, 180, 0.5)',
-				hover: 'rgba(200, 200, 200, 1)',
-				dim: 'rgba(180, 180, 180, 0.1)'
-			};
-		}
+	getStratCategory(strat) {
+		if (strat.name === 'Base') return 'base';
 
-		// Priority order: lava > acid > electricity > heat > cold > default
-		if (this.stratContainsFrameType(strat, 'lavaFrames')) {
-			return {
-				base: 'rgba(160, 0, 200, 0.7)',
-				hover: 'rgba(180, 20, 220, 1)',
-				dim: 'rgba(160, 0, 200, 0.15)'
-			};
-		}
-		if (this.stratContainsFrameType(strat, 'acidFrames')) {
-			return {
-				base: 'rgba(220, 20, 20, 0.7)',
-				hover: 'rgba(255, 40, 40, 1)',
-				dim: 'rgba(220, 20, 20, 0.15)'
-			};
-		}
-		if (this.stratContainsFrameType(strat, 'electricityFrames')) {
-			return {
-				base: 'rgba(255, 220, 0, 0.7)',
-				hover: 'rgba(255, 240, 40, 1)',
-				dim: 'rgba(255, 220, 0, 0.15)'
-			};
-		}
-		if (this.stratContainsFrameType(strat, 'aqaWaterLevel')) {
-            return {
-                base: 'rgba(14, 17, 103, 0.7)',
-                hover: 'rgba(51, 55, 189, 0.7)',
-                dim: 'rgb(32, 32, 50)'
-            };
-		}
-		if (this.stratContainsFrameType(strat, 'heatFrames')) {
-			return {
-				base: 'rgba(255, 100, 150, 0.7)',
-				hover: 'rgba(255, 130, 180, 1)',
-				dim: 'rgba(255, 100, 150, 0.15)'
-			};
-		}
-		if (this.stratContainsFrameType(strat, 'coldFrames')) {
-			return {
-				base: 'rgba(80, 160, 255, 0.7)',
-				hover: 'rgba(100, 180, 255, 1)',
-				dim: 'rgba(80, 160, 255, 0.15)'
-			};
-		}
+		const category = STRAT_COLOR_CATEGORIES.find(({ frameType }) =>
+			!frameType || this.stratContainsFrameType(strat, frameType)
+		);
+		return category.key;
+	}
 
-		// Default orange
-		return {
-			base: 'rgba(255, 150, 40, 0.7)',
-			hover: 'rgba(255, 180, 80, 1)',
-			dim: 'rgba(255, 150, 40, 0.15)'
-		};
+	/**
+	 * Get strat color based on frame requirements
+	 */
+	getStratColor(strat) {
+		const category = this.getStratCategory(strat);
+		if (category === 'base') return BASE_STRAT_COLORS;
+		return STRAT_COLOR_CATEGORIES.find(({ key }) => key === category).colors;
 	}
 
 	/**
@@ -948,7 +1054,7 @@ export class CanvasRenderer {
 
 			let points;
 
-			// Same logic as createTriangleFromRect
+			// Same logic as InteractionHandler.getTrianglePointsFromRect
 			if (dragRight && dragDown) {
 				// Quadrant 4: Dragged right and down
 				points = [{
@@ -1050,59 +1156,206 @@ export class CanvasRenderer {
 
 	/**
 	 * Complete redraw of the entire canvas
+	 *
+	 * The room image, the nodes and the strat arrows are painted once into cached
+	 * layers; mouse moves only repaint the hover overlay (see redrawHover). Call
+	 * this whenever the room, selection, zoom or any renderer setting changes.
+	 * @param {Array<{kind: string, entity: Object}>} [entities] - Enemy groups and obstacles (State.getCanvasEntities)
 	 */
-	redraw(roomImage, nodes, selectedNodes, currentRect, scale, strats, mouseX, mouseY, hideBaseStrats = false) {
+	redraw(roomImage, nodes, selectedNodes, currentRect, scale, strats, mouseX, mouseY, hideBaseStrats = false, entities = []) {
 		if (!roomImage) return;
 
-		this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+		this.buildScene(roomImage, nodes, selectedNodes, currentRect, scale, strats, hideBaseStrats, entities);
+		this.renderFrame(mouseX, mouseY);
+	}
 
-		this.ctx.drawImage(
-			roomImage,
-			0, 0,
-			roomImage.width * scale,
-			roomImage.height * scale
-		);
+	/**
+	 * Repaint after a mouse move with nothing else changed since the last redraw
+	 * @param {number} mouseX - CANVAS SPACE mouse position
+	 * @param {number} mouseY
+	 */
+	redrawHover(mouseX, mouseY) {
+		if (!this.scene) return;
+		this.renderFrame(mouseX, mouseY);
+	}
 
-		// Determine what's being hovered
-		const worldMouseX = mouseX !== undefined ? mouseX / scale : undefined;
-		const worldMouseY = mouseY !== undefined ? mouseY / scale : undefined;
+	/**
+	 * Strat graph health issues of a node, as badged on the canvas
+	 * @param {number} nodeId
+	 * @returns {Object[]} Issues from core/stratGraphHealth.js
+	 */
+	getNodeWarnings(nodeId) {
+		return this.scene?.warningsByNode.get(nodeId) || [];
+	}
 
-		let hoveredNodeId = null;
-		let isHoveringConnection = false;
+	/**
+	 * Precompute everything that doesn't depend on the mouse and invalidate the layers
+	 */
+	buildScene(roomImage, nodes, selectedNodes, currentRect, scale, strats, hideBaseStrats, entities) {
+		const previous = this.scene;
+
+		// Nodes of hidden types are left out, along with their strats
+		const visibleNodes = nodes.filter(node => this.isNodeVisible(node));
+
+		// Strat graph health issues are badged on their node
+		const warningsByNode = new Map();
+		for (const issue of analyzeStratGraph(nodes, strats)) {
+			if (issue.nodeId === null) continue;
+			if (!warningsByNode.has(issue.nodeId)) warningsByNode.set(issue.nodeId, []);
+			warningsByNode.get(issue.nodeId).push(issue);
+		}
 
-		// Check for hovered nodes
-		if (worldMouseX !== undefined && worldMouseY !== undefined) {
-			for (const node of nodes) {
-				const bounds = getNodeBounds(node);
-				if (worldMouseX >= bounds.x && worldMouseX <= bounds.x + bounds.w &&
-					worldMouseY >= bounds.y && worldMouseY <= bounds.y + bounds.h) {
-					hoveredNodeId = node.id;
-					break;
-				}
+		const nodeGrid = new SpatialGrid();
+		visibleNodes.forEach(node => nodeGrid.insert(node, getNodeBounds(node)));
+
+		const connections = this.buildConnectionGeometry(strats, visibleNodes, hideBaseStrats);
+		const connectionGrid = new SpatialGrid();
+		for (const geometry of connections) {
+			const points = geometry.curvePoints;
+			for (let i = 0; i < points.length - 1; i++) {
+				connectionGrid.insert(geometry, {
+					x: Math.min(points[i].x, points[i + 1].x) - CURVE_HOVER_THRESHOLD,
+					y: Math.min(points[i].y, points[i + 1].y) - CURVE_HOVER_THRESHOLD,
+					w: Math.abs(points[i + 1].x - points[i].x) + CURVE_HOVER_THRESHOLD * 2,
+					h: Math.abs(points[i + 1].y - points[i].y) + CURVE_HOVER_THRESHOLD * 2
+				});
 			}
+		}
 
-			// If not hovering a node, check for connection hover
-			if (hoveredNodeId === null) {
-				const hoveredConns = this.getHoveredStratConnections(worldMouseX, worldMouseY, scale);
-				isHoveringConnection = hoveredConns.length > 0;
-			}
+		// Store rendered connections for external hover / selection logic (CANVAS space)
+		this.stratConnections = connections.map(geometry => ({
+			fromX: geometry.curvePoints[0].x * scale,
+			fromY: geometry.curvePoints[0].y * scale,
+			toX: geometry.curvePoints[geometry.curvePoints.length - 1].x * scale,
+			toY: geometry.curvePoints[geometry.curvePoints.length - 1].y * scale,
+			connections: [geometry.conn],
+			curvePoints: geometry.curvePoints.map(p => ({
+				x: p.x * scale,
+				y: p.y * scale
+			})),
+			stratIndex: geometry.conn.index
+		}));
+
+		this.scene = {
+			roomImage,
+			nodes: visibleNodes,
+			selectedSet: new Set(selectedNodes || []),
+			currentRect,
+			scale,
+			strats,
+			entities,
+			warningsByNode,
+			nodeGrid,
+			connections,
+			connectionGrid
+		};
+
+		// The room image only changes with the room or the zoom
+		if (!previous || previous.roomImage !== roomImage || previous.scale !== scale) {
+			this.invalidLayers.add('background');
 		}
+		['nodes', 'nodesDimmed', 'strats', 'stratsDimmed'].forEach(name => this.invalidLayers.add(name));
+	}
+
+	/**
+	 * What's under the mouse: enemy groups and obstacles are drawn on top, so
+	 * they are hovered first, then nodes, then strat arrows
+	 */
+	findHover(mouseX, mouseY) {
+		const { entities, nodeGrid, scale } = this.scene;
+		const hover = {
+			entity: null,
+			nodeId: null,
+			connections: []
+		};
+		if (mouseX === undefined || mouseY === undefined) return hover;
+
+		const worldMouseX = mouseX / scale;
+		const worldMouseY = mouseY / scale;
+
+		hover.entity = [...entities].reverse().find(item => isPointInNode(item.entity, worldMouseX, worldMouseY)) || null;
+		if (hover.entity) return hover;
+
+		const node = nodeGrid.query(worldMouseX, worldMouseY).find(candidate => {
+			const bounds = getNodeBounds(candidate);
+			return worldMouseX >= bounds.x && worldMouseX <= bounds.x + bounds.w &&
+				worldMouseY >= bounds.y && worldMouseY <= bounds.y + bounds.h;
+		});
+		if (node) {
+			hover.nodeId = node.id;
+			return hover;
+		}
+
+		hover.connections = this.hitTestConnections(worldMouseX, worldMouseY);
+		return hover;
+	}
+
+	/**
+	 * Composite the cached layers and draw the hover overlay between them
+	 */
+	renderFrame(mouseX, mouseY) {
+		const { roomImage, nodes, selectedSet, currentRect, scale, strats, warningsByNode } = this.scene;
+		const hover = this.findHover(mouseX, mouseY);
+
+		// Store hovered indices for external access
+		this.hoveredConnectionIndices = new Set(hover.connections.map(geometry => geometry.conn.index));
+
+		// Hovering an enemy group keeps only its home and between nodes lit
+		const hoveredEnemy = hover.entity?.kind === 'enemy' ? hover.entity.entity : null;
+		const litNodeIds = hoveredEnemy ?
+			new Set([...(hoveredEnemy.homeNodes || []), ...(hoveredEnemy.betweenNodes || [])]) :
+			new Set(hover.nodeId !== null ? [hover.nodeId] : []);
 
 		// Everything is dimmed by default unless explicitly hovered
-		const shouldDimEverything = hoveredNodeId !== null || isHoveringConnection;
+		const dimAll = hover.nodeId !== null || hover.connections.length > 0 || hoveredEnemy !== null;
+
+		this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+		this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+		this.paintLayer('background', () => {
+			this.ctx.drawImage(
+				roomImage,
+				0, 0,
+				roomImage.width * scale,
+				roomImage.height * scale
+			);
+		});
+
+		// Nodes, then enemy groups and obstacles over them
+		this.paintLayer(dimAll ? 'nodesDimmed' : 'nodes', () => {
+			for (const node of nodes) {
+				const isUnreachable = this.reachability && !this.reachability.nodes.has(node.id);
+				this.renderNode(node, selectedSet.has(node), scale, strats, dimAll || !!isUnreachable, warningsByNode.get(node.id));
+			}
+			for (const item of this.scene.entities) {
+				this.renderEntity(item, selectedSet.has(item.entity), false, scale, dimAll);
+			}
+		});
 
-		// Render all nodes
-		const selectedSet = new Set(selectedNodes || []);
+		// Hover overlay: the lit nodes and the hovered overlay on top of their dimmed selves
 		for (const node of nodes) {
-			const isSelected = selectedSet.has(node);
-			const isDimmed = shouldDimEverything && hoveredNodeId !== node.id;
-			this.renderNode(node, isSelected, scale, strats, isDimmed);
+			if (!litNodeIds.has(node.id)) continue;
+			this.renderNode(node, selectedSet.has(node), scale, strats, false, warningsByNode.get(node.id));
+		}
+		if (hover.entity) {
+			this.renderEntity(hover.entity, selectedSet.has(hover.entity.entity), true, scale, false);
+		}
+		if (hoveredEnemy) {
+			this.renderEnemyNodeLinks(hoveredEnemy, nodes, scale);
 		}
 
 		// Render the strat connections
-		if (strats) {
-			this.renderStratConnections(strats, nodes, scale, mouseX, mouseY, hideBaseStrats);
+		this.paintLayer(dimAll ? 'stratsDimmed' : 'strats', () => this.renderStratLayer(dimAll));
+
+		if (hover.connections.length > 0) {
+			this.ctx.save();
+			this.ctx.scale(scale, scale);
+			hover.connections.forEach(geometry => this.renderConnection(geometry, true, false));
+			this.ctx.restore();
+		}
+
+		if (this.linkPreview) {
+			this.renderLinkPreview(this.linkPreview, scale);
 		}
 
 		// Render the current (user-drawing) rect
@@ -1111,6 +1364,67 @@ export class CanvasRenderer {
 		}
 	}
 
+	/**
+	 * Draw a layer from its cache, painting the cache first when it is out of date.
+	 * With cacheLayers off, the layer is drawn straight onto the canvas.
+	 * @param {string} name
+	 * @param {Function} draw - Draws the layer onto this.ctx
+	 */
+	paintLayer(name, draw) {
+		if (!this.cacheLayers) {
+			draw();
+			return;
+		}
+
+		if (!this.layers.has(name)) {
+			this.layers.set(name, document.createElement('canvas'));
+			this.invalidLayers.add(name);
+		}
+		const layer = this.layers.get(name);
+
+		if (this.invalidLayers.has(name) || layer.width !== this.canvas.width || layer.height !== this.canvas.height) {
+			// Resizing a canvas also clears it
+			if (layer.width !== this.canvas.width || layer.height !== this.canvas.height) {
+				layer.width = this.canvas.width;
+				layer.height = this.canvas.height;
+			}
+
+			const canvasCtx = this.ctx;
+			this.ctx = layer.getContext('2d');
+			this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+			this.ctx.clearRect(0, 0, layer.width, layer.height);
+			this.ctx.imageSmoothingEnabled = false;
+			try {
+				draw();
+			} finally {
+				this.ctx = canvasCtx;
+			}
+			this.invalidLayers.delete(name);
+		}
+
+		this.ctx.drawImage(layer, 0, 0);
+	}
+
+	renderLinkPreview(preview, scale) {
+		const fromX = preview.fromX * scale;
+		const fromY = preview.fromY * scale;
+		const toX = preview.toX * scale;
+		const toY = preview.toY * scale;
+
+		this.ctx.save();
+		this.ctx.strokeStyle = '#00bcd4';
+		this.ctx.fillStyle = '#00bcd4';
+		this.ctx.lineWidth = 3;
+		this.ctx.setLineDash([8, 6]);
+		this.ctx.beginPath();
+		this.ctx.moveTo(fromX, fromY);
+		this.ctx.lineTo(toX, toY);
+		this.ctx.stroke();
+		this.ctx.setLineDash([]);
+		this.drawArrowHead(this.ctx, fromX, fromY, toX, toY, 2, 3);
+		this.ctx.restore();
+	}
+
 	/**
 	 * Update canvas size based on image and scale
 	 */
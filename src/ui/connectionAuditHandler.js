@@ -0,0 +1,163 @@
+/**
+ * Connection Audit Handler - Shows the connection consistency report and opens
+ * the room and door of an issue when it is clicked
+ */
+const SEVERITY_STYLES = {
+	error: { icon: '⛔', color: '#c0392b' },
+	warning: { icon: '⚠️', color: '#d68910' }
+};
+
+export class ConnectionAuditHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.focusNode - Selects a node of the current room on the canvas
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+
+		this.setupModal();
+	}
+
+	setupModal() {
+		const modal = document.getElementById('auditModal');
+		const btn = document.getElementById('auditConnectionsBtn');
+		const rerunBtn = document.getElementById('auditRerunBtn');
+		const cancelBtn = document.getElementById('auditCancelBtn');
+
+		if (!modal || !btn || !rerunBtn || !cancelBtn) {
+			console.error('Connection audit modal elements not found');
+			return;
+		}
+
+		btn.addEventListener('click', () => this.openModal());
+		rerunBtn.addEventListener('click', () => this.runAudit());
+		cancelBtn.addEventListener('click', () => this.closeModal());
+
+		// Close on background click
+		modal.addEventListener('click', (e) => {
+			if (e.target === modal) {
+				this.closeModal();
+			}
+		});
+
+		document.addEventListener('keydown', (e) => {
+			if (modal.style.display === 'flex' && e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+		});
+	}
+
+	openModal() {
+		if (!this.state.workingDir) {
+			this.uiManager.showAlert('Set working directory first!');
+			return;
+		}
+
+		document.getElementById('auditModal').style.display = 'flex';
+		this.runAudit();
+	}
+
+	closeModal() {
+		const modal = document.getElementById('auditModal');
+		if (modal) {
+			modal.style.display = 'none';
+		}
+	}
+
+	async runAudit() {
+		const resultList = document.getElementById('auditResults');
+		const summary = document.getElementById('auditSummary');
+
+		resultList.innerHTML = '';
+		summary.textContent = 'Checking connections...';
+
+		let issues;
+		try {
+			issues = await window.api.auditConnections(this.state.workingDir, this.state.getAreaCodes());
+		} catch (err) {
+			console.error('Connection audit failed:', err);
+			summary.textContent = `Audit failed: ${err.message}`;
+			return;
+		}
+
+		this.renderIssues(issues);
+	}
+
+	renderIssues(issues) {
+		const resultList = document.getElementById('auditResults');
+		const summary = document.getElementById('auditSummary');
+		resultList.innerHTML = '';
+
+		const errors = issues.filter(issue => issue.severity === 'error').length;
+		summary.textContent = `${errors} error(s), ${issues.length - errors} warning(s)`;
+
+		if (issues.length === 0) {
+			resultList.innerHTML = '<div style="padding: 20px; text-align: center; color: #999;">All connections are consistent</div>';
+			return;
+		}
+
+		// Group by room; issues that can't be tied to a room go under their connection file
+		const groups = new Map();
+		for (const issue of issues) {
+			const key = issue.room ? `${issue.room.name} (${issue.room.area} / ${issue.room.subarea})` : issue.file;
+			if (!groups.has(key)) groups.set(key, []);
+			groups.get(key).push(issue);
+		}
+
+		[...groups.entries()]
+			.sort(([a], [b]) => a.localeCompare(b))
+			.forEach(([title, groupIssues]) => {
+				const header = document.createElement('div');
+				header.style.cssText = 'padding: 6px 12px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 13px;';
+				header.textContent = title;
+				resultList.appendChild(header);
+
+				groupIssues.forEach(issue => {
+					const item = document.createElement('div');
+					item.className = 'room-list-item';
+					if (!issue.room) item.style.cursor = 'default';
+
+					const { icon, color } = SEVERITY_STYLES[issue.severity];
+					const nameDiv = document.createElement('div');
+					nameDiv.className = 'room-name';
+					nameDiv.style.color = color;
+					nameDiv.textContent = `${icon} ${issue.message}`;
+					item.appendChild(nameDiv);
+
+					if (issue.file) {
+						const metaDiv = document.createElement('div');
+						metaDiv.className = 'room-meta';
+						metaDiv.textContent = issue.connectionIndex !== null ?
+							`${issue.file}, connection #${issue.connectionIndex}` :
+							issue.file;
+						item.appendChild(metaDiv);
+					}
+
+					if (issue.room) {
+						item.addEventListener('click', () => this.openIssue(issue));
+					}
+					resultList.appendChild(item);
+				});
+			});
+	}
+
+	/**
+	 * Load the room of an issue and select the door it is about
+	 */
+	async openIssue(issue) {
+		this.closeModal();
+
+		const roomName = issue.room.fileName.replace(/\.json$/, '');
+		const data = await this.roomManager.loadRoom(issue.room.area, issue.room.subarea, roomName);
+		if (data && issue.nodeId !== null) {
+			this.actions.focusNode(issue.nodeId);
+		}
+	}
+}
@@ -0,0 +1,161 @@
+/**
+ * Export Image Handler - Saves the current room with its nodes, labels and
+ * strat arrows as a PNG, or as an SVG with vector shapes, drawn by a separate
+ * CanvasRenderer so the editor's hover and highlight state stays out of it
+ */
+import {
+	CanvasRenderer
+} from './canvasRenderer.js';
+import {
+	SvgContext
+} from './svgContext.js';
+
+export class ExportImageHandler {
+	constructor(state, roomManager, uiManager) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+
+		this.setupModal();
+	}
+
+	setupModal() {
+		const modal = document.getElementById('exportImageModal');
+		const btn = document.getElementById('exportImageBtn');
+		const exportBtn = document.getElementById('exportImageSaveBtn');
+		const cancelBtn = document.getElementById('exportImageCancelBtn');
+
+		if (!modal || !btn || !exportBtn || !cancelBtn) {
+			console.error('Export image modal elements not found');
+			return;
+		}
+
+		btn.addEventListener('click', () => this.openModal());
+		exportBtn.addEventListener('click', () => this.export());
+		cancelBtn.addEventListener('click', () => this.closeModal());
+
+		document.addEventListener('keydown', (e) => {
+			if (modal.style.display === 'flex' && e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+		});
+
+		modal.addEventListener('click', (e) => {
+			if (e.target === modal) {
+				this.closeModal();
+			}
+		});
+	}
+
+	openModal() {
+		if (!this.state.currentRoomData || !this.state.currentRoomImage) {
+			this.uiManager.showAlert('Load a room first!');
+			return;
+		}
+
+		const selectedOption = document.querySelector('#exportImageStrats option[value="selected"]');
+		selectedOption.disabled = this.state.selectedNodes.length === 0;
+		if (selectedOption.disabled && selectedOption.selected) {
+			document.getElementById('exportImageStrats').value = 'all';
+		}
+
+		document.getElementById('exportImageModal').style.display = 'flex';
+	}
+
+	closeModal() {
+		const modal = document.getElementById('exportImageModal');
+		if (modal) {
+			modal.style.display = 'none';
+		}
+	}
+
+	/**
+	 * Strats to draw: every one, the ones touching the selected nodes, or none
+	 * @returns {number[]|null} 0-based indices, or null for all
+	 */
+	getExportStrats(mode) {
+		if (mode === 'all') return null;
+		if (mode === 'none') return [];
+
+		const selectedIds = new Set(this.state.selectedNodes.map(node => node.id));
+		return (this.state.currentRoomData.strats || [])
+			.map((strat, index) => ({ strat, index }))
+			.filter(({ strat }) => Array.isArray(strat.link) && strat.link.some(nodeId => selectedIds.has(nodeId)))
+			.map(({ index }) => index);
+	}
+
+	/**
+	 * Draw the room onto a canvas (or an SvgContext posing as one)
+	 */
+	render(canvas, scale, stratMode, useLayers) {
+		const renderer = new CanvasRenderer(canvas, null);
+		renderer.cacheLayers = false;
+		renderer.ctx.imageSmoothingEnabled = false;
+		if (useLayers) renderer.setHiddenLayers(new Set(this.state.hiddenLayers));
+		renderer.setVisibleStrats(this.getExportStrats(stratMode));
+
+		renderer.redraw(
+			this.state.currentRoomImage,
+			this.state.nodes,
+			[],
+			null,
+			scale,
+			this.state.currentRoomData.strats,
+			undefined,
+			undefined,
+			useLayers && this.state.hideBaseStrats,
+			this.state.getCanvasEntities()
+		);
+	}
+
+	async export() {
+		const format = document.getElementById('exportImageFormat').value;
+		const scale = parseFloat(document.getElementById('exportImageScale').value);
+		const stratMode = document.getElementById('exportImageStrats').value;
+		const useLayers = document.getElementById('exportImageUseLayers').checked;
+
+		if (!(scale > 0)) {
+			this.uiManager.showAlert('Enter a scale above 0');
+			return;
+		}
+
+		const image = this.state.currentRoomImage;
+		const width = Math.round(image.width * scale);
+		const height = Math.round(image.height * scale);
+
+		let data;
+		try {
+			if (format === 'svg') {
+				const svg = new SvgContext(width, height);
+				this.render({ width, height, getContext: () => svg }, scale, stratMode, useLayers);
+				data = svg.toString();
+			} else {
+				const canvas = document.createElement('canvas');
+				canvas.width = width;
+				canvas.height = height;
+				this.render(canvas, scale, stratMode, useLayers);
+				const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+				data = new Uint8Array(await blob.arrayBuffer());
+			}
+		} catch (err) {
+			console.error('Image export failed:', err);
+			this.uiManager.showAlert(`Image export failed: ${err.message}`);
+			return;
+		}
+
+		const fileName = this.state.currentRoomPath.split(/[\\/]/).pop().replace(/\.json$/, '');
+		let savedPath;
+		try {
+			savedPath = await window.api.exportRoomImage(this.state.workingDir, `${fileName}.${format}`, data);
+		} catch (err) {
+			console.error('Image export failed:', err);
+			this.uiManager.showAlert(`Could not write the image: ${err.message}`);
+			return;
+		}
+		if (!savedPath) return;
+
+		this.closeModal();
+		this.uiManager.showAlert(`Exported ${savedPath}`);
+	}
+}
@@ -0,0 +1,289 @@
+/**
+ * Find References Handler - Lists every room strat, lock and enemy spawn condition
+ * that uses a tech, helper, item, event or notable
+ */
+const KIND_LABELS = {
+	tech: 'Tech',
+	helper: 'Helper',
+	item: 'Item',
+	event: 'Event',
+	notable: 'Notable'
+};
+
+const CONTEXT_LABELS = {
+	strat: 'Strat',
+	enemy: 'Enemy',
+	node: 'Node',
+	notable: 'Notable'
+};
+
+// Notables belong to their room, so they can't be renamed across the dataset
+const RENAMABLE_KINDS = ['tech', 'helper', 'item', 'event'];
+
+export class FindReferencesHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.openRoomProperties - Opens Room Properties focused on {type, index}
+	 * @param {Function} actions.focusNode - Selects a node of the current room on the canvas
+	 * @param {Function} actions.rename - Starts a dataset-wide rename of (kind, name)
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+
+		this.setupModal();
+		this.setupKeyboardShortcut();
+	}
+
+	setupModal() {
+		const modal = document.getElementById('findRefsModal');
+		const btn = document.getElementById('findRefsBtn');
+		const cancelBtn = document.getElementById('findRefsCancelBtn');
+		const searchBtn = document.getElementById('findRefsSearchBtn');
+		const renameBtn = document.getElementById('findRefsRenameBtn');
+		const kindSelect = document.getElementById('findRefsKind');
+		const nameInput = document.getElementById('findRefsName');
+
+		if (!modal || !btn || !cancelBtn || !searchBtn || !renameBtn || !kindSelect || !nameInput) {
+			console.error('Find References modal elements not found');
+			return;
+		}
+
+		btn.addEventListener('click', () => this.openModal());
+		cancelBtn.addEventListener('click', () => this.closeModal());
+		searchBtn.addEventListener('click', () => this.search());
+		renameBtn.addEventListener('click', () => {
+			const name = nameInput.value.trim();
+			if (!name) return;
+			this.closeModal();
+			this.actions.rename(kindSelect.value, name);
+		});
+
+		// Close on background click
+		modal.addEventListener('click', (e) => {
+			if (e.target === modal) {
+				this.closeModal();
+			}
+		});
+
+		kindSelect.addEventListener('change', () => {
+			nameInput.value = '';
+			this.populateNameOptions(kindSelect.value);
+			renameBtn.disabled = !RENAMABLE_KINDS.includes(kindSelect.value);
+			nameInput.focus();
+		});
+
+		nameInput.addEventListener('keydown', (e) => {
+			if (e.key === 'Enter') {
+				e.preventDefault();
+				this.search();
+			} else if (e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+			// Don't propagate keys to prevent shortcuts
+			e.stopPropagation();
+		});
+	}
+
+	setupKeyboardShortcut() {
+		document.addEventListener('keydown', (e) => {
+			const modal = document.getElementById('findRefsModal');
+			if (modal && modal.style.display === 'flex') {
+				if (e.key === 'Escape') {
+					e.preventDefault();
+					this.closeModal();
+				}
+				return;
+			}
+
+			// Ctrl+Shift+F to open modal
+			if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'f') {
+				e.preventDefault();
+				this.openModal();
+			}
+		});
+	}
+
+	/**
+	 * Open the modal, optionally pre-filled with an identifier
+	 * @param {string} [kind] - tech, helper, item, event or notable
+	 * @param {string} [name]
+	 */
+	openModal(kind, name) {
+		if (!this.state.workingDir) {
+			this.uiManager.showAlert('Set working directory first!');
+			return;
+		}
+
+		const modal = document.getElementById('findRefsModal');
+		const kindSelect = document.getElementById('findRefsKind');
+		const nameInput = document.getElementById('findRefsName');
+		if (!modal || !kindSelect || !nameInput) return;
+
+		if (kind) kindSelect.value = kind;
+		this.populateNameOptions(kindSelect.value);
+		document.getElementById('findRefsRenameBtn').disabled = !RENAMABLE_KINDS.includes(kindSelect.value);
+
+		modal.style.display = 'flex';
+		nameInput.value = name || '';
+		nameInput.focus();
+		if (name) this.search();
+	}
+
+	closeModal() {
+		const modal = document.getElementById('findRefsModal');
+		if (modal) {
+			modal.style.display = 'none';
+		}
+	}
+
+	/**
+	 * Names known to the dataset for one kind of identifier
+	 * @param {string} kind
+	 * @returns {string[]}
+	 */
+	getNames(kind) {
+		const namesFromCategories = (categoryMap) => {
+			const names = [];
+			const collect = (entries) => {
+				for (const entry of entries || []) {
+					names.push(entry.name);
+					collect(entry.extensionTechs);
+				}
+			};
+			for (const category of categoryMap.values()) {
+				collect(category.items);
+			}
+			return names;
+		};
+
+		switch (kind) {
+			case 'tech':
+				return namesFromCategories(this.state.getTechMap());
+			case 'helper':
+				return namesFromCategories(this.state.getHelperMap());
+			case 'item':
+				return [...this.state.getItemList()];
+			case 'event': {
+				// Game flags are grouped by category in items.json
+				const flags = this.state.getEventList();
+				const entries = Array.isArray(flags) ? flags : Object.values(flags).flat();
+				return entries.map(flag => typeof flag === 'string' ? flag : flag.name);
+			}
+			case 'notable':
+				// Only the current room's notables are known without loading every room
+				return (this.state.currentRoomData?.notables || []).map(notable => notable.name);
+			default:
+				return [];
+		}
+	}
+
+	populateNameOptions(kind) {
+		const datalist = document.getElementById('findRefsNameOptions');
+		if (!datalist) return;
+
+		datalist.innerHTML = '';
+		[...new Set(this.getNames(kind))].sort().forEach(name => {
+			const option = document.createElement('option');
+			option.value = name;
+			datalist.appendChild(option);
+		});
+	}
+
+	async search() {
+		const kind = document.getElementById('findRefsKind').value;
+		const name = document.getElementById('findRefsName').value.trim();
+		const resultList = document.getElementById('findRefsResults');
+		const summary = document.getElementById('findRefsSummary');
+		if (!name || !resultList) return;
+
+		resultList.innerHTML = '<div style="padding: 20px; text-align: center; color: #999;">Searching...</div>';
+		summary.textContent = '';
+
+		let results;
+		try {
+			results = await window.api.findReferences(this.state.workingDir, this.state.getAreaCodes(), { kind, name });
+		} catch (err) {
+			console.error('Find references failed:', err);
+			resultList.innerHTML = '';
+			summary.textContent = `Search failed: ${err.message}`;
+			return;
+		}
+
+		this.renderResults(results, kind, name);
+	}
+
+	renderResults(results, kind, name) {
+		const resultList = document.getElementById('findRefsResults');
+		const summary = document.getElementById('findRefsSummary');
+		resultList.innerHTML = '';
+
+		const total = results.reduce((sum, room) => sum + room.references.length, 0);
+		const known = kind === 'notable' || this.getNames(kind).includes(name);
+		summary.textContent = `${KIND_LABELS[kind]} "${name}": ${total} reference(s) in ${results.length} room(s)` +
+			(known ? '' : ` — not defined as a ${KIND_LABELS[kind].toLowerCase()} in this dataset`);
+
+		if (results.length === 0) {
+			resultList.innerHTML = '<div style="padding: 20px; text-align: center; color: #999;">No references found</div>';
+			return;
+		}
+
+		results
+			.sort((a, b) => a.roomName.localeCompare(b.roomName))
+			.forEach(room => {
+				const header = document.createElement('div');
+				header.style.cssText = 'padding: 6px 12px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 13px;';
+				header.textContent = `${room.roomName} (${room.area} / ${room.subarea})`;
+				resultList.appendChild(header);
+
+				room.references.forEach(reference => {
+					const item = document.createElement('div');
+					item.className = 'room-list-item';
+
+					const nameDiv = document.createElement('div');
+					nameDiv.className = 'room-name';
+					const { context } = reference;
+					nameDiv.textContent = `${CONTEXT_LABELS[context.type]} ${context.id ?? context.index}: ${context.name || '(unnamed)'}`;
+
+					const metaDiv = document.createElement('div');
+					metaDiv.className = 'room-meta';
+					metaDiv.textContent = reference.path;
+
+					item.appendChild(nameDiv);
+					item.appendChild(metaDiv);
+
+					item.addEventListener('click', () => this.openReference(room, reference));
+					resultList.appendChild(item);
+				});
+			});
+	}
+
+	/**
+	 * Load the room of a result and show the strat, enemy or node that holds the reference
+	 */
+	async openReference(room, reference) {
+		this.closeModal();
+
+		const roomName = room.fileName.replace(/\.json$/, '');
+		const data = await this.roomManager.loadRoom(room.area, room.subarea, roomName);
+		if (!data) return;
+
+		const { context } = reference;
+		if (context.type === 'strat') {
+			this.actions.openRoomProperties({ type: 'strats', index: context.index });
+		} else if (context.type === 'enemy') {
+			this.actions.openRoomProperties({ type: 'enemies', index: context.index });
+		} else if (context.type === 'notable') {
+			this.actions.openRoomProperties({ type: 'notables', index: context.index });
+		} else if (context.type === 'node') {
+			// Door locks are edited from the canvas, so select the node there
+			this.actions.focusNode(context.id);
+		}
+	}
+}
@@ -0,0 +1,158 @@
+/**
+ * Layers Handler - Panel to show or hide parts of the room canvas (node types,
+ * strat arrows by colour, self-link stars, entrance/exit tints, labels), with a
+ * legend of what each colour means
+ */
+import {
+	STRAT_COLOR_CATEGORIES,
+	BASE_STRAT_COLORS,
+	NODE_TINT_COLORS,
+	ENTITY_STYLES
+} from './canvasRenderer.js';
+
+const NODE_TYPE_LAYERS = [{
+		key: 'node:door',
+		label: 'Doors'
+	},
+	{
+		key: 'node:item',
+		label: 'Items'
+	},
+	{
+		key: 'node:utility',
+		label: 'Utilities'
+	},
+	{
+		key: 'node:junction',
+		label: 'Junctions'
+	}
+];
+
+export class LayersHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.applyLayers - Redraws the canvas with state.hiddenLayers
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+
+		this.setupPanel();
+	}
+
+	setupPanel() {
+		const panel = document.getElementById('layersPanel');
+		const btn = document.getElementById('layersBtn');
+		const closeBtn = document.getElementById('layersCloseBtn');
+
+		if (!panel || !btn || !closeBtn) {
+			console.error('Layers panel elements not found');
+			return;
+		}
+
+		btn.addEventListener('click', () => {
+			panel.style.display = panel.style.display === 'block' ? 'none' : 'block';
+		});
+		closeBtn.addEventListener('click', () => {
+			panel.style.display = 'none';
+		});
+
+		this.renderLayers();
+
+		// Base strats keep their own toggle (Ctrl+B); mirror it here
+		document.addEventListener('baseStratsToggled', () => {
+			const baseCheckbox = document.getElementById('layerBaseStrats');
+			if (baseCheckbox) baseCheckbox.checked = !this.state.hideBaseStrats;
+		});
+	}
+
+	renderLayers() {
+		const container = document.getElementById('layersList');
+		container.innerHTML = '';
+
+		this.addSection(container, 'Nodes');
+		NODE_TYPE_LAYERS.forEach(({ key, label }) => this.addLayer(container, key, label));
+		this.addLegend(container, null, 'Nodes are drawn in their own colour; selected ones in yellow');
+
+		this.addSection(container, 'Strat arrows');
+		const baseRow = this.addRow(container, 'Base', BASE_STRAT_COLORS.base, !this.state.hideBaseStrats, () => {
+			document.getElementById('toggleBaseStratsBtn')?.click();
+		});
+		baseRow.querySelector('input').id = 'layerBaseStrats';
+		baseRow.title = 'Same as Ctrl+B';
+		STRAT_COLOR_CATEGORIES.forEach(({ key, label, frameType, colors }) => {
+			const row = this.addLayer(container, `strat:${key}`, label, colors.base);
+			row.title = frameType ? `Strats with ${frameType}` : 'Strats without any of the above';
+		});
+
+		this.addSection(container, 'Markers');
+		this.addLayer(container, 'selfLinks', '★ Self-link strats', 'rgba(255, 200, 50, 0.6)');
+		this.addLayer(container, 'tints', 'Entrance/exit tints');
+		this.addLegend(container, NODE_TINT_COLORS.entrance, 'Entrance condition (strat starts here)');
+		this.addLegend(container, NODE_TINT_COLORS.exit, 'Exit condition (strat ends here)');
+		this.addLegend(container, NODE_TINT_COLORS.both, 'Both');
+		this.addLayer(container, 'labels', 'Node IDs and overlay names');
+
+		this.addSection(container, 'Overlays');
+		this.addLegend(container, ENTITY_STYLES.enemy.color, `${ENTITY_STYLES.enemy.icon} Enemy group`);
+		this.addLegend(container, ENTITY_STYLES.obstacle.color, `${ENTITY_STYLES.obstacle.icon} Obstacle`);
+		this.addLegend(container, '#f39c12', '⚠ Strat health warning');
+	}
+
+	addSection(container, title) {
+		const header = document.createElement('div');
+		header.style.cssText = 'font-weight: bold; margin: 8px 0 4px;';
+		header.textContent = title;
+		container.appendChild(header);
+	}
+
+	/**
+	 * A checkbox for one of the hidden-layer keys understood by CanvasRenderer.setHiddenLayers
+	 */
+	addLayer(container, key, label, color = null) {
+		return this.addRow(container, label, color, !this.state.hiddenLayers.has(key), (visible) => {
+			if (visible) {
+				this.state.hiddenLayers.delete(key);
+			} else {
+				this.state.hiddenLayers.add(key);
+			}
+			this.actions.applyLayers();
+		});
+	}
+
+	addRow(container, label, color, checked, onChange) {
+		const row = document.createElement('label');
+		row.style.cssText = 'display: flex; gap: 6px; align-items: center; padding: 2px 0;';
+
+		const checkbox = document.createElement('input');
+		checkbox.type = 'checkbox';
+		checkbox.checked = checked;
+		checkbox.addEventListener('change', () => onChange(checkbox.checked));
+		row.appendChild(checkbox);
+
+		if (color) row.appendChild(this.createSwatch(color));
+		row.appendChild(document.createTextNode(label));
+
+		container.appendChild(row);
+		return row;
+	}
+
+	addLegend(container, color, text) {
+		const line = document.createElement('div');
+		line.style.cssText = 'display: flex; gap: 6px; align-items: center; padding: 2px 0 2px 20px; color: #666;';
+		if (color) line.appendChild(this.createSwatch(color));
+		line.appendChild(document.createTextNode(text));
+		container.appendChild(line);
+	}
+
+	createSwatch(color) {
+		const swatch = document.createElement('span');
+		swatch.style.cssText = `display: inline-block; width: 14px; height: 10px; border: 1px solid #999; border-radius: 2px; background: ${color};`;
+		return swatch;
+	}
+}
@@ -0,0 +1,248 @@
+/**
+ * New Node Handler - Asks for the details of a door, item or utility node
+ * drawn with the draw tool (junctions are created straight away)
+ */
+
+// DOOR_SUBTYPES and UTILITY_TYPES come from editor/doors/doorEditorConfig.js (classic script shared with the door editor)
+
+const NODE_TYPE_LABELS = {
+	door: 'Door',
+	item: 'Item',
+	utility: 'Utility'
+};
+
+// Default door names, as in sm-json-data
+const DOOR_NAMES = {
+	left: 'Left Door',
+	right: 'Right Door',
+	up: 'Top Door',
+	down: 'Bottom Door'
+};
+
+export class NewNodeHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.focusNode - Selects a node of the current room on the canvas
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+		this.drawn = null; // {nodeType, rect, points} from the draw tool
+
+		this.setupModal();
+	}
+
+	setupModal() {
+		const modal = document.getElementById('newNodeModal');
+		const nameInput = document.getElementById('newNodeName');
+		const createBtn = document.getElementById('newNodeCreateBtn');
+		const cancelBtn = document.getElementById('newNodeCancelBtn');
+
+		if (!modal || !nameInput || !createBtn || !cancelBtn) {
+			console.error('New node modal elements not found');
+			return;
+		}
+
+		document.addEventListener('nodeDrawn', (e) => this.openModal(e.detail));
+
+		createBtn.addEventListener('click', () => this.createNode());
+		cancelBtn.addEventListener('click', () => this.closeModal());
+
+		// Name follows the other fields until it is typed over
+		['newNodeOrientation', 'newNodeItem', 'newNodeUtilities'].forEach(id => {
+			document.getElementById(id).addEventListener('change', () => this.updateNamePlaceholder());
+		});
+
+		modal.querySelectorAll('input[type="text"]').forEach(input => {
+			input.addEventListener('keydown', (e) => {
+				if (e.key === 'Enter') {
+					e.preventDefault();
+					this.createNode();
+				}
+			});
+		});
+
+		document.addEventListener('keydown', (e) => {
+			if (modal.style.display === 'flex' && e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+		});
+
+		modal.addEventListener('click', (e) => {
+			if (e.target === modal) {
+				this.closeModal();
+			}
+		});
+
+		this.populateOptions();
+	}
+
+	populateOptions() {
+		const subTypeSelect = document.getElementById('newNodeDoorSubType');
+		DOOR_SUBTYPES.forEach(subType => {
+			const option = document.createElement('option');
+			option.value = subType.value;
+			option.textContent = subType.label;
+			option.title = subType.description;
+			subTypeSelect.appendChild(option);
+		});
+
+		const utilityContainer = document.getElementById('newNodeUtilities');
+		UTILITY_TYPES.forEach(utilType => {
+			const label = document.createElement('label');
+			label.style.cssText = 'display: block; padding: 2px 0;';
+
+			const checkbox = document.createElement('input');
+			checkbox.type = 'checkbox';
+			checkbox.value = utilType.value;
+
+			label.appendChild(checkbox);
+			label.appendChild(document.createTextNode(` ${utilType.label}`));
+			utilityContainer.appendChild(label);
+		});
+	}
+
+	/**
+	 * Ask for the details of a drawn node
+	 * @param {{nodeType: string, rect: Object, points: Object[]|null}} drawn - points is set for triangles
+	 */
+	openModal(drawn) {
+		if (!this.state.currentRoomData) return;
+		this.drawn = drawn;
+
+		document.getElementById('newNodeTitle').textContent = `New ${NODE_TYPE_LABELS[drawn.nodeType]} Node`;
+		document.querySelectorAll('#newNodeModal .new-node-door, #newNodeModal .new-node-item, #newNodeModal .new-node-utility').forEach(el => {
+			el.style.display = el.classList.contains(`new-node-${drawn.nodeType}`) ? '' : 'none';
+		});
+
+		// Item list comes from the working directory, so refresh it each time
+		const itemSelect = document.getElementById('newNodeItem');
+		const previousItem = itemSelect.value;
+		itemSelect.innerHTML = '';
+		this.state.getItemList().forEach(item => {
+			const option = document.createElement('option');
+			option.value = item;
+			option.textContent = item;
+			itemSelect.appendChild(option);
+		});
+		if (previousItem) itemSelect.value = previousItem;
+
+		document.querySelectorAll('#newNodeUtilities input').forEach(checkbox => {
+			checkbox.checked = false;
+		});
+
+		const nameInput = document.getElementById('newNodeName');
+		nameInput.value = '';
+		document.getElementById('newNodeAddress').value = '';
+		this.updateNamePlaceholder();
+
+		document.getElementById('newNodeModal').style.display = 'flex';
+		nameInput.focus();
+	}
+
+	closeModal() {
+		const modal = document.getElementById('newNodeModal');
+		if (modal) {
+			modal.style.display = 'none';
+		}
+		this.drawn = null;
+	}
+
+	getSelectedUtilities() {
+		return Array.from(document.querySelectorAll('#newNodeUtilities input:checked')).map(cb => cb.value);
+	}
+
+	updateNamePlaceholder() {
+		if (!this.drawn) return;
+		document.getElementById('newNodeName').placeholder = this.getDefaultName(this.drawn.nodeType);
+	}
+
+	getDefaultName(nodeType) {
+		if (nodeType === 'door') {
+			return DOOR_NAMES[document.getElementById('newNodeOrientation').value];
+		}
+		if (nodeType === 'item') {
+			return document.getElementById('newNodeItem').value || 'Item';
+		}
+
+		const [utility] = this.getSelectedUtilities();
+		const utilType = UTILITY_TYPES.find(type => type.value === utility);
+		// Labels start with an icon
+		return utilType ? utilType.label.replace(/^\S+\s+/, '') : 'Utility';
+	}
+
+	/**
+	 * Node fields for the chosen type
+	 * @returns {Object|null} null (after telling the user) when something is missing
+	 */
+	collectProperties() {
+		const { nodeType } = this.drawn;
+		const nodeAddress = document.getElementById('newNodeAddress').value.trim() || '0x0';
+		if (!/^0x[0-9a-fA-F]+$/.test(nodeAddress)) {
+			this.uiManager.showAlert('Address must be a hex number such as 0x78f7c');
+			return null;
+		}
+
+		const properties = {
+			name: document.getElementById('newNodeName').value.trim() || this.getDefaultName(nodeType),
+			nodeType
+		};
+
+		if (nodeType === 'door') {
+			return Object.assign(properties, {
+				nodeSubType: document.getElementById('newNodeDoorSubType').value,
+				nodeAddress,
+				doorOrientation: document.getElementById('newNodeOrientation').value
+			});
+		}
+
+		if (nodeType === 'item') {
+			const nodeItem = document.getElementById('newNodeItem').value;
+			if (!nodeItem) {
+				this.uiManager.showAlert('Pick the item (set the working directory to load items.json)');
+				return null;
+			}
+			return Object.assign(properties, {
+				nodeSubType: document.getElementById('newNodeItemSubType').value,
+				nodeItem,
+				nodeAddress
+			});
+		}
+
+		const utility = this.getSelectedUtilities();
+		if (utility.length === 0) {
+			this.uiManager.showAlert('Pick at least one utility');
+			return null;
+		}
+		return Object.assign(properties, {
+			nodeSubType: utility[0],
+			nodeAddress,
+			utility
+		});
+	}
+
+	async createNode() {
+		if (!this.drawn || !this.state.currentRoomData) return;
+
+		const properties = this.collectProperties();
+		if (!properties) return;
+
+		const { rect, points } = this.drawn;
+		let node;
+		this.state.history.record('Draw node', () => {
+			node = points ? this.state.addTriangleNode(points, properties) : this.state.addNode(rect, properties);
+		});
+		this.closeModal();
+
+		this.uiManager.updateJsonDisplay(this.state.currentRoomData);
+		this.actions.focusNode(node.id);
+		// Door navigation and the item list show the new node
+		await this.uiManager.updateDoorButtons(this.state.currentRoomData);
+	}
+}
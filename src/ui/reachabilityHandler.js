@@ -0,0 +1,319 @@
+/**
+ * Reachability Handler - Loadout panel that shows which nodes of the current
+ * room can be reached from a start node, and through which strats
+ * (evaluation in core/logicEvaluator.js)
+ */
+const BUDGET_RESOURCES = [{
+		type: 'Missile',
+		label: 'Missiles'
+	},
+	{
+		type: 'Super',
+		label: 'Supers'
+	},
+	{
+		type: 'PowerBomb',
+		label: 'Power Bombs'
+	},
+	{
+		type: 'Ice Missile',
+		label: 'Ice Missiles'
+	},
+	{
+		type: 'Diffusion',
+		label: 'Diffusion'
+	}
+];
+
+// Energy without tanks; each Energy Tank adds 100
+const BASE_ENERGY = 99;
+
+export class ReachabilityHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.showReachability - Highlights a reachability result on the canvas (null clears it)
+	 * @param {Function} actions.solveWholeGame - Runs the cross-room solver ({nodeId, loadout, collectItems})
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+
+		// The loadout is kept across rooms
+		this.loadout = {
+			items: new Set(),
+			techs: new Set(),
+			events: new Set()
+		};
+		this.roomPath = null;
+
+		this.setupPanel();
+	}
+
+	setupPanel() {
+		const panel = document.getElementById('reachabilityPanel');
+		const btn = document.getElementById('reachabilityBtn');
+		const closeBtn = document.getElementById('reachabilityCloseBtn');
+		const clearBtn = document.getElementById('reachabilityClearBtn');
+		const startSelect = document.getElementById('reachabilityStart');
+		const filterInput = document.getElementById('reachabilityFilter');
+		const solveBtn = document.getElementById('reachabilitySolveBtn');
+
+		if (!panel || !btn || !closeBtn || !clearBtn || !startSelect || !filterInput || !solveBtn) {
+			console.error('Reachability panel elements not found');
+			return;
+		}
+
+		btn.addEventListener('click', () => this.togglePanel());
+		closeBtn.addEventListener('click', () => this.closePanel());
+		clearBtn.addEventListener('click', () => this.clearHighlight());
+		startSelect.addEventListener('change', () => this.evaluate());
+		filterInput.addEventListener('input', () => this.applyFilter(filterInput.value));
+		solveBtn.addEventListener('click', () => this.solveWholeGame());
+
+		// Recompute after edits, undo/redo and room loads so the highlight matches the room
+		this.state.history.addListener(() => this.evaluate());
+
+		document.querySelectorAll('input[name="reachabilityCosts"]').forEach(radio => {
+			radio.addEventListener('change', () => {
+				document.getElementById('reachabilityBudget').style.display =
+					this.getCostMode() === 'budget' ? 'grid' : 'none';
+				this.evaluate();
+			});
+		});
+
+		this.renderBudgetInputs();
+	}
+
+	togglePanel() {
+		const panel = document.getElementById('reachabilityPanel');
+		if (panel.style.display === 'block') {
+			this.closePanel();
+		} else {
+			this.openPanel();
+		}
+	}
+
+	openPanel() {
+		if (!this.state.currentRoomData) {
+			this.uiManager.showAlert('Load a room first!');
+			return;
+		}
+
+		document.getElementById('reachabilityPanel').style.display = 'block';
+		this.renderLoadoutLists();
+		this.evaluate();
+	}
+
+	closePanel() {
+		document.getElementById('reachabilityPanel').style.display = 'none';
+		this.clearHighlight();
+	}
+
+	clearHighlight() {
+		this.actions.showReachability(null);
+		document.getElementById('reachabilitySummary').textContent = '';
+	}
+
+	getCostMode() {
+		return document.querySelector('input[name="reachabilityCosts"]:checked')?.value || 'ignore';
+	}
+
+	renderBudgetInputs() {
+		const container = document.getElementById('reachabilityBudget');
+		container.innerHTML = '';
+
+		const addInput = (id, label, value) => {
+			const labelEl = document.createElement('label');
+			labelEl.textContent = label;
+			labelEl.htmlFor = id;
+
+			const input = document.createElement('input');
+			input.type = 'number';
+			input.min = '0';
+			input.id = id;
+			input.value = value;
+			input.style.width = '60px';
+			input.addEventListener('change', () => this.evaluate());
+
+			container.appendChild(labelEl);
+			container.appendChild(input);
+		};
+
+		addInput('reachabilityEnergyTanks', 'Energy Tanks', 0);
+		BUDGET_RESOURCES.forEach(({ type, label }) => addInput(`reachabilityBudget-${type}`, label, 0));
+	}
+
+	getBudget() {
+		if (this.getCostMode() !== 'budget') return null;
+
+		const readNumber = (id) => Math.max(0, parseInt(document.getElementById(id)?.value, 10) || 0);
+		const budget = {
+			Energy: BASE_ENERGY + 100 * readNumber('reachabilityEnergyTanks')
+		};
+		BUDGET_RESOURCES.forEach(({ type }) => {
+			budget[type] = readNumber(`reachabilityBudget-${type}`);
+		});
+		return budget;
+	}
+
+	/**
+	 * Flatten a category map of techs or helpers (extension techs included)
+	 */
+	flattenCategories(categoryMap) {
+		const entries = [];
+		const collect = (items) => {
+			for (const entry of items || []) {
+				entries.push(entry);
+				collect(entry.extensionTechs);
+			}
+		};
+		for (const category of categoryMap.values()) {
+			collect(category.items);
+		}
+		return entries;
+	}
+
+	getEventNames() {
+		// Game flags are grouped by category in items.json
+		const flags = this.state.getEventList();
+		const entries = Array.isArray(flags) ? flags : Object.values(flags).flat();
+		return entries.map(flag => typeof flag === 'string' ? flag : flag.name);
+	}
+
+	renderLoadoutLists() {
+		const lists = [{
+				id: 'reachabilityItems',
+				names: this.state.getItemList(),
+				selected: this.loadout.items
+			},
+			{
+				id: 'reachabilityTechs',
+				names: this.flattenCategories(this.state.getTechMap()).map(tech => tech.name),
+				selected: this.loadout.techs
+			},
+			{
+				id: 'reachabilityEvents',
+				names: this.getEventNames(),
+				selected: this.loadout.events
+			}
+		];
+
+		lists.forEach(({ id, names, selected }) => {
+			const container = document.getElementById(id);
+			container.innerHTML = '';
+
+			const sortedNames = [...new Set(names)].sort((a, b) => a.localeCompare(b));
+			const header = container.parentElement.querySelector('summary .count');
+			if (header) header.textContent = `(${sortedNames.length})`;
+
+			sortedNames.forEach(name => {
+				const label = document.createElement('label');
+				label.style.cssText = 'display: flex; align-items: center; gap: 4px; padding: 1px 0; cursor: pointer;';
+				label.dataset.name = name.toLowerCase();
+
+				const checkbox = document.createElement('input');
+				checkbox.type = 'checkbox';
+				checkbox.checked = selected.has(name);
+				checkbox.addEventListener('change', () => {
+					if (checkbox.checked) selected.add(name);
+					else selected.delete(name);
+					this.evaluate();
+				});
+
+				label.appendChild(checkbox);
+				label.appendChild(document.createTextNode(name));
+				container.appendChild(label);
+			});
+		});
+
+		this.applyFilter(document.getElementById('reachabilityFilter').value);
+	}
+
+	applyFilter(query) {
+		const needle = query.trim().toLowerCase();
+		document.querySelectorAll('#reachabilityPanel label[data-name]').forEach(label => {
+			label.style.display = !needle || label.dataset.name.includes(needle) ? 'flex' : 'none';
+		});
+	}
+
+	/**
+	 * Offer the room's nodes as start nodes, keeping the choice while the room stays loaded
+	 */
+	updateStartNodes() {
+		const startSelect = document.getElementById('reachabilityStart');
+		const nodes = this.state.currentRoomData?.nodes || [];
+		const roomChanged = this.roomPath !== this.state.currentRoomPath;
+		const previous = roomChanged ? null : startSelect.value;
+		this.roomPath = this.state.currentRoomPath;
+
+		startSelect.innerHTML = '';
+		nodes.forEach(node => {
+			const option = document.createElement('option');
+			option.value = node.id;
+			option.textContent = `${node.id}: ${node.name}`;
+			startSelect.appendChild(option);
+		});
+
+		if (previous !== null && nodes.some(node => String(node.id) === previous)) {
+			startSelect.value = previous;
+		} else {
+			// Default to the first door
+			const firstDoor = nodes.find(node => node.nodeType === 'door') || nodes[0];
+			if (firstDoor) startSelect.value = firstDoor.id;
+		}
+	}
+
+	getLoadout() {
+		return {
+			items: [...this.loadout.items],
+			techs: [...this.loadout.techs],
+			events: [...this.loadout.events],
+			budget: this.getBudget()
+		};
+	}
+
+	/**
+	 * Follow the loadout through every room, starting at the selected node
+	 */
+	solveWholeGame() {
+		const startNodeId = parseInt(document.getElementById('reachabilityStart').value, 10);
+		if (Number.isNaN(startNodeId)) return;
+
+		this.actions.solveWholeGame({
+			nodeId: startNodeId,
+			loadout: this.getLoadout(),
+			collectItems: document.getElementById('reachabilityCollectItems').checked
+		});
+	}
+
+	evaluate() {
+		const room = this.state.currentRoomData;
+		if (!room || document.getElementById('reachabilityPanel').style.display !== 'block') return;
+
+		this.updateStartNodes();
+		const startNodeId = parseInt(document.getElementById('reachabilityStart').value, 10);
+		if (Number.isNaN(startNodeId)) {
+			this.clearHighlight();
+			return;
+		}
+
+		const definitions = {
+			techs: this.flattenCategories(this.state.getTechMap()),
+			helpers: this.flattenCategories(this.state.getHelperMap())
+		};
+
+		// evaluateRoomReachability comes from core/logicEvaluator.js (classic script shared with the main process)
+		const result = evaluateRoomReachability(room, startNodeId, definitions, this.getLoadout());
+		this.actions.showReachability(result);
+
+		const nodeCount = (room.nodes || []).length;
+		document.getElementById('reachabilitySummary').textContent =
+			`${result.nodes.size} of ${nodeCount} node(s) reachable using ${result.strats.size} strat(s)` +
+			(result.flags.length > 0 ? `; sets ${result.flags.join(', ')}` : '');
+	}
+}
@@ -0,0 +1,200 @@
+/**
+ * Rename Handler - Renames a tech, helper, item or game flag across the whole
+ * working directory after previewing the change of every file
+ */
+const KIND_LABELS = {
+	tech: 'tech',
+	helper: 'helper',
+	item: 'item',
+	event: 'game flag'
+};
+
+// Data caches to reload once a definition file has been rewritten
+const DEFINITION_RELOADERS = {
+	'tech.json': state => state.initTech(),
+	'helpers.json': state => state.initHelpers(),
+	'items.json': state => state.initItemAndEventsDatabase()
+};
+
+export class RenameHandler {
+	constructor(state, roomManager, uiManager) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.target = null; // {kind, oldName}
+		this.plan = null; // {newName, files}
+
+		this.setupModal();
+	}
+
+	setupModal() {
+		const modal = document.getElementById('renameModal');
+		const nameInput = document.getElementById('renameNewName');
+		const previewBtn = document.getElementById('renamePreviewBtn');
+		const applyBtn = document.getElementById('renameApplyBtn');
+		const cancelBtn = document.getElementById('renameCancelBtn');
+
+		if (!modal || !nameInput || !previewBtn || !applyBtn || !cancelBtn) {
+			console.error('Rename modal elements not found');
+			return;
+		}
+
+		previewBtn.addEventListener('click', () => this.preview());
+		applyBtn.addEventListener('click', () => this.apply());
+		cancelBtn.addEventListener('click', () => this.closeModal());
+
+		// A different name invalidates the preview
+		nameInput.addEventListener('input', () => this.setPlan(null));
+
+		nameInput.addEventListener('keydown', (e) => {
+			if (e.key === 'Enter') {
+				e.preventDefault();
+				this.preview();
+			} else if (e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+			// Don't propagate keys to prevent shortcuts
+			e.stopPropagation();
+		});
+
+		document.addEventListener('keydown', (e) => {
+			if (modal.style.display === 'flex' && e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+		});
+	}
+
+	/**
+	 * Open the rename modal for an identifier
+	 * @param {string} kind - tech, helper, item or event
+	 * @param {string} oldName
+	 */
+	async start(kind, oldName) {
+		if (!this.state.workingDir) {
+			this.uiManager.showAlert('Set working directory first!');
+			return;
+		}
+		// The current room may be rewritten, so settle its unsaved edits first
+		if (!await this.roomManager.confirmDiscardChanges()) return;
+
+		this.target = { kind, oldName };
+		this.setPlan(null);
+
+		document.getElementById('renameTitle').textContent = `Rename ${KIND_LABELS[kind]} "${oldName}"`;
+		const nameInput = document.getElementById('renameNewName');
+		nameInput.value = oldName;
+		document.getElementById('renameModal').style.display = 'flex';
+		nameInput.focus();
+		nameInput.select();
+	}
+
+	closeModal() {
+		const modal = document.getElementById('renameModal');
+		if (modal) {
+			modal.style.display = 'none';
+		}
+		this.target = null;
+		this.setPlan(null);
+	}
+
+	setPlan(plan) {
+		this.plan = plan;
+		document.getElementById('renameApplyBtn').disabled = !plan || plan.files.length === 0;
+		if (!plan) {
+			document.getElementById('renameSummary').textContent = '';
+			document.getElementById('renameDiff').innerHTML = '';
+		}
+	}
+
+	async preview() {
+		if (!this.target) return;
+		const newName = document.getElementById('renameNewName').value;
+		const summary = document.getElementById('renameSummary');
+
+		this.setPlan(null);
+		summary.textContent = 'Scanning working directory...';
+
+		let result;
+		try {
+			result = await window.api.planRename(this.state.workingDir, this.state.getAreaCodes(), {
+				kind: this.target.kind,
+				oldName: this.target.oldName,
+				newName
+			});
+		} catch (err) {
+			console.error('Rename preview failed:', err);
+			summary.textContent = `Preview failed: ${err.message}`;
+			return;
+		}
+
+		if (result.error) {
+			summary.textContent = result.error;
+			return;
+		}
+
+		this.setPlan({ newName, files: result.files });
+		const total = result.files.reduce((sum, file) => sum + file.count, 0);
+		summary.textContent = `${total} change(s) in ${result.files.length} file(s)`;
+		this.renderDiff(result.files);
+	}
+
+	renderDiff(files) {
+		const container = document.getElementById('renameDiff');
+		container.innerHTML = '';
+
+		files.forEach(file => {
+			const header = document.createElement('div');
+			header.style.cssText = 'padding: 6px 12px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold; font-family: sans-serif; font-size: 13px; position: sticky; top: 0;';
+			header.textContent = `${file.file} (${file.count})`;
+			container.appendChild(header);
+
+			file.hunks.forEach(hunk => {
+				const hunkHeader = document.createElement('div');
+				hunkHeader.style.cssText = 'padding: 2px 12px; color: #888; background: #f8f8ff;';
+				hunkHeader.textContent = `@@ line ${hunk.line} @@`;
+				container.appendChild(hunkHeader);
+
+				hunk.lines.forEach(line => {
+					const row = document.createElement('div');
+					row.style.cssText = 'padding: 0 12px; white-space: pre;';
+					if (line.type === '-') row.style.background = '#ffebe9';
+					if (line.type === '+') row.style.background = '#e6ffec';
+					row.textContent = `${line.type} ${line.text}`;
+					container.appendChild(row);
+				});
+			});
+		});
+	}
+
+	async apply() {
+		if (!this.plan || !this.target) return;
+		const { oldName } = this.target;
+		const { newName, files } = this.plan;
+		this.closeModal();
+
+		const failed = [];
+		for (const file of files) {
+			const saved = await window.api.saveJson(`${this.state.workingDir}/${file.file}`, file.data);
+			if (!saved) failed.push(file.file);
+		}
+
+		// Our own writes are not reported by the working directory watcher
+		const written = files.map(file => file.file).filter(file => !failed.includes(file));
+		for (const [file, reload] of Object.entries(DEFINITION_RELOADERS)) {
+			if (written.includes(file)) await reload(this.state);
+		}
+		const currentRoom = this.state.currentRoomPath &&
+			this.state.currentRoomPath.slice(this.state.workingDir.length + 1).replace(/\\/g, '/');
+		if (currentRoom && written.includes(currentRoom)) {
+			await this.roomManager.loadRoomFile(this.state.currentRoomPath);
+		}
+
+		if (failed.length > 0) {
+			this.uiManager.showAlert(`Renamed "${oldName}" to "${newName}", but these files could not be written: ${failed.join(', ')}`);
+		} else {
+			this.uiManager.showAlert(`Renamed "${oldName}" to "${newName}" in ${files.length} file(s)`);
+		}
+	}
+}
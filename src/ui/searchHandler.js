@@ -0,0 +1,209 @@
+/**
+ * Search Handler - Full-text search over strats, nodes, notables, enemy groups
+ * and room addresses of every room in the working directory
+ */
+const TYPE_LABELS = {
+	room: 'Room',
+	strat: 'Strat',
+	node: 'Node',
+	notable: 'Notable',
+	enemy: 'Enemy group'
+};
+
+const MIN_QUERY_LENGTH = 2;
+
+export class SearchHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.focusNode - Selects a node of the current room on the canvas
+	 * @param {Function} actions.focusStrat - Highlights a strat of the current room on the canvas
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+		this.searchTimeout = null;
+		this.searchId = 0; // Ignores results of searches superseded while running
+
+		this.setupModal();
+		this.setupKeyboardShortcut();
+	}
+
+	setupModal() {
+		const modal = document.getElementById('searchModal');
+		const btn = document.getElementById('searchBtn');
+		const cancelBtn = document.getElementById('searchCancelBtn');
+		const searchInput = document.getElementById('searchInput');
+
+		if (!modal || !btn || !cancelBtn || !searchInput) {
+			console.error('Search modal elements not found');
+			return;
+		}
+
+		btn.addEventListener('click', () => this.openModal());
+		cancelBtn.addEventListener('click', () => this.closeModal());
+
+		// Close on background click
+		modal.addEventListener('click', (e) => {
+			if (e.target === modal) {
+				this.closeModal();
+			}
+		});
+
+		// Every room file is read, so wait for a pause in typing
+		searchInput.addEventListener('input', () => {
+			clearTimeout(this.searchTimeout);
+			this.searchTimeout = setTimeout(() => this.search(searchInput.value), 300);
+		});
+
+		searchInput.addEventListener('keydown', (e) => {
+			if (e.key === 'Enter') {
+				e.preventDefault();
+				const firstResult = document.querySelector('#searchResults .room-list-item');
+				if (firstResult) {
+					firstResult.click();
+				}
+			} else if (e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+			// Don't propagate keys to prevent shortcuts
+			e.stopPropagation();
+		});
+	}
+
+	setupKeyboardShortcut() {
+		document.addEventListener('keydown', (e) => {
+			const modal = document.getElementById('searchModal');
+			if (modal && modal.style.display === 'flex') {
+				if (e.key === 'Escape') {
+					e.preventDefault();
+					this.closeModal();
+				}
+				return;
+			}
+
+			// Ctrl+F to open modal
+			if (e.ctrlKey && !e.shiftKey && e.key.toLowerCase() === 'f') {
+				e.preventDefault();
+				this.openModal();
+			}
+		});
+	}
+
+	openModal() {
+		if (!this.state.workingDir) {
+			this.uiManager.showAlert('Set working directory first!');
+			return;
+		}
+
+		const modal = document.getElementById('searchModal');
+		const searchInput = document.getElementById('searchInput');
+		if (!modal || !searchInput) return;
+
+		// Keep the previous query and results so the user can step through them
+		modal.style.display = 'flex';
+		searchInput.focus();
+		searchInput.select();
+	}
+
+	closeModal() {
+		const modal = document.getElementById('searchModal');
+		if (modal) {
+			modal.style.display = 'none';
+		}
+	}
+
+	async search(query) {
+		const resultList = document.getElementById('searchResults');
+		const summary = document.getElementById('searchSummary');
+		const searchId = ++this.searchId;
+		query = query.trim();
+
+		if (query.length < MIN_QUERY_LENGTH) {
+			resultList.innerHTML = '';
+			summary.textContent = '';
+			return;
+		}
+
+		summary.textContent = 'Searching...';
+
+		let result;
+		try {
+			result = await window.api.searchWorkspace(this.state.workingDir, this.state.getAreaCodes(), query);
+		} catch (err) {
+			console.error('Search failed:', err);
+			summary.textContent = `Search failed: ${err.message}`;
+			return;
+		}
+		if (searchId !== this.searchId) return;
+
+		this.renderResults(result);
+	}
+
+	renderResults({ rooms, truncated }) {
+		const resultList = document.getElementById('searchResults');
+		const summary = document.getElementById('searchSummary');
+		resultList.innerHTML = '';
+
+		const total = rooms.reduce((sum, room) => sum + room.matches.length, 0);
+		summary.textContent = `${total} match(es) in ${rooms.length} room(s)` +
+			(truncated ? ' — showing the first results only, refine your search' : '');
+
+		if (rooms.length === 0) {
+			resultList.innerHTML = '<div style="padding: 20px; text-align: center; color: #999;">No matches found</div>';
+			return;
+		}
+
+		rooms
+			.sort((a, b) => a.roomName.localeCompare(b.roomName))
+			.forEach(room => {
+				const header = document.createElement('div');
+				header.style.cssText = 'padding: 6px 12px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 13px;';
+				header.textContent = `${room.roomName} (${room.area} / ${room.subarea})`;
+				resultList.appendChild(header);
+
+				room.matches.forEach(match => {
+					const item = document.createElement('div');
+					item.className = 'room-list-item';
+
+					const nameDiv = document.createElement('div');
+					nameDiv.className = 'room-name';
+					nameDiv.textContent = match.type === 'room' ?
+						`${TYPE_LABELS.room} ${match.field}` :
+						`${TYPE_LABELS[match.type]} ${match.id ?? match.index}: ${match.name || '(unnamed)'} — ${match.field}`;
+
+					const metaDiv = document.createElement('div');
+					metaDiv.className = 'room-meta';
+					metaDiv.textContent = match.snippet;
+
+					item.appendChild(nameDiv);
+					item.appendChild(metaDiv);
+
+					item.addEventListener('click', () => this.openMatch(room, match));
+					resultList.appendChild(item);
+				});
+			});
+	}
+
+	/**
+	 * Load the room of a match and highlight the node or strat it was found in
+	 */
+	async openMatch(room, match) {
+		this.closeModal();
+
+		const roomName = room.fileName.replace(/\.json$/, '');
+		const data = await this.roomManager.loadRoom(room.area, room.subarea, roomName);
+		if (!data) return;
+
+		if (match.type === 'node') {
+			this.actions.focusNode(match.id);
+		} else if (match.type === 'strat') {
+			this.actions.focusStrat(match.index);
+		}
+	}
+}
@@ -0,0 +1,181 @@
+/**
+ * Solver Handler - Runs the whole-game reachability solver (core/logicSolver.js)
+ * and reports the item nodes that can't be reached
+ */
+export class SolverHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.focusNode - Selects a node of the current room on the canvas
+	 * @param {Function} actions.showOnMap - Opens the area map with the report as an overlay
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+		this.report = null;
+
+		this.setupModal();
+	}
+
+	setupModal() {
+		const modal = document.getElementById('solverModal');
+		const mapBtn = document.getElementById('solverMapBtn');
+		const cancelBtn = document.getElementById('solverCancelBtn');
+
+		if (!modal || !mapBtn || !cancelBtn) {
+			console.error('Solver modal elements not found');
+			return;
+		}
+
+		mapBtn.addEventListener('click', () => {
+			if (!this.report) return;
+			this.closeModal();
+			this.actions.showOnMap(this.report);
+		});
+		cancelBtn.addEventListener('click', () => this.closeModal());
+
+		// Close on background click
+		modal.addEventListener('click', (e) => {
+			if (e.target === modal) {
+				this.closeModal();
+			}
+		});
+
+		document.addEventListener('keydown', (e) => {
+			if (modal.style.display === 'flex' && e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+		});
+	}
+
+	closeModal() {
+		const modal = document.getElementById('solverModal');
+		if (modal) {
+			modal.style.display = 'none';
+		}
+	}
+
+	/**
+	 * Solve from a node of the current room and show the report
+	 * @param {Object} options
+	 * @param {number} options.nodeId - Start node in the current room
+	 * @param {Object} options.loadout - Items, techs, events and budget
+	 * @param {boolean} options.collectItems - Collect the nodeItem of reached item nodes
+	 */
+	async run({ nodeId, loadout, collectItems }) {
+		if (!this.state.workingDir || !this.state.currentRoomData) {
+			this.uiManager.showAlert('Load a room first!');
+			return;
+		}
+
+		const summary = document.getElementById('solverSummary');
+		const resultList = document.getElementById('solverResults');
+		document.getElementById('solverModal').style.display = 'flex';
+		document.getElementById('solverMapBtn').disabled = true;
+		resultList.innerHTML = '';
+		summary.textContent = 'Solving... (every room file is read, the current room as edited)';
+
+		try {
+			this.report = await window.api.solveReachability(this.state.workingDir, this.state.getAreaCodes(), {
+				room: {
+					path: this.state.currentRoomPath,
+					data: this.state.currentRoomData
+				},
+				roomId: this.state.currentRoomData.id,
+				nodeId,
+				loadout,
+				collectItems
+			});
+		} catch (err) {
+			console.error('Solver failed:', err);
+			summary.textContent = `Solver failed: ${err.message}`;
+			return;
+		}
+
+		document.getElementById('solverMapBtn').disabled = false;
+		this.renderReport(this.report);
+	}
+
+	renderReport(report) {
+		const summary = document.getElementById('solverSummary');
+		const resultList = document.getElementById('solverResults');
+		resultList.innerHTML = '';
+
+		const unreachableRooms = report.rooms.filter(room => room.unreachableItems.length > 0);
+		const unreachableCount = unreachableRooms.reduce((sum, room) => sum + room.unreachableItems.length, 0);
+		summary.textContent =
+			`From ${report.start.roomName} node ${report.start.nodeId}: ` +
+			`${report.reachedNodes} of ${report.totalNodes} node(s) in ${report.reachedRooms} of ${report.rooms.length} room(s) reachable, ` +
+			`${unreachableCount} unreachable item node(s) (${report.rounds} round(s))` +
+			(report.connectionErrors.length > 0 ? ` — ${report.connectionErrors.length} connection file(s) could not be read` : '');
+
+		const addSection = (title, values) => {
+			if (values.length === 0) return;
+			const header = document.createElement('div');
+			header.style.cssText = 'padding: 6px 12px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 13px;';
+			header.textContent = title;
+			resultList.appendChild(header);
+
+			const body = document.createElement('div');
+			body.className = 'room-meta';
+			body.style.padding = '6px 12px';
+			body.textContent = values.join(', ');
+			resultList.appendChild(body);
+		};
+		addSection(`Unreadable connection files, ignored (${report.connectionErrors.length})`,
+			report.connectionErrors.map(({ file, error }) => `${file}: ${error}`));
+		addSection(`Flags set (${report.flags.length})`, report.flags);
+		addSection(`Items collected (${report.collectedItems.length})`, report.collectedItems);
+
+		if (unreachableRooms.length === 0) {
+			resultList.insertAdjacentHTML('afterbegin', '<div style="padding: 20px; text-align: center; color: #999;">Every item node is reachable</div>');
+			return;
+		}
+
+		unreachableRooms
+			.sort((a, b) => a.name.localeCompare(b.name))
+			.forEach(room => {
+				const header = document.createElement('div');
+				header.style.cssText = 'padding: 6px 12px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 13px;';
+				header.textContent = `${room.name} (${room.area} / ${room.subarea}) — ${room.reachedNodes}/${room.totalNodes} node(s) reachable`;
+				resultList.appendChild(header);
+
+				room.unreachableItems.forEach(node => {
+					const item = document.createElement('div');
+					item.className = 'room-list-item';
+
+					const nameDiv = document.createElement('div');
+					nameDiv.className = 'room-name';
+					nameDiv.textContent = `📦 Node ${node.id}: ${node.name || '(unnamed)'}`;
+					item.appendChild(nameDiv);
+
+					if (node.nodeItem) {
+						const metaDiv = document.createElement('div');
+						metaDiv.className = 'room-meta';
+						metaDiv.textContent = node.nodeItem;
+						item.appendChild(metaDiv);
+					}
+
+					item.addEventListener('click', () => this.openNode(room, node.id));
+					resultList.appendChild(item);
+				});
+			});
+	}
+
+	/**
+	 * Load the room of an unreachable item and select its node
+	 */
+	async openNode(room, nodeId) {
+		this.closeModal();
+
+		const data = await this.roomManager.loadRoom(room.area, room.subarea, room.fileName.replace(/\.json$/, ''));
+		if (data) {
+			this.actions.focusNode(nodeId);
+		}
+	}
+}
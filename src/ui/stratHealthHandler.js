@@ -0,0 +1,118 @@
+/**
+ * Strat Health Handler - Panel listing the strat graph problems of the current
+ * room (core/stratGraphHealth.js); clicking one selects its node or strat
+ */
+import {
+	analyzeStratGraph,
+	HEALTH_ISSUE_LABELS
+} from '../core/stratGraphHealth.js';
+
+export class StratHealthHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.focusNode - Selects a node of the current room on the canvas
+	 * @param {Function} actions.focusStrat - Emphasizes a strat of the current room on the canvas
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+
+		this.setupPanel();
+	}
+
+	setupPanel() {
+		const panel = document.getElementById('stratHealthPanel');
+		const btn = document.getElementById('stratHealthBtn');
+		const closeBtn = document.getElementById('stratHealthCloseBtn');
+
+		if (!panel || !btn || !closeBtn) {
+			console.error('Strat health panel elements not found');
+			return;
+		}
+
+		btn.addEventListener('click', () => this.togglePanel());
+		closeBtn.addEventListener('click', () => this.closePanel());
+
+		// Every edit and room load goes through the history
+		this.state.history.addListener(() => this.refresh());
+	}
+
+	togglePanel() {
+		const panel = document.getElementById('stratHealthPanel');
+		if (panel.style.display === 'block') {
+			this.closePanel();
+		} else {
+			this.openPanel();
+		}
+	}
+
+	openPanel() {
+		if (!this.state.currentRoomData) {
+			this.uiManager.showAlert('Load a room first!');
+			return;
+		}
+
+		document.getElementById('stratHealthPanel').style.display = 'block';
+		this.refresh();
+	}
+
+	closePanel() {
+		document.getElementById('stratHealthPanel').style.display = 'none';
+	}
+
+	refresh() {
+		const room = this.state.currentRoomData;
+		if (!room || document.getElementById('stratHealthPanel').style.display !== 'block') return;
+
+		const issues = analyzeStratGraph(this.state.nodes, room.strats);
+		const summary = document.getElementById('stratHealthSummary');
+		const resultList = document.getElementById('stratHealthResults');
+		resultList.innerHTML = '';
+
+		summary.textContent = `${room.name || 'Room'}: ${issues.length} issue(s)`;
+		if (issues.length === 0) {
+			resultList.innerHTML = '<div style="padding: 20px; text-align: center; color: #999;">No problems found</div>';
+			return;
+		}
+
+		Object.entries(HEALTH_ISSUE_LABELS).forEach(([kind, label]) => {
+			const kindIssues = issues.filter(issue => issue.kind === kind);
+			if (kindIssues.length === 0) return;
+
+			const header = document.createElement('div');
+			header.style.cssText = 'padding: 6px 12px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 13px;';
+			header.textContent = `⚠️ ${label} (${kindIssues.length})`;
+			resultList.appendChild(header);
+
+			kindIssues.forEach(issue => {
+				const item = document.createElement('div');
+				item.className = 'room-list-item';
+
+				const nameDiv = document.createElement('div');
+				nameDiv.className = 'room-name';
+				nameDiv.style.fontSize = '12px';
+				nameDiv.textContent = issue.message;
+				item.appendChild(nameDiv);
+
+				item.addEventListener('click', () => this.openIssue(issue));
+				resultList.appendChild(item);
+			});
+		});
+	}
+
+	/**
+	 * Show the strat of an issue, or its node when it is about a node
+	 */
+	openIssue(issue) {
+		if (issue.stratIndex !== null) {
+			this.actions.focusStrat(issue.stratIndex);
+		} else if (issue.nodeId !== null) {
+			this.actions.focusNode(issue.nodeId);
+		}
+	}
+}
@@ -0,0 +1,211 @@
+/**
+ * Strat Inspector Handler - Side panel listing every strat between the two
+ * selected nodes, in both directions, with their requirements, entrance/exit
+ * conditions and arrow colour
+ */
+import {
+	STRAT_COLOR_CATEGORIES,
+	BASE_STRAT_COLORS
+} from './canvasRenderer.js';
+
+// formatRequirement comes from core/requirementWalker.js (classic script shared with the main process)
+
+export class StratInspectorHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.focusStrat - Emphasizes a strat of the current room on the canvas
+	 * @param {Function} actions.openRoomProperties - Opens Room Properties focused on an entry
+	 * @param {Function} actions.getStratCategory - Colour category of a strat, as drawn on the canvas
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+		this.pairKey = null; // "a,b" of the node pair shown
+		this.dismissedPairKey = null; // Pair whose panel was closed by hand
+
+		this.setupPanel();
+	}
+
+	setupPanel() {
+		const panel = document.getElementById('stratInspectorPanel');
+		const closeBtn = document.getElementById('stratInspectorCloseBtn');
+
+		if (!panel || !closeBtn) {
+			console.error('Strat inspector panel elements not found');
+			return;
+		}
+
+		closeBtn.addEventListener('click', () => {
+			this.dismissedPairKey = this.pairKey;
+			this.closePanel();
+		});
+
+		document.addEventListener('selectionChanged', () => this.refresh());
+		// Strats added, edited or brought back by undo show up without reselecting
+		this.state.history.addListener(() => this.refresh());
+	}
+
+	closePanel() {
+		document.getElementById('stratInspectorPanel').style.display = 'none';
+		this.pairKey = null;
+	}
+
+	/**
+	 * Show the panel while exactly two nodes are selected
+	 */
+	refresh() {
+		const room = this.state.currentRoomData;
+		// Selected enemy groups and obstacles don't have strats
+		const selected = this.state.selectedNodes.filter(n => this.state.nodes.includes(n));
+		if (!room || selected.length !== 2) {
+			this.dismissedPairKey = null;
+			this.closePanel();
+			return;
+		}
+
+		const [first, second] = selected;
+		const pairKey = [first.id, second.id].sort((a, b) => a - b).join(',');
+		if (pairKey === this.dismissedPairKey) return;
+
+		this.pairKey = pairKey;
+		document.getElementById('stratInspectorPanel').style.display = 'block';
+
+		const strats = (room.strats || []).map((strat, index) => ({ strat, index }));
+		const between = (from, to) => strats.filter(({ strat }) =>
+			Array.isArray(strat.link) && strat.link[0] === from.id && strat.link[1] === to.id
+		);
+		const forward = between(first, second);
+		const backward = between(second, first);
+
+		document.getElementById('stratInspectorSummary').textContent =
+			`${this.describeNode(first)} ⇄ ${this.describeNode(second)}: ${forward.length + backward.length} strat(s)`;
+
+		const resultList = document.getElementById('stratInspectorResults');
+		resultList.innerHTML = '';
+		this.renderDirection(resultList, first, second, forward);
+		this.renderDirection(resultList, second, first, backward);
+	}
+
+	describeNode(node) {
+		return `[Node ${node.id}] ${node.name || '(unnamed)'}`;
+	}
+
+	renderDirection(container, from, to, entries) {
+		const header = document.createElement('div');
+		header.style.cssText = 'padding: 6px 12px; background: #f0f0f0; border-bottom: 1px solid #ddd; font-weight: bold; font-size: 13px;';
+		header.textContent = `${from.id} → ${to.id} (${entries.length})`;
+		header.title = `${this.describeNode(from)} → ${this.describeNode(to)}`;
+		container.appendChild(header);
+
+		if (entries.length === 0) {
+			const empty = document.createElement('div');
+			empty.style.cssText = 'padding: 8px 12px; color: #999;';
+			empty.textContent = 'No strats';
+			container.appendChild(empty);
+			return;
+		}
+
+		entries.forEach(({ strat, index }) => container.appendChild(this.createEntry(strat, index)));
+	}
+
+	createEntry(strat, index) {
+		const item = document.createElement('div');
+		item.className = 'room-list-item';
+		item.style.cursor = 'default';
+
+		const nameDiv = document.createElement('div');
+		nameDiv.className = 'room-name';
+		nameDiv.style.cssText = 'display: flex; gap: 6px; align-items: center; font-size: 12px;';
+		const { label, color } = this.getCategory(strat);
+		const swatch = document.createElement('span');
+		swatch.style.cssText = `display: inline-block; flex-shrink: 0; width: 14px; height: 10px; border: 1px solid #999; border-radius: 2px; background: ${color};`;
+		swatch.title = label;
+		nameDiv.appendChild(swatch);
+		nameDiv.appendChild(document.createTextNode(`(id: ${index + 1}) ${strat.name || '(unnamed)'}`));
+		item.appendChild(nameDiv);
+
+		const requiresDiv = document.createElement('div');
+		requiresDiv.style.cssText = 'margin: 4px 0; font-family: monospace; font-size: 11px; white-space: pre-wrap; word-break: break-word;';
+		requiresDiv.textContent = formatRequirement(strat.requires);
+		item.appendChild(requiresDiv);
+
+		const metaDiv = document.createElement('div');
+		metaDiv.className = 'room-meta';
+		metaDiv.textContent = [
+			`Colour: ${label}`,
+			`Entrance: ${this.describeCondition(strat.entranceCondition)}`,
+			`Exit: ${this.describeCondition(strat.exitCondition)}`
+		].join(' · ');
+		item.appendChild(metaDiv);
+
+		const buttons = document.createElement('div');
+		buttons.style.cssText = 'margin-top: 6px; display: flex; gap: 6px;';
+		buttons.appendChild(this.createButton('✏️ Edit', () => this.actions.openRoomProperties({
+			type: 'strats',
+			index
+		})));
+		buttons.appendChild(this.createButton('📋 Duplicate', () => this.duplicateStrat(index)));
+		buttons.appendChild(this.createButton('🎯 Show', () => this.actions.focusStrat(index)));
+		item.appendChild(buttons);
+
+		return item;
+	}
+
+	createButton(text, onClick) {
+		const button = document.createElement('button');
+		button.style.cssText = 'padding: 2px 8px; font-size: 11px;';
+		button.textContent = text;
+		button.addEventListener('click', onClick);
+		return button;
+	}
+
+	/**
+	 * Entrance/exit conditions are keyed by their type, e.g. {comeInNormally: {}}
+	 */
+	describeCondition(condition) {
+		if (!condition || typeof condition !== 'object') return 'none';
+		const types = Object.keys(condition);
+		return types.length > 0 ? types.join(', ') : 'none';
+	}
+
+	getCategory(strat) {
+		const key = this.actions.getStratCategory(strat);
+		if (key === 'base') return { label: 'Base', color: BASE_STRAT_COLORS.base };
+		const { label, colors } = STRAT_COLOR_CATEGORIES.find(category => category.key === key);
+		return { label, color: colors.base };
+	}
+
+	/**
+	 * Append a copy of a strat to the room and show it
+	 * @param {number} stratIndex - 0-based index into the room's strats
+	 */
+	duplicateStrat(stratIndex) {
+		const room = this.state.currentRoomData;
+		const strats = room?.strats || [];
+		if (!strats[stratIndex]) return;
+
+		// Deep copy so the two strats don't share nested conditions
+		const copy = JSON.parse(JSON.stringify(strats[stratIndex]));
+		copy.name = `${copy.name || 'Strat'} (copy)`;
+		// The copy never shares the original's id
+		const id = this.state.getNextStratId();
+		if (id !== undefined) {
+			copy.id = id;
+		} else {
+			delete copy.id;
+		}
+
+		const copyIndex = strats.length;
+		this.state.history.record('Duplicate strat', () => {
+			room.strats = [...strats, copy];
+		});
+
+		this.uiManager.updateJsonDisplay(room);
+		this.actions.focusStrat(copyIndex);
+	}
+}
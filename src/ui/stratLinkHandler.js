@@ -0,0 +1,162 @@
+/**
+ * Strat Link Handler - Creates the strat for a link dragged between two nodes
+ * in link mode, optionally from a strat preset
+ */
+export class StratLinkHandler {
+	/**
+	 * @param {Object} state
+	 * @param {Object} roomManager
+	 * @param {Object} uiManager
+	 * @param {Object} actions
+	 * @param {Function} actions.focusStrat - Emphasizes a strat of the current room on the canvas
+	 * @param {Function} actions.openRoomProperties - Opens Room Properties focused on an entry
+	 */
+	constructor(state, roomManager, uiManager, actions) {
+		this.state = state;
+		this.roomManager = roomManager;
+		this.uiManager = uiManager;
+		this.actions = actions;
+		this.link = null; // {from, to} nodes
+
+		this.setupModal();
+	}
+
+	setupModal() {
+		const modal = document.getElementById('stratLinkModal');
+		const nameInput = document.getElementById('stratLinkName');
+		const presetSelect = document.getElementById('stratLinkPreset');
+		const createBtn = document.getElementById('stratLinkCreateBtn');
+		const editBtn = document.getElementById('stratLinkEditBtn');
+		const cancelBtn = document.getElementById('stratLinkCancelBtn');
+
+		if (!modal || !nameInput || !presetSelect || !createBtn || !editBtn || !cancelBtn) {
+			console.error('Strat link modal elements not found');
+			return;
+		}
+
+		document.addEventListener('nodesLinked', (e) => this.openModal(e.detail.from, e.detail.to));
+
+		createBtn.addEventListener('click', () => this.createStrat(false));
+		editBtn.addEventListener('click', () => this.createStrat(true));
+		cancelBtn.addEventListener('click', () => this.closeModal());
+
+		// Name follows the preset until it is typed over
+		presetSelect.addEventListener('change', () => {
+			const preset = this.getSelectedPreset();
+			nameInput.placeholder = preset ? preset.name : 'Base';
+		});
+
+		nameInput.addEventListener('keydown', (e) => {
+			if (e.key === 'Enter') {
+				e.preventDefault();
+				this.createStrat(false);
+			} else if (e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+			// Don't propagate keys to prevent shortcuts
+			e.stopPropagation();
+		});
+
+		document.addEventListener('keydown', (e) => {
+			if (modal.style.display === 'flex' && e.key === 'Escape') {
+				e.preventDefault();
+				this.closeModal();
+			}
+		});
+
+		modal.addEventListener('click', (e) => {
+			if (e.target === modal) {
+				this.closeModal();
+			}
+		});
+	}
+
+	/**
+	 * Ask how to fill in the strat from one node to another
+	 * @param {Object} fromNode
+	 * @param {Object} toNode
+	 */
+	openModal(fromNode, toNode) {
+		if (!this.state.currentRoomData) return;
+		this.link = { from: fromNode, to: toNode };
+
+		const describe = node => `${node.id}: ${node.name || '(unnamed)'}`;
+		document.getElementById('stratLinkSummary').textContent = `${describe(fromNode)} → ${describe(toNode)}`;
+
+		const presetSelect = document.getElementById('stratLinkPreset');
+		presetSelect.innerHTML = '<option value="">(none)</option>';
+		this.state.getStratPresets().forEach((preset, index) => {
+			const option = document.createElement('option');
+			option.value = index;
+			option.textContent = preset.name;
+			presetSelect.appendChild(option);
+		});
+
+		const nameInput = document.getElementById('stratLinkName');
+		nameInput.value = '';
+		nameInput.placeholder = 'Base';
+
+		document.getElementById('stratLinkModal').style.display = 'flex';
+		nameInput.focus();
+	}
+
+	closeModal() {
+		const modal = document.getElementById('stratLinkModal');
+		if (modal) {
+			modal.style.display = 'none';
+		}
+		this.link = null;
+	}
+
+	getSelectedPreset() {
+		const value = document.getElementById('stratLinkPreset').value;
+		return value === '' ? null : this.state.getStratPresets()[Number(value)];
+	}
+
+	/**
+	 * Add the strat to the current room
+	 * @param {boolean} openEditor - Continue in Room Properties on the new strat
+	 */
+	createStrat(openEditor) {
+		if (!this.link || !this.state.currentRoomData) return;
+
+		const preset = this.getSelectedPreset();
+		// Deep copy so we don't mutate the preset itself
+		const presetData = preset ? JSON.parse(JSON.stringify(preset.data)) : {};
+		delete presetData.id;
+		delete presetData.link;
+
+		const name = document.getElementById('stratLinkName').value.trim() || presetData.name || preset?.name || 'Base';
+		const room = this.state.currentRoomData;
+		const strats = room.strats || [];
+
+		const strat = {};
+		const id = this.state.getNextStratId();
+		if (id !== undefined) {
+			strat.id = id;
+		}
+		strat.link = [this.link.from.id, this.link.to.id];
+		Object.assign(strat, {
+			requires: []
+		}, presetData, {
+			name
+		});
+
+		const stratIndex = strats.length;
+		this.state.history.record('Add strat', () => {
+			room.strats = [...strats, strat];
+		});
+		this.closeModal();
+
+		this.uiManager.updateJsonDisplay(room);
+		this.actions.focusStrat(stratIndex);
+
+		if (openEditor) {
+			this.actions.openRoomProperties({
+				type: 'strats',
+				index: stratIndex
+			});
+		}
+	}
+}
@@ -0,0 +1,253 @@
+/**
+ * SVG Context - Records the subset of CanvasRenderingContext2D calls that
+ * CanvasRenderer makes and turns them into SVG elements, so the canvas drawing
+ * code can also produce vector exports
+ */
+const STATE_KEYS = ['fillStyle', 'strokeStyle', 'lineWidth', 'font', 'textAlign', 'textBaseline', 'globalAlpha', 'imageSmoothingEnabled'];
+
+const TEXT_ANCHORS = {
+	start: 'start',
+	left: 'start',
+	center: 'middle',
+	end: 'end',
+	right: 'end'
+};
+
+const TEXT_BASELINES = {
+	top: 'hanging',
+	hanging: 'hanging',
+	middle: 'central',
+	alphabetic: 'alphabetic',
+	ideographic: 'ideographic',
+	bottom: 'text-after-edge'
+};
+
+function formatNumber(value) {
+	return Number(value.toFixed(2));
+}
+
+function escapeXml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * Split a canvas colour into an SVG colour and opacity; rgba() isn't
+ * understood by every SVG viewer
+ */
+function splitColor(color) {
+	const match = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/.exec(String(color));
+	if (!match) return { color, opacity: 1 };
+	return {
+		color: `rgb(${match[1]}, ${match[2]}, ${match[3]})`,
+		opacity: match[4] === undefined ? 1 : Number(match[4])
+	};
+}
+
+export class SvgContext {
+	constructor(width, height) {
+		this.width = width;
+		this.height = height;
+		this.elements = [];
+
+		this.fillStyle = '#000';
+		this.strokeStyle = '#000';
+		this.lineWidth = 1;
+		this.font = '10px sans-serif';
+		this.textAlign = 'start';
+		this.textBaseline = 'alphabetic';
+		this.globalAlpha = 1;
+		this.imageSmoothingEnabled = true;
+		this.transform = [1, 0, 0, 1, 0, 0];
+		this.lineDash = [];
+		this.stack = [];
+		this.path = '';
+
+		// Text is measured the same way the canvas would
+		this.measureContext = document.createElement('canvas').getContext('2d');
+		this.imageUrls = new Map();
+	}
+
+	save() {
+		const saved = {
+			transform: [...this.transform],
+			lineDash: [...this.lineDash]
+		};
+		STATE_KEYS.forEach(key => saved[key] = this[key]);
+		this.stack.push(saved);
+	}
+
+	restore() {
+		const saved = this.stack.pop();
+		if (saved) Object.assign(this, saved);
+	}
+
+	setTransform(a, b, c, d, e, f) {
+		this.transform = [a, b, c, d, e, f];
+	}
+
+	scale(x, y) {
+		const [a, b, c, d, e, f] = this.transform;
+		this.transform = [a * x, b * x, c * y, d * y, e, f];
+	}
+
+	setLineDash(segments) {
+		this.lineDash = [...segments];
+	}
+
+	/**
+	 * Drawing so far is thrown away; CanvasRenderer only clears the whole canvas
+	 */
+	clearRect() {
+		this.elements = [];
+	}
+
+	// ============================================================================
+	// Paths
+	// ============================================================================
+
+	point(x, y) {
+		const [a, b, c, d, e, f] = this.transform;
+		return `${formatNumber(a * x + c * y + e)} ${formatNumber(b * x + d * y + f)}`;
+	}
+
+	beginPath() {
+		this.path = '';
+	}
+
+	moveTo(x, y) {
+		this.path += `M${this.point(x, y)}`;
+	}
+
+	lineTo(x, y) {
+		this.path += `L${this.point(x, y)}`;
+	}
+
+	quadraticCurveTo(controlX, controlY, x, y) {
+		this.path += `Q${this.point(controlX, controlY)} ${this.point(x, y)}`;
+	}
+
+	closePath() {
+		this.path += 'Z';
+	}
+
+	rect(x, y, w, h) {
+		this.moveTo(x, y);
+		this.lineTo(x + w, y);
+		this.lineTo(x + w, y + h);
+		this.lineTo(x, y + h);
+		this.closePath();
+	}
+
+	fill() {
+		if (!this.path) return;
+		this.elements.push(`<path d="${this.path}" ${this.paintAttributes('fill', this.fillStyle)} stroke="none"/>`);
+	}
+
+	stroke() {
+		if (!this.path) return;
+		this.elements.push(`<path d="${this.path}" fill="none" ${this.strokeAttributes()}/>`);
+	}
+
+	fillRect(x, y, w, h) {
+		const path = this.path;
+		this.beginPath();
+		this.rect(x, y, w, h);
+		this.fill();
+		this.path = path;
+	}
+
+	strokeRect(x, y, w, h) {
+		const path = this.path;
+		this.beginPath();
+		this.rect(x, y, w, h);
+		this.stroke();
+		this.path = path;
+	}
+
+	/**
+	 * Line widths and dashes follow the transform, as on a canvas
+	 */
+	strokeAttributes() {
+		const [a, b, c, d] = this.transform;
+		const lineScale = Math.sqrt(Math.abs(a * d - b * c));
+		let attributes = `${this.paintAttributes('stroke', this.strokeStyle)} stroke-width="${formatNumber(this.lineWidth * lineScale)}" stroke-linejoin="miter"`;
+		if (this.lineDash.length > 0) {
+			attributes += ` stroke-dasharray="${this.lineDash.map(length => formatNumber(length * lineScale)).join(' ')}"`;
+		}
+		return attributes;
+	}
+
+	paintAttributes(kind, style) {
+		const { color, opacity } = splitColor(style);
+		const alpha = opacity * this.globalAlpha;
+		return `${kind}="${escapeXml(color)}"` + (alpha < 1 ? ` ${kind}-opacity="${formatNumber(alpha)}"` : '');
+	}
+
+	// ============================================================================
+	// Text and images
+	// ============================================================================
+
+	measureText(text) {
+		this.measureContext.font = this.font;
+		return this.measureContext.measureText(text);
+	}
+
+	fillText(text, x, y) {
+		this.addText(text, x, y, this.paintAttributes('fill', this.fillStyle));
+	}
+
+	strokeText(text, x, y) {
+		this.addText(text, x, y, `fill="none" ${this.strokeAttributes()} stroke-linejoin="round"`);
+	}
+
+	addText(text, x, y, paint) {
+		const [a, b, c, d, e, f] = this.transform;
+		const matrix = [a, b, c, d, e, f].map(formatNumber).join(' ');
+		this.elements.push(
+			`<text x="${formatNumber(x)}" y="${formatNumber(y)}" transform="matrix(${matrix})" ` +
+			`style="font: ${escapeXml(this.font)}" text-anchor="${TEXT_ANCHORS[this.textAlign] || 'start'}" ` +
+			`dominant-baseline="${TEXT_BASELINES[this.textBaseline] || 'alphabetic'}" ${paint}>${escapeXml(text)}</text>`
+		);
+	}
+
+	drawImage(image, x, y, w = image.width, h = image.height) {
+		const [a, b, c, d, e, f] = this.transform;
+		const matrix = [a, b, c, d, e, f].map(formatNumber).join(' ');
+		const opacity = this.globalAlpha < 1 ? ` opacity="${formatNumber(this.globalAlpha)}"` : '';
+		const rendering = this.imageSmoothingEnabled ? '' : ' style="image-rendering: pixelated"';
+		this.elements.push(
+			`<image x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(w)}" height="${formatNumber(h)}" ` +
+			`transform="matrix(${matrix})" preserveAspectRatio="none" href="${this.getImageUrl(image)}"${opacity}${rendering}/>`
+		);
+	}
+
+	/**
+	 * Images are embedded as PNG data URLs at their own resolution
+	 */
+	getImageUrl(image) {
+		if (!this.imageUrls.has(image)) {
+			const canvas = document.createElement('canvas');
+			canvas.width = image.width;
+			canvas.height = image.height;
+			canvas.getContext('2d').drawImage(image, 0, 0);
+			this.imageUrls.set(image, canvas.toDataURL('image/png'));
+		}
+		return this.imageUrls.get(image);
+	}
+
+	/**
+	 * @returns {string} The SVG document
+	 */
+	toString() {
+		return [
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${formatNumber(this.width)}" height="${formatNumber(this.height)}" viewBox="0 0 ${formatNumber(this.width)} ${formatNumber(this.height)}">`,
+			...this.elements,
+			'</svg>',
+			''
+		].join('\n');
+	}
+}
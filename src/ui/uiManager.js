@@ -8,6 +8,8 @@ export class UIManager {
 		this.tooltip = document.getElementById('tooltip');
 		this.currentDirSpan = document.getElementById('currentDir');
 		this.setupMergeButton();
+		this.setupHistoryButtons();
+		this.setupUnsavedIndicator();
 	}
 
 	/* ============================================================
@@ -16,7 +18,7 @@ export class UIManager {
 
 	setupMergeButton() {
 		const toolbar = document.getElementById('toolbar');
-		const resizeBtn = document.getElementById('resizeModeBtn');
+		const lastModeBtn = document.getElementById('linkModeBtn');
 
 		const mergeBtn = document.createElement('button');
 		mergeBtn.id = 'mergeNodesBtn';
@@ -28,8 +30,8 @@ export class UIManager {
 
 		mergeBtn.addEventListener('click', () => this.triggerMergeNodes());
 
-		if (resizeBtn && resizeBtn.nextSibling) {
-			toolbar.insertBefore(mergeBtn, resizeBtn.nextSibling);
+		if (lastModeBtn && lastModeBtn.nextSibling) {
+			toolbar.insertBefore(mergeBtn, lastModeBtn.nextSibling);
 		} else {
 			toolbar.appendChild(mergeBtn);
 		}
@@ -82,6 +84,68 @@ export class UIManager {
 		toolbar.appendChild(selectHint);
 	}
 
+	setupHistoryButtons() {
+		const toolbar = document.getElementById('toolbar');
+		const mergeBtn = document.getElementById('mergeNodesBtn');
+
+		const undoBtn = document.createElement('button');
+		undoBtn.id = 'undoBtn';
+		undoBtn.textContent = '↶ Undo';
+		undoBtn.style.marginLeft = '10px';
+		undoBtn.addEventListener('click', () => this.state.history.undo());
+
+		const redoBtn = document.createElement('button');
+		redoBtn.id = 'redoBtn';
+		redoBtn.textContent = '↷ Redo';
+		redoBtn.addEventListener('click', () => this.state.history.redo());
+
+		toolbar.insertBefore(undoBtn, mergeBtn);
+		toolbar.insertBefore(redoBtn, mergeBtn);
+
+		this.updateHistoryButtons(this.state.history);
+	}
+
+	updateHistoryButtons(history) {
+		const undoBtn = document.getElementById('undoBtn');
+		const redoBtn = document.getElementById('redoBtn');
+		if (!undoBtn || !redoBtn) return;
+
+		undoBtn.disabled = !history.canUndo();
+		redoBtn.disabled = !history.canRedo();
+		undoBtn.title = history.canUndo() ? `Undo ${history.getUndoLabel()} (Ctrl+Z)` : 'Nothing to undo (Ctrl+Z)';
+		redoBtn.title = history.canRedo() ? `Redo ${history.getRedoLabel()} (Ctrl+Shift+Z)` : 'Nothing to redo (Ctrl+Shift+Z)';
+	}
+
+	setupUnsavedIndicator() {
+		const toolbar = document.getElementById('toolbar');
+
+		const indicator = document.createElement('span');
+		indicator.id = 'unsavedIndicator';
+		indicator.textContent = '● Modified';
+		indicator.title = 'The current room has unsaved changes (Ctrl+S to save)';
+		indicator.style.cssText = `
+		margin-left: 20px;
+		padding: 5px 10px;
+		display: none;
+		background: #f44336;
+		color: white;
+		border-radius: 4px;
+		font-size: 12px;
+		font-weight: bold;
+	`;
+		toolbar.insertBefore(indicator, this.currentDirSpan);
+
+		this.baseTitle = document.title;
+	}
+
+	updateUnsavedIndicator(unsaved) {
+		const indicator = document.getElementById('unsavedIndicator');
+		if (indicator) {
+			indicator.style.display = unsaved ? 'inline-block' : 'none';
+		}
+		document.title = unsaved ? `● ${this.baseTitle}` : this.baseTitle;
+	}
+
 	triggerMergeNodes() {
 		document.dispatchEvent(new KeyboardEvent('keydown', {
 			key: 'm',
@@ -107,8 +171,10 @@ export class UIManager {
 		if (drawIndicator)
 			drawIndicator.style.display = mode === 'draw' ? 'inline-block' : 'none';
 
-		if (selectHint)
-			selectHint.style.display = (mode === 'select' || mode === 'move') ? 'inline-block' : 'none';
+		if (selectHint) {
+			selectHint.textContent = mode === 'link' ? 'Drag from one node to another to add a strat' : 'Ctrl+Click for multi-select';
+			selectHint.style.display = (mode === 'select' || mode === 'move' || mode === 'link') ? 'inline-block' : 'none';
+		}
 	}
 
 	updateActiveTool(toolId) {
@@ -129,7 +195,8 @@ export class UIManager {
 
 	updateJsonDisplay(data) {
 		if (this.jsonTextArea && data) {
-			this.jsonTextArea.value = JSON.stringify(data, null, 2);
+			// formatJson comes from core/jsonFormatter.js (classic script shared with the main process)
+			this.jsonTextArea.value = formatJson(data, this.state.getJsonFormatOptions());
 		}
 	}
 
@@ -155,7 +222,8 @@ export class UIManager {
 		if (!node || !this.jsonTextArea) return;
 
 		const text = this.jsonTextArea.value;
-		const match = new RegExp(`"id":\\s*${node.id}`).exec(text);
+		// Enemy groups and obstacles have string ids
+		const match = new RegExp(`"id":\\s*${JSON.stringify(node.id)}`).exec(text);
 		if (match) {
 			this.jsonTextArea.focus();
 			this.jsonTextArea.setSelectionRange(match.index, match.index + match[0].length);
@@ -189,6 +257,28 @@ export class UIManager {
 	 * WORKING DIRECTORY
 	 * ============================================================ */
 
+	/**
+	 * Build the sector bar from the project config areas
+	 * @param {Array<{code: string, label?: string}>} areas
+	 * @param {Function} onSelect - Called with the area code
+	 */
+	renderSectorButtons(areas, onSelect) {
+		const container = document.getElementById('sector-buttons');
+		if (!container) return;
+
+		container.innerHTML = '';
+		for (const area of areas) {
+			const btn = document.createElement('button');
+			btn.className = 'sector-btn';
+			btn.dataset.sector = area.code;
+			btn.textContent = area.label || area.code;
+			btn.disabled = !area.startRoom;
+			if (!area.startRoom) btn.title = 'No start room configured for this area';
+			btn.addEventListener('click', () => onSelect(area.code));
+			container.appendChild(btn);
+		}
+	}
+
 	updateWorkingDirectory(dir) {
 		if (this.currentDirSpan) {
 			this.currentDirSpan.textContent = `Working Directory: ${dir}`;
@@ -240,7 +330,7 @@ export class UIManager {
 
 	isCompositeRoom(name) {
 		if (!name) return false;
-		if (name === 'PYR-TRO Elevator / PYR Entrance Lobby') return false;
+		if (this.state.isCompositeRoomException(name)) return false;
 		return name.includes(' / ');
 	}
 
@@ -434,19 +524,16 @@ export class UIManager {
 
 			btn.onclick = () =>
 				this.state.roomManager?.navigateThroughDoor(connection);
-
-			btn.oncontextmenu = e => {
-				e.preventDefault();
-				this.state.roomManager?.openDoorEditor(
-					door.doorOrientation,
-					connection,
-					roomData
-				);
-			};
 		} else {
 			btn.classList.add('door-disconnected');
+			btn.title = `${door.name}\nNo connection (right-click to connect)`;
 		}
 
+		btn.oncontextmenu = e => {
+			e.preventDefault();
+			this.state.roomManager?.openDoorEditor(door, connection || null, roomData);
+		};
+
 		return btn;
 	}
 
@@ -555,4 +642,63 @@ export class UIManager {
 			if (e.target === modal) cleanup();
 		});
 	}
+
+	/**
+	 * Show a modal with several choices
+	 * @param {string} msg - Message to display
+	 * @param {Array<{label: string, value: string, color?: string}>} choices - Buttons, left to right
+	 * @param {string} cancelValue - Value resolved on Escape or click outside
+	 * @returns {Promise<string>} The value of the chosen button
+	 */
+	showChoiceDialog(msg, choices, cancelValue) {
+		return new Promise(resolve => {
+			const modal = document.createElement('div');
+			modal.className = 'modal-overlay';
+			modal.style.cssText = 'display: flex; position: fixed; top: 0; left: 0; right: 0; bottom: 0; background: rgba(0,0,0,0.5); z-index: 10000; align-items: center; justify-content: center;';
+
+			const content = document.createElement('div');
+			content.style.cssText = 'background: white; padding: 20px; border-radius: 8px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); min-width: 300px;';
+
+			const message = document.createElement('div');
+			message.textContent = msg;
+			message.style.cssText = 'margin-bottom: 16px; font-size: 14px; white-space: pre-line; max-width: 640px; max-height: 60vh; overflow-y: auto;';
+
+			const btnContainer = document.createElement('div');
+			btnContainer.style.cssText = 'display: flex; gap: 8px; justify-content: flex-end;';
+
+			const finish = (value) => {
+				modal.remove();
+				resolve(value);
+			};
+
+			const buttons = choices.map(choice => {
+				const btn = document.createElement('button');
+				btn.textContent = choice.label;
+				btn.style.cssText = choice.color ?
+					`padding: 8px 16px; background: ${choice.color}; color: white; border: none; cursor: pointer; border-radius: 4px;` :
+					'padding: 8px 16px; cursor: pointer; border-radius: 4px;';
+				btn.onclick = () => finish(choice.value);
+				btn.addEventListener('keydown', (e) => {
+					e.stopPropagation(); // Prevent shortcuts
+					if (e.key === 'Escape') {
+						e.preventDefault();
+						finish(cancelValue);
+					}
+				});
+				btnContainer.appendChild(btn);
+				return btn;
+			});
+
+			content.appendChild(message);
+			content.appendChild(btnContainer);
+			modal.appendChild(content);
+			document.body.appendChild(modal);
+
+			buttons[0]?.focus();
+
+			modal.addEventListener('click', (e) => {
+				if (e.target === modal) finish(cancelValue);
+			});
+		});
+	}
 }
\ No newline at end of file